@@ -27,10 +27,12 @@ async function connectToMongoDB() {
             return await connectionPromise;
         }
         
-        // Start new connection
+        // Start new connection and keep it for every later call
         connectionPromise = createConnection();
         const result = await connectionPromise;
         connectionPromise = null;
+        client = result.client;
+        db = result.db;
         return result;
         
     } catch (error) {
@@ -53,14 +55,21 @@ async function createConnection() {
         retryReads: true
     });
     
-    await client.connect();
     const db = client.db(MONGODB_DATABASE);
     
-    // Test the connection with timeout
-    await Promise.race([
-        db.admin().ping(),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Connection timeout')), 5000))
-    ]);
+    try {
+        await client.connect();
+        
+        // Test the connection with timeout
+        await Promise.race([
+            db.admin().ping(),
+            new Promise((_, reject) => setTimeout(() => reject(new Error('Connection timeout')), 5000))
+        ]);
+    } catch (error) {
+        // Do not leave a half-open pool behind; the next call starts over
+        await client.close().catch(() => {});
+        throw error;
+    }
     
     // Create collections if they don't exist (async, non-blocking)
     const collections = [
@@ -82,6 +91,9 @@ async function createConnection() {
     
     // Create indexes for better performance (async, non-blocking)
     try {
+        // Refunds used to be unique per order ID, which providers share; they are unique per payment now
+        await db.collection('transactions').dropIndex('order_id_1_source_1').catch(() => {});
+
         // Create indexes in parallel for better performance
         await Promise.allSettled([
             db.collection('users').createIndex({ user_id: 1 }, { unique: true, background: true }),
@@ -91,13 +103,45 @@ async function createConnection() {
             db.collection('orders').createIndex({ user_id: 1 }, { background: true }),
             db.collection('orders').createIndex({ status: 1 }, { background: true }),
             db.collection('orders').createIndex({ createdAt: 1 }, { background: true }),
+            db.collection('orders').createIndex({ status: 1, nextPollAt: 1 }, { background: true }), // SMS poller queue
+            db.collection('orders').createIndex({ status: 1, expiresAt: 1 }, { background: true }), // Expiry sweeper
             db.collection('transactions').createIndex({ user_id: 1 }, { background: true }),
             db.collection('transactions').createIndex({ timestamp: 1 }, { background: true }),
             db.collection('transactions').createIndex({ type: 1 }, { background: true }), // Add type index
             db.collection('transactions').createIndex({ source: 1 }, { background: true }), // Add source index
             // Compound indexes for better query performance
             db.collection('transactions').createIndex({ user_id: 1, timestamp: -1 }, { background: true }),
-            db.collection('users').createIndex({ user_id: 1, balance: 1 }, { background: true })
+            db.collection('transactions').createIndex({ timestamp: -1, _id: -1 }, { background: true }), // Cursor paging
+            // At most one refund per order payment
+            db.collection('transactions').createIndex(
+                { refund_of: 1 },
+                { unique: true, partialFilterExpression: { source: 'refund', refund_of: { $exists: true } }, background: true }
+            ),
+            // A QR payment reference can only be credited once
+            db.collection('transactions').createIndex(
+                { source: 1, reference_id: 1 },
+                { unique: true, partialFilterExpression: { source: 'qr_payment', reference_id: { $type: 'string' } }, background: true }
+            ),
+            // A transaction can only be reversed once
+            db.collection('transactions').createIndex(
+                { reversal_of: 1 },
+                { unique: true, partialFilterExpression: { reversal_of: { $exists: true } }, background: true }
+            ),
+            db.collection('idempotency_keys').createIndex({ key: 1, scope: 1 }, { unique: true, background: true }),
+            db.collection('idempotency_keys').createIndex({ expires_at: 1 }, { expireAfterSeconds: 0, background: true }),
+            db.collection('rate_limits').createIndex({ key: 1, window_start: 1 }, { unique: true, background: true }),
+            db.collection('rate_limits').createIndex({ expires_at: 1 }, { expireAfterSeconds: 0, background: true }),
+            db.collection('users').createIndex({ user_id: 1, balance: 1 }, { background: true }),
+            // Ledger journal
+            db.collection('journal_entries').createIndex({ 'lines.account': 1, created_at: -1 }, { background: true }),
+            db.collection('journal_entries').createIndex({ transaction_id: 1 }, { background: true }),
+            db.collection('reconciliation_runs').createIndex({ started_at: -1 }, { background: true }),
+            db.collection('exchange_rates').createIndex({ currency: 1 }, { unique: true, background: true }),
+            db.collection('admins').createIndex({ username: 1 }, { unique: true, background: true }),
+            // Audit log
+            db.collection('audit_log').createIndex({ at: -1, _id: -1 }, { background: true }),
+            db.collection('audit_log').createIndex({ 'actor.username': 1, at: -1 }, { background: true }),
+            db.collection('audit_log').createIndex({ entity: 1, entity_id: 1, at: -1 }, { background: true })
         ]);
     } catch (error) {
         console.warn('⚠️ Warning creating indexes:', error.message);
@@ -8,7 +8,11 @@ const compression = require('compression');
 
 // Import middleware
 const { logger } = require('./middleware/logger');
-const { errorHandler } = require('./middleware/errorHandler');
+const { errorHandler, AppError } = require('./middleware/errorHandler');
+const { idempotency } = require('./middleware/idempotency');
+const { requireAdmin, requireAdminPage } = require('./middleware/auth');
+const { requirePermission } = require('./middleware/permissions');
+const { auditTrail } = require('./middleware/audit');
 
 // Import routes
 const serversRoutes = require('./routes/servers');
@@ -19,9 +23,20 @@ const usersRoutes = require('./routes/users');
 const ordersRoutes = require('./routes/orders');
 const promoCodesRoutes = require('./routes/promo-codes');
 const transactionsRoutes = require('./routes/transactions');
+const otpRoutes = require('./routes/otp');
+const reconciliationRoutes = require('./routes/reconciliation');
+const exchangeRatesRoutes = require('./routes/exchange-rates');
+const authRoutes = require('./routes/auth');
+const adminsRoutes = require('./routes/admins');
+const auditRoutes = require('./routes/audit');
 
 // Import database config
 const { connectToMongoDB } = require('./config/database');
+const ledger = require('./services/ledger');
+const money = require('./utils/money');
+
+// Import background workers
+const { smsPoller, expirySweeper } = require('./services/background-jobs');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -32,6 +47,15 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Behind Vercel or another proxy, TRUST_PROXY makes req.ip the client's address (rate limits, audit log)
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
+// Money is stored as Decimal128; API responses keep sending it as plain numbers
+app.set('json replacer', money.decimalJsonReplacer);
+
 // Logging middleware
 app.use(logger);
 
@@ -54,10 +78,35 @@ app.use((req, res, next) => {
     next();
 });
 
+// Admin pages need a session; the landing page, the docs and the login page stay public
+const ADMIN_PAGE = /^\/(admin|dashboard|services|servers|users|transactions|promo-codes)(\/|\.html$|$)/;
+const LOGIN_PAGE = /^\/admin\/login(\.html)?$/;
+app.use((req, res, next) => {
+    if (req.method !== 'GET' || !ADMIN_PAGE.test(req.path) || LOGIN_PAGE.test(req.path)) {
+        return next();
+    }
+    requireAdminPage(req, res, next);
+});
+
+// Every API route needs an admin session (or BOT_API_KEY), except these
+const PUBLIC_API_PATHS = ['/health', '/test', '/auth/login', '/auth/login/verify', '/auth/logout', '/otp/poll', '/otp/expire'];
+app.use('/api', (req, res, next) => {
+    if (PUBLIC_API_PATHS.includes(req.path)) {
+        return next();
+    }
+    requireAdmin(req, res, next);
+});
+
+// Record every change an admin makes in audit_log
+app.use('/api', auditTrail);
+
 // Serve static files
 app.use(express.static(path.join(__dirname, '..')));
 
 // API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/admins', adminsRoutes);
+app.use('/api/audit', auditRoutes);
 app.use('/api/servers', serversRoutes);
 app.use('/api/services', servicesRoutes);
 app.use('/api/basic-services', servicesRoutes); // Add this line to support both endpoints
@@ -67,6 +116,9 @@ app.use('/api/users', usersRoutes);
 app.use('/api/orders', ordersRoutes);
 app.use('/api/promo-codes', promoCodesRoutes);
 app.use('/api/transactions', transactionsRoutes);
+app.use('/api/otp', otpRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/exchange-rates', exchangeRatesRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -109,7 +161,7 @@ app.get('/api/statistics', async (req, res) => {
         const totalUsers = users.length;
         const activeUsers = users.filter(user => user.status === 'active').length;
         const bannedUsers = users.filter(user => user.status === 'banned').length;
-        const totalBalance = users.reduce((sum, user) => sum + (parseFloat(user.balance) || 0), 0);
+        const totalBalance = money.minorToNumber(users.reduce((sum, user) => sum + (money.toMinor(user.balance) || 0), 0));
         
         // Get transaction statistics
         const transactions = await db.collection('transactions').find({}).toArray();
@@ -134,10 +186,25 @@ app.get('/api/statistics', async (req, res) => {
     }
 });
 
-// Optimized Add balance endpoint with performance improvements
-app.post('/api/add_balance', async (req, res) => {
+// Ledger errors (user not found, insufficient balance, ...) carry their own status code;
+// a 402 also carries `code: 'INSUFFICIENT_FUNDS'` and the available/required amounts for the bot
+function sendBalanceError(res, error, message) {
+    if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            ...(typeof error.code === 'string' && { code: error.code }),
+            ...(error.details && { details: error.details })
+        });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ success: false, message });
+}
+
+// Add balance endpoint
+app.post('/api/add_balance', requirePermission('balance:write'), idempotency(), async (req, res) => {
     try {
-        const { user_id, amount, description, admin_id } = req.body;
+        const { user_id, amount, description } = req.body;
         
         if (!user_id || !amount) {
             return res.status(400).json({ success: false, message: 'Missing user_id or amount' });
@@ -149,92 +216,28 @@ app.post('/api/add_balance', async (req, res) => {
             return res.status(503).json({ success: false, message: 'Database not available' });
         }
         
-        const parsedAmount = parseFloat(amount);
-        const parsedUserId = parseInt(user_id);
-        
-        // Use atomic operation for better performance and consistency
-        const result = await db.collection('users').findOneAndUpdate(
-            { user_id: parsedUserId },
-            { $inc: { balance: parsedAmount } },
-            { 
-                returnDocument: 'after',
-                projection: { balance: 1, user_id: 1 }
-            }
-        );
-        
-        if (!result.value) {
-            // Try with string user_id as fallback
-            const stringResult = await db.collection('users').findOneAndUpdate(
-                { user_id: user_id.toString() },
-                { $inc: { balance: parsedAmount } },
-                { 
-                    returnDocument: 'after',
-                    projection: { balance: 1, user_id: 1 }
-                }
-            );
-            
-            if (!stringResult.value) {
-                return res.status(404).json({ success: false, message: 'User not found' });
-            }
-            
-            // Create transaction record asynchronously (don't wait for it)
-            const transaction = {
-                user_id: stringResult.value.user_id,
-                type: 'credit',
-                amount: parsedAmount,
-                description: description || 'Balance added by admin',
-                source: 'admin',
-                timestamp: new Date(),
-                balance_before: stringResult.value.balance - parsedAmount,
-                balance_after: stringResult.value.balance,
-                admin_id: admin_id || null
-            };
-            
-            // Fire and forget transaction creation for better performance
-            db.collection('transactions').insertOne(transaction).catch(err => 
-                console.error('Transaction logging error:', err)
-            );
-            
-            return res.json({ 
-                success: true, 
-                message: 'Balance added successfully',
-                new_balance: stringResult.value.balance
-            });
-        }
-        
-        // Create transaction record asynchronously (don't wait for it)
-        const transaction = {
-            user_id: result.value.user_id,
-            type: 'credit',
-            amount: parsedAmount,
-            description: description || 'Balance added by admin',
+        const transaction = await ledger.credit(db, {
+            userId: user_id,
+            amount,
             source: 'admin',
-            timestamp: new Date(),
-            balance_before: result.value.balance - parsedAmount,
-            balance_after: result.value.balance,
-            admin_id: admin_id || null
-        };
-        
-        // Fire and forget transaction creation for better performance
-        db.collection('transactions').insertOne(transaction).catch(err => 
-            console.error('Transaction logging error:', err)
-        );
+            description: description || 'Balance added by admin',
+            fields: { admin_id: req.admin.username }
+        });
         
         res.json({ 
             success: true, 
             message: 'Balance added successfully',
-            new_balance: result.value.balance
+            new_balance: transaction.balance_after
         });
     } catch (error) {
-        console.error('Error adding balance:', error);
-        res.status(500).json({ success: false, message: 'Failed to add balance' });
+        sendBalanceError(res, error, 'Failed to add balance');
     }
 });
 
-// Optimized Cut balance endpoint with performance improvements
-app.post('/api/cut_balance', async (req, res) => {
+// Cut balance endpoint
+app.post('/api/cut_balance', requirePermission('balance:write'), idempotency(), async (req, res) => {
     try {
-        const { user_id, amount, description, admin_id } = req.body;
+        const { user_id, amount, description } = req.body;
         
         if (!user_id || !amount) {
             return res.status(400).json({ success: false, message: 'Missing user_id or amount' });
@@ -246,90 +249,26 @@ app.post('/api/cut_balance', async (req, res) => {
             return res.status(503).json({ success: false, message: 'Database not available' });
         }
         
-        const parsedAmount = parseFloat(amount);
-        const parsedUserId = parseInt(user_id);
-        
-        // Use atomic operation for better performance and consistency
-        const result = await db.collection('users').findOneAndUpdate(
-            { user_id: parsedUserId },
-            { $inc: { balance: -parsedAmount } },
-            { 
-                returnDocument: 'after',
-                projection: { balance: 1, user_id: 1 }
-            }
-        );
-        
-        if (!result.value) {
-            // Try with string user_id as fallback
-            const stringResult = await db.collection('users').findOneAndUpdate(
-                { user_id: user_id.toString() },
-                { $inc: { balance: -parsedAmount } },
-                { 
-                    returnDocument: 'after',
-                    projection: { balance: 1, user_id: 1 }
-                }
-            );
-            
-            if (!stringResult.value) {
-                return res.status(404).json({ success: false, message: 'User not found' });
-            }
-            
-            // Create transaction record asynchronously (don't wait for it)
-            const transaction = {
-                user_id: stringResult.value.user_id,
-                type: 'debit',
-                amount: parsedAmount,
-                description: description || 'Balance cut by admin',
-                source: 'admin',
-                timestamp: new Date(),
-                balance_before: stringResult.value.balance + parsedAmount,
-                balance_after: stringResult.value.balance,
-                admin_id: admin_id || null
-            };
-            
-            // Fire and forget transaction creation for better performance
-            db.collection('transactions').insertOne(transaction).catch(err => 
-                console.error('Transaction logging error:', err)
-            );
-            
-            return res.json({ 
-                success: true, 
-                message: 'Balance cut successfully',
-                new_balance: stringResult.value.balance
-            });
-        }
-        
-        // Create transaction record asynchronously (don't wait for it)
-        const transaction = {
-            user_id: result.value.user_id,
-            type: 'debit',
-            amount: parsedAmount,
-            description: description || 'Balance cut by admin',
+        const transaction = await ledger.debit(db, {
+            userId: user_id,
+            amount,
             source: 'admin',
-            timestamp: new Date(),
-            balance_before: result.value.balance + parsedAmount,
-            balance_after: result.value.balance,
-            admin_id: admin_id || null
-        };
-        
-        // Fire and forget transaction creation for better performance
-        db.collection('transactions').insertOne(transaction).catch(err => 
-            console.error('Transaction logging error:', err)
-        );
+            description: description || 'Balance cut by admin',
+            fields: { admin_id: req.admin.username }
+        });
         
         res.json({ 
             success: true, 
             message: 'Balance cut successfully',
-            new_balance: result.value.balance
+            new_balance: transaction.balance_after
         });
     } catch (error) {
-        console.error('Error cutting balance:', error);
-        res.status(500).json({ success: false, message: 'Failed to cut balance' });
+        sendBalanceError(res, error, 'Failed to cut balance');
     }
 });
 
-// Optimized QR payment endpoint with performance improvements
-app.post('/api/qr_payment', async (req, res) => {
+// QR payment endpoint
+app.post('/api/qr_payment', requirePermission('balance:write'), idempotency(), async (req, res) => {
     try {
         const { user_id, amount, payment_method, reference_id, description } = req.body;
         
@@ -343,92 +282,47 @@ app.post('/api/qr_payment', async (req, res) => {
             return res.status(503).json({ success: false, message: 'Database not available' });
         }
         
-        const parsedAmount = parseFloat(amount);
-        const parsedUserId = parseInt(user_id);
-        
-        // Use atomic operation for better performance and consistency
-        const result = await db.collection('users').findOneAndUpdate(
-            { user_id: parsedUserId },
-            { $inc: { balance: parsedAmount } },
-            { 
-                returnDocument: 'after',
-                projection: { balance: 1, user_id: 1 }
-            }
-        );
-        
-        if (!result.value) {
-            // Try with string user_id as fallback
-            const stringResult = await db.collection('users').findOneAndUpdate(
-                { user_id: user_id.toString() },
-                { $inc: { balance: parsedAmount } },
-                { 
-                    returnDocument: 'after',
-                    projection: { balance: 1, user_id: 1 }
-                }
-            );
-            
-            if (!stringResult.value) {
-                return res.status(404).json({ success: false, message: 'User not found' });
-            }
-            
-            // Create transaction record asynchronously (don't wait for it)
-            const transaction = {
-                user_id: stringResult.value.user_id,
-                type: 'credit',
-                amount: parsedAmount,
-                description: description || `QR Payment via ${payment_method}`,
+        let transaction;
+        try {
+            transaction = await ledger.credit(db, {
+                userId: user_id,
+                amount,
                 source: 'qr_payment',
-                timestamp: new Date(),
-                balance_before: stringResult.value.balance - parsedAmount,
-                balance_after: stringResult.value.balance,
-                payment_method: payment_method,
-                reference_id: reference_id || null
-            };
-            
-            // Fire and forget transaction creation for better performance
-            db.collection('transactions').insertOne(transaction).catch(err => 
-                console.error('Transaction logging error:', err)
-            );
-            
-            return res.json({ 
-                success: true, 
-                message: 'QR payment processed successfully',
-                new_balance: stringResult.value.balance
+                description: description || `QR Payment via ${payment_method}`,
+                fields: { payment_method: payment_method, reference_id: reference_id ? String(reference_id) : null }
             });
+        } catch (error) {
+            // reference_id is unique per QR payment: a repeat is answered, not credited again
+            if (error.code === 11000 && reference_id) {
+                const original = await db.collection('transactions').findOne({ source: 'qr_payment', reference_id: String(reference_id) });
+                // Only the same user's payment is a repeat; a missing one cannot be shown as one either
+                if (!original || String(original.user_id) !== String(user_id)) {
+                    return res.status(409).json({ success: false, message: 'reference_id was already used for another QR payment' });
+                }
+                const user = await db.collection('users').findOne({ user_id: original.user_id }, { projection: { balance: 1 } });
+                return res.json({
+                    success: true,
+                    duplicate: true,
+                    message: 'QR payment already processed',
+                    transaction_id: original._id,
+                    new_balance: user ? user.balance : original.balance_after
+                });
+            }
+            throw error;
         }
         
-        // Create transaction record asynchronously (don't wait for it)
-        const transaction = {
-            user_id: result.value.user_id,
-            type: 'credit',
-            amount: parsedAmount,
-            description: description || `QR Payment via ${payment_method}`,
-            source: 'qr_payment',
-            timestamp: new Date(),
-            balance_before: result.value.balance - parsedAmount,
-            balance_after: result.value.balance,
-            payment_method: payment_method,
-            reference_id: reference_id || null
-        };
-        
-        // Fire and forget transaction creation for better performance
-        db.collection('transactions').insertOne(transaction).catch(err => 
-            console.error('Transaction logging error:', err)
-        );
-        
         res.json({ 
             success: true, 
             message: 'QR payment processed successfully',
-            new_balance: result.value.balance
+            new_balance: transaction.balance_after
         });
     } catch (error) {
-        console.error('Error processing QR payment:', error);
-        res.status(500).json({ success: false, message: 'Failed to process QR payment' });
+        sendBalanceError(res, error, 'Failed to process QR payment');
     }
 });
 
-// Optimized Promo code endpoint with performance improvements
-app.post('/api/promo_payment', async (req, res) => {
+// Promo code endpoint
+app.post('/api/promo_payment', requirePermission('balance:write'), idempotency(), async (req, res) => {
     try {
         const { user_id, amount, promo_code, description } = req.body;
         
@@ -442,90 +336,26 @@ app.post('/api/promo_payment', async (req, res) => {
             return res.status(503).json({ success: false, message: 'Database not available' });
         }
         
-        const parsedAmount = parseFloat(amount);
-        const parsedUserId = parseInt(user_id);
-        
-        // Use atomic operation for better performance and consistency
-        const result = await db.collection('users').findOneAndUpdate(
-            { user_id: parsedUserId },
-            { $inc: { balance: parsedAmount } },
-            { 
-                returnDocument: 'after',
-                projection: { balance: 1, user_id: 1 }
-            }
-        );
-        
-        if (!result.value) {
-            // Try with string user_id as fallback
-            const stringResult = await db.collection('users').findOneAndUpdate(
-                { user_id: user_id.toString() },
-                { $inc: { balance: parsedAmount } },
-                { 
-                    returnDocument: 'after',
-                    projection: { balance: 1, user_id: 1 }
-                }
-            );
-            
-            if (!stringResult.value) {
-                return res.status(404).json({ success: false, message: 'User not found' });
-            }
-            
-            // Create transaction record asynchronously (don't wait for it)
-            const transaction = {
-                user_id: stringResult.value.user_id,
-                type: 'credit',
-                amount: parsedAmount,
-                description: description || `Promo code: ${promo_code}`,
-                source: 'promo',
-                timestamp: new Date(),
-                balance_before: stringResult.value.balance - parsedAmount,
-                balance_after: stringResult.value.balance,
-                promo_code: promo_code
-            };
-            
-            // Fire and forget transaction creation for better performance
-            db.collection('transactions').insertOne(transaction).catch(err => 
-                console.error('Transaction logging error:', err)
-            );
-            
-            return res.json({ 
-                success: true, 
-                message: 'Promo code applied successfully',
-                new_balance: stringResult.value.balance
-            });
-        }
-        
-        // Create transaction record asynchronously (don't wait for it)
-        const transaction = {
-            user_id: result.value.user_id,
-            type: 'credit',
-            amount: parsedAmount,
-            description: description || `Promo code: ${promo_code}`,
+        const transaction = await ledger.credit(db, {
+            userId: user_id,
+            amount,
             source: 'promo',
-            timestamp: new Date(),
-            balance_before: result.value.balance - parsedAmount,
-            balance_after: result.value.balance,
-            promo_code: promo_code
-        };
-        
-        // Fire and forget transaction creation for better performance
-        db.collection('transactions').insertOne(transaction).catch(err => 
-            console.error('Transaction logging error:', err)
-        );
+            description: description || `Promo code: ${promo_code}`,
+            fields: { promo_code: promo_code }
+        });
         
         res.json({ 
             success: true, 
             message: 'Promo code applied successfully',
-            new_balance: result.value.balance
+            new_balance: transaction.balance_after
         });
     } catch (error) {
-        console.error('Error applying promo code:', error);
-        res.status(500).json({ success: false, message: 'Failed to apply promo code' });
+        sendBalanceError(res, error, 'Failed to apply promo code');
     }
 });
 
-// Optimized Order payment endpoint with performance improvements
-app.post('/api/order_payment', async (req, res) => {
+// Order payment endpoint
+app.post('/api/order_payment', requirePermission('balance:write'), idempotency(), async (req, res) => {
     try {
         const { user_id, amount, order_id, description } = req.body;
         
@@ -539,105 +369,26 @@ app.post('/api/order_payment', async (req, res) => {
             return res.status(503).json({ success: false, message: 'Database not available' });
         }
         
-        const parsedAmount = parseFloat(amount);
-        const parsedUserId = parseInt(user_id);
-        
-        // Use atomic operation for better performance and consistency
-        const result = await db.collection('users').findOneAndUpdate(
-            { 
-                user_id: parsedUserId,
-                balance: { $gte: parsedAmount } // Ensure sufficient balance
-            },
-            { $inc: { balance: -parsedAmount } },
-            { 
-                returnDocument: 'after',
-                projection: { balance: 1, user_id: 1 }
-            }
-        );
-        
-        if (!result.value) {
-            // Try with string user_id as fallback
-            const stringResult = await db.collection('users').findOneAndUpdate(
-                { 
-                    user_id: user_id.toString(),
-                    balance: { $gte: parsedAmount } // Ensure sufficient balance
-                },
-                { $inc: { balance: -parsedAmount } },
-                { 
-                    returnDocument: 'after',
-                    projection: { balance: 1, user_id: 1 }
-                }
-            );
-            
-            if (!stringResult.value) {
-                // Check if user exists but has insufficient balance
-                const userCheck = await db.collection('users').findOne({ 
-                    $or: [{ user_id: parsedUserId }, { user_id: user_id.toString() }] 
-                });
-                
-                if (!userCheck) {
-                    return res.status(404).json({ success: false, message: 'User not found' });
-                } else {
-                    return res.status(400).json({ success: false, message: 'Insufficient balance' });
-                }
-            }
-            
-            // Create transaction record asynchronously (don't wait for it)
-            const transaction = {
-                user_id: stringResult.value.user_id,
-                type: 'debit',
-                amount: parsedAmount,
-                description: description || `Order purchase: ${order_id}`,
-                source: 'order',
-                timestamp: new Date(),
-                balance_before: stringResult.value.balance + parsedAmount,
-                balance_after: stringResult.value.balance,
-                order_id: order_id
-            };
-            
-            // Fire and forget transaction creation for better performance
-            db.collection('transactions').insertOne(transaction).catch(err => 
-                console.error('Transaction logging error:', err)
-            );
-            
-            return res.json({ 
-                success: true, 
-                message: 'Order payment processed successfully',
-                new_balance: stringResult.value.balance
-            });
-        }
-        
-        // Create transaction record asynchronously (don't wait for it)
-        const transaction = {
-            user_id: result.value.user_id,
-            type: 'debit',
-            amount: parsedAmount,
-            description: description || `Order purchase: ${order_id}`,
+        const transaction = await ledger.debit(db, {
+            userId: user_id,
+            amount,
             source: 'order',
-            timestamp: new Date(),
-            balance_before: result.value.balance + parsedAmount,
-            balance_after: result.value.balance,
-            order_id: order_id
-        };
-        
-        // Fire and forget transaction creation for better performance
-        db.collection('transactions').insertOne(transaction).catch(err => 
-            console.error('Transaction logging error:', err)
-        );
+            description: description || `Order purchase: ${order_id}`,
+            fields: { order_id: order_id }
+        });
         
         res.json({ 
             success: true, 
             message: 'Order payment processed successfully',
-            new_balance: result.value.balance
+            new_balance: transaction.balance_after
         });
     } catch (error) {
-        console.error('Error processing order payment:', error);
-        res.status(500).json({ success: false, message: 'Failed to process order payment' });
+        sendBalanceError(res, error, 'Failed to process order payment');
     }
 });
 
 // Ban user endpoint
-app.post('/api/ban_user', async (req, res) => {
+app.post('/api/ban_user', requirePermission('users:ban'), async (req, res) => {
     try {
         const { user_id, reason } = req.body;
         
@@ -676,7 +427,7 @@ app.post('/api/ban_user', async (req, res) => {
 });
 
 // Unban user endpoint
-app.post('/api/unban_user', async (req, res) => {
+app.post('/api/unban_user', requirePermission('users:ban'), async (req, res) => {
     try {
         const { user_id } = req.body;
         
@@ -714,8 +465,8 @@ app.post('/api/unban_user', async (req, res) => {
     }
 });
 
-// Optimized Update user balance endpoint with performance improvements
-app.post('/api/update_user', async (req, res) => {
+// Update user balance endpoint: sets the balance and records the difference
+app.post('/api/update_user', requirePermission('balance:write'), idempotency(), async (req, res) => {
     try {
         const { user_id, balance } = req.body;
         
@@ -729,83 +480,21 @@ app.post('/api/update_user', async (req, res) => {
             return res.status(503).json({ success: false, message: 'Database not available' });
         }
         
-        const parsedUserId = parseInt(user_id);
         const newBalance = parseFloat(balance) || 0;
-        
-        // Use atomic operation for better performance and consistency
-        const result = await db.collection('users').findOneAndUpdate(
-            { user_id: parsedUserId },
-            { $set: { balance: newBalance } },
-            { 
-                returnDocument: 'after',
-                projection: { balance: 1, user_id: 1 }
-            }
-        );
-        
-        if (!result.value) {
-            // Try with string user_id as fallback
-            const stringResult = await db.collection('users').findOneAndUpdate(
-                { user_id: user_id.toString() },
-                { $set: { balance: newBalance } },
-                { 
-                    returnDocument: 'after',
-                    projection: { balance: 1, user_id: 1 }
-                }
-            );
-            
-            if (!stringResult.value) {
-                return res.status(404).json({ success: false, message: 'User not found' });
-            }
-            
-            // Create transaction record asynchronously (don't wait for it)
-            const transaction = {
-                user_id: stringResult.value.user_id,
-                type: newBalance > 0 ? 'credit' : 'debit',
-                amount: Math.abs(newBalance),
-                description: newBalance > 0 ? 'Balance updated by admin' : 'Balance reduced by admin',
-                source: 'admin',
-                timestamp: new Date(),
-                balance_before: 0, // Since we're setting a new balance
-                balance_after: newBalance
-            };
-            
-            // Fire and forget transaction creation for better performance
-            db.collection('transactions').insertOne(transaction).catch(err => 
-                console.error('Transaction logging error:', err)
-            );
-            
-            return res.json({ 
-                success: true, 
-                message: 'User balance updated successfully',
-                new_balance: stringResult.value.balance
-            });
-        }
-        
-        // Create transaction record asynchronously (don't wait for it)
-        const transaction = {
-            user_id: result.value.user_id,
-            type: newBalance > 0 ? 'credit' : 'debit',
-            amount: Math.abs(newBalance),
-            description: newBalance > 0 ? 'Balance updated by admin' : 'Balance reduced by admin',
+        await ledger.setBalance(db, {
+            userId: user_id,
+            balance: newBalance,
             source: 'admin',
-            timestamp: new Date(),
-            balance_before: 0, // Since we're setting a new balance
-            balance_after: newBalance
-        };
-        
-        // Fire and forget transaction creation for better performance
-        db.collection('transactions').insertOne(transaction).catch(err => 
-            console.error('Transaction logging error:', err)
-        );
+            description: 'Balance updated by admin'
+        });
         
         res.json({ 
             success: true, 
             message: 'User balance updated successfully',
-            new_balance: result.value.balance
+            new_balance: newBalance
         });
     } catch (error) {
-        console.error('Error updating user balance:', error);
-        res.status(500).json({ success: false, message: 'Failed to update user balance' });
+        sendBalanceError(res, error, 'Failed to update user balance');
     }
 });
 
@@ -842,6 +531,14 @@ app.get('/admin/users', (req, res) => {
     res.sendFile(path.join(__dirname, '../admin/users.html'));
 });
 
+app.get('/admin/audit', (req, res) => {
+    res.sendFile(path.join(__dirname, '../admin/audit.html'));
+});
+
+app.get('/admin/2fa', (req, res) => {
+    res.sendFile(path.join(__dirname, '../admin/2fa.html'));
+});
+
 app.get('/admin/login', (req, res) => {
     res.sendFile(path.join(__dirname, '../admin/login.html'));
 });
@@ -871,6 +568,11 @@ app.get('/promo-codes', (req, res) => {
     res.sendFile(path.join(__dirname, '../promo-codes/index.html'));
 });
 
+// The old connection test pages; testing now lives on the APIs page (POST /api/apis/:id/test)
+app.get(['/api-config/connection', '/test-api'], (req, res) => {
+    res.redirect(301, '/admin/apis');
+});
+
 // 404 handler
 app.use('*', (req, res) => {
     res.status(404).json({
@@ -896,6 +598,16 @@ if (process.env.NODE_ENV !== 'production') {
         console.log(`🚀 Server running on port ${PORT}`);
         console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
         console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
+
+        // Serverless deployments call /api/otp/poll and /api/otp/expire on a schedule instead
+        if (process.env.SMS_POLLER_ENABLED !== 'false') {
+            smsPoller.start();
+            console.log('📨 SMS poller started');
+        }
+        if (process.env.ORDER_EXPIRY_ENABLED !== 'false') {
+            expirySweeper.start();
+            console.log('⏰ Order expiry sweeper started');
+        }
     });
 }
 
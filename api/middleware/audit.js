@@ -0,0 +1,205 @@
+const { ObjectId } = require('mongodb');
+const { connectToMongoDB } = require('../config/database');
+const { userIdCandidates } = require('../services/ledger');
+const { orderQuery } = require('../services/otp-number-service');
+const money = require('../utils/money');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Never copied into the log
+const SECRET_FIELDS = ['password', 'password_hash', 'apiKey', 'api_key', 'secret', 'pending_secret', 'backup_codes', 'token', 'challenge'];
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['updatedAt', 'updated_at'];
+
+function byObjectId(id) {
+    return ObjectId.isValid(id) ? { _id: new ObjectId(id) } : null;
+}
+
+function byUserId(id) {
+    if (id === undefined || id === null || id === '') {
+        return null;
+    }
+    if (!/^\d+$/.test(String(id)) && ObjectId.isValid(id)) {
+        return { _id: new ObjectId(id) };
+    }
+    return { user_id: { $in: userIdCandidates(id) } };
+}
+
+// `/otp/orders/:id` takes the order's _id, or the provider's order ID (narrowed by `?provider=`)
+function byOrderId(id, provider) {
+    if (!/^\d+$/.test(String(id)) && ObjectId.isValid(id)) {
+        return { _id: new ObjectId(id) };
+    }
+    return orderQuery(provider ? String(provider) : null, id);
+}
+
+const USER_BODY_ROUTES = /^\/(add_balance|cut_balance|qr_payment|promo_payment|order_payment|ban_user|unban_user|update_user|transactions)$/;
+
+/**
+ * Routes (relative to /api) → the record they change, as `{ entity, query }`. Requests that create
+ * a record name only the collection; the new record's id is taken from the response.
+ */
+const TARGETS = [
+    [USER_BODY_ROUTES, (match, req) => ({ entity: 'users', query: byUserId(req.body?.user_id) })],
+    [/^\/users\/([^/]+)$/, (match) => ({ entity: 'users', query: byUserId(match[1]) })],
+    [/^\/transactions\/([^/]+)\/reverse$/, (match) => ({ entity: 'transactions', query: byObjectId(match[1]) })],
+    [/^\/promo-codes\/validate\/([^/]+)$/, (match) => ({ entity: 'promo_codes', query: { code: match[1].toUpperCase() } })],
+    [/^\/exchange-rates\/([^/]+)$/, (match) => ({ entity: 'exchange_rates', query: { currency: match[1].toUpperCase() } })],
+    [/^\/admins\/([^/]+)(\/2fa)?$/, (match) => ({ entity: 'admins', query: { username: match[1] } })],
+    [/^\/auth\/2fa(\/\w+)?$/, (match, req) => ({ entity: 'admins', query: { username: req.admin.username } })],
+    [/^\/otp\/orders\/([^/]+)\/\w+$/, (match, req) => ({ entity: 'orders', query: byOrderId(match[1], req.query?.provider) })],
+    [/^\/otp\/(orders|purchase)$/, () => ({ entity: 'orders', query: null })],
+    [/^\/reconciliation\/run$/, () => ({ entity: 'reconciliation_runs', query: null })],
+    [/^\/(servers|services|basic-services|apis|orders|promo-codes)\/([^/]+)(\/test)?$/, (match) => ({
+        entity: collectionName(match[1]),
+        query: byObjectId(match[2])
+    })],
+    [/^\/(servers|services|basic-services|apis|orders|promo-codes|users|admins)$/, (match) => ({
+        entity: collectionName(match[1]),
+        query: null
+    })]
+];
+
+function collectionName(segment) {
+    return segment === 'basic-services' ? 'services' : segment.replace(/-/g, '_');
+}
+
+function resolveTarget(req) {
+    for (const [pattern, target] of TARGETS) {
+        const match = pattern.exec(req.path);
+        if (match) {
+            return target(match, req);
+        }
+    }
+    return { entity: null, query: null };
+}
+
+// Plain, storable copy of a document or request body, without secrets
+function plain(value) {
+    if (value === null || value === undefined) {
+        return value ?? null;
+    }
+    if (money.isDecimal(value)) {
+        return money.toNumber(value);
+    }
+    if (value instanceof ObjectId) {
+        return String(value);
+    }
+    if (value instanceof Date) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(plain);
+    }
+    if (typeof value === 'object') {
+        const copy = {};
+        for (const [key, field] of Object.entries(value)) {
+            copy[key] = SECRET_FIELDS.includes(key) ? '[redacted]' : plain(field);
+        }
+        return copy;
+    }
+    return value;
+}
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * The fields that differ between two snapshots: `{ field: { before, after } }`
+ */
+function diff(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const field of fields) {
+        if (field === '_id' || IGNORED_FIELDS.includes(field)) {
+            continue;
+        }
+        const from = before ? before[field] ?? null : null;
+        const to = after ? after[field] ?? null : null;
+        if (!same(from, to)) {
+            changes[field] = { before: from, after: to };
+        }
+    }
+    return changes;
+}
+
+async function snapshot(db, entity, query) {
+    if (!entity || !query) {
+        return null;
+    }
+    return plain(await db.collection(entity).findOne(query, { projection: { password_hash: 0 } }));
+}
+
+function createdId(body) {
+    const data = body && body.data;
+    const id = data && (data._id || data.id);
+    return id && ObjectId.isValid(String(id)) ? String(id) : null;
+}
+
+/**
+ * Record every mutating API request of a signed-in admin in `audit_log`: who (`actor`), what
+ * (`method`, `path`, `entity`, `entity_id`), the request body, the fields it changed (`changes`,
+ * read from the record before the handler runs and again after it answers), the outcome (`status`)
+ * and where from (`ip`). Mount after the auth guard; requests without `req.admin` are not logged.
+ */
+const auditTrail = async (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method) || !req.admin) {
+        return next();
+    }
+
+    try {
+        const { db } = await connectToMongoDB();
+        if (!db) {
+            return next();
+        }
+
+        const target = resolveTarget(req);
+        const before = await snapshot(db, target.entity, target.query);
+        const entry = {
+            at: new Date(),
+            actor: { id: req.admin.id, username: req.admin.username, role: req.admin.role },
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            entity: target.entity,
+            entity_id: before ? before._id : null,
+            body: plain(req.body || {}),
+            ip: req.ip,
+            forwarded_for: req.get('X-Forwarded-For') || null,
+            user_agent: req.get('User-Agent') || null
+        };
+
+        // Write the entry before the response goes out, so it is not lost when a serverless
+        // function is frozen right after answering
+        const originalJson = res.json;
+        res.json = function(body) {
+            const write = async () => {
+                entry.status = res.statusCode;
+                entry.replayed = res.get('Idempotent-Replayed') === 'true';
+
+                let after = before;
+                if (res.statusCode < 400) {
+                    const id = entry.entity_id || createdId(body);
+                    after = await snapshot(db, target.entity, id && !target.query ? byObjectId(id) : target.query);
+                    entry.entity_id = entry.entity_id || (after ? after._id : id);
+                }
+                entry.changes = diff(before, after);
+                await db.collection('audit_log').insertOne(entry);
+            };
+            write()
+                .catch(error => console.error('Audit log error:', error.message))
+                .finally(() => originalJson.call(this, body));
+            return this;
+        };
+
+        next();
+    } catch (error) {
+        console.error('Audit log error:', error.message);
+        next();
+    }
+};
+
+module.exports = {
+    auditTrail
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { errorResponse } = require('./logger');
+const adminAuth = require('../services/admin-auth');
+const twoFactor = require('../services/two-factor');
+
+const SESSION_COOKIE = 'admin_session';
+
+// While two-factor is required, a session that has not passed it can only reach these
+const TWO_FACTOR_SETUP_API = ['/api/auth/me', '/api/auth/logout', '/api/auth/2fa', '/api/auth/2fa/enroll', '/api/auth/2fa/activate'];
+const TWO_FACTOR_SETUP_PAGE = /^\/admin\/2fa(\.html)?$/;
+
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0 && part.slice(0, index).trim() === name) {
+            return decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+    return null;
+}
+
+function bearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+// The Telegram bot and other machine clients authenticate with BOT_API_KEY instead of a login
+function isServiceKey(value) {
+    const key = process.env.BOT_API_KEY;
+    if (!key || !value) {
+        return false;
+    }
+    const left = Buffer.from(String(value));
+    const right = Buffer.from(key);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * The signed-in admin (`{ id, username, role, mfa }`) for this request, or null.
+ * The role comes from the admin's current record, not from the token.
+ */
+async function resolveAdmin(req) {
+    const bearer = bearerToken(req);
+    if (isServiceKey(req.get('X-API-Key')) || isServiceKey(bearer)) {
+        return { id: 'service:bot', username: 'bot', role: 'service' };
+    }
+
+    const token = bearer || readCookie(req, SESSION_COOKIE);
+    if (!token) {
+        return null;
+    }
+    try {
+        const claims = adminAuth.verifyToken(token);
+        // Two-factor login challenges are not sessions
+        if (claims.purpose) {
+            return null;
+        }
+        const admin = await adminAuth.sessionAdmin(claims);
+        return admin ? { ...admin, mfa: Boolean(claims.mfa) } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function needsTwoFactorSetup(admin) {
+    return twoFactor.isRequired() && admin.role !== 'service' && !admin.mfa;
+}
+
+/**
+ * Reject API requests without an admin session or the service key (401), and sessions that still
+ * have to set up a required second factor (403); sets `req.admin`
+ */
+const requireAdmin = async (req, res, next) => {
+    const admin = await resolveAdmin(req);
+    if (!admin) {
+        return res.status(401).json(errorResponse('Authentication required', 401));
+    }
+    if (needsTwoFactorSetup(admin) && !TWO_FACTOR_SETUP_API.includes(req.originalUrl.split('?')[0])) {
+        return res.status(403).json(errorResponse('Set up two-factor authentication to continue', 403, { two_factor: 'setup_required' }));
+    }
+    req.admin = admin;
+    next();
+};
+
+/**
+ * Send visitors of admin pages without a session to the login page, and sessions that still have
+ * to set up a required second factor to the two-factor page
+ */
+const requireAdminPage = async (req, res, next) => {
+    const admin = await resolveAdmin(req);
+    if (!admin) {
+        return res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    if (needsTwoFactorSetup(admin) && !TWO_FACTOR_SETUP_PAGE.test(req.path)) {
+        return res.redirect('/admin/2fa');
+    }
+    next();
+};
+
+function setSessionCookie(req, res, token, expires) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure || req.get('X-Forwarded-Proto') === 'https',
+        path: '/',
+        expires
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    resolveAdmin,
+    requireAdmin,
+    requireAdminPage,
+    setSessionCookie,
+    clearSessionCookie
+};
@@ -13,6 +13,8 @@ function errorHandler(err, req, res, next) {
         error: {
             message,
             status: statusCode,
+            ...(typeof err.code === 'string' && { code: err.code }),
+            ...(err.details && { details: err.details }),
             ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
         }
     });
@@ -30,6 +32,33 @@ class AppError extends Error {
     }
 }
 
+// Error raised when an upstream OTP provider rejects a request
+class ProviderError extends AppError {
+    constructor(provider, code, message, statusCode = 502) {
+        super(`${provider}: ${message}`, statusCode);
+        this.provider = provider;
+        this.code = code;
+    }
+}
+
+// Error raised when an order is asked to make a transition its lifecycle does not allow
+class OrderStateError extends AppError {
+    constructor(from, to) {
+        super(`Order cannot move from ${from} to ${to}`, 409);
+        this.from = from;
+        this.to = to;
+    }
+}
+
+// Error raised when a debit would take a balance past its credit limit (402 Payment Required)
+class InsufficientFundsError extends AppError {
+    constructor(message, details = {}) {
+        super(message, 402);
+        this.code = 'INSUFFICIENT_FUNDS';
+        this.details = details;
+    }
+}
+
 // Async error wrapper
 function asyncHandler(fn) {
     return (req, res, next) => {
@@ -40,5 +69,8 @@ function asyncHandler(fn) {
 module.exports = {
     errorHandler,
     AppError,
+    ProviderError,
+    OrderStateError,
+    InsufficientFundsError,
     asyncHandler
 };
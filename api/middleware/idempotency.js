@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { connectToMongoDB } = require('../config/database');
+const { errorResponse } = require('./logger');
+
+// How long a stored response is replayed for duplicates of the same key
+const RETENTION_HOURS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+
+function hashRequest(req) {
+    return crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+}
+
+/**
+ * Claim `key` for this request. Returns null when claimed, or the stored record of an earlier request.
+ */
+async function claimKey(collection, record) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            await collection.insertOne(record);
+            return null;
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+
+        const existing = await collection.findOne({ key: record.key, scope: record.scope });
+        // The TTL monitor runs about once a minute, so an expired record may still be around
+        if (existing && existing.expires_at <= new Date()) {
+            await collection.deleteOne({ _id: existing._id });
+            continue;
+        }
+        if (existing) {
+            return existing;
+        }
+    }
+    return null;
+}
+
+/**
+ * Honour an `Idempotency-Key` header on money-moving endpoints.
+ * The first request with a key runs normally and its response is stored; retries with the same key
+ * and body get that response replayed (with `Idempotent-Replayed: true`) instead of running again.
+ * Server errors are not stored, so the request can be retried with the same key.
+ */
+const idempotency = () => async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json(errorResponse(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`, 400));
+    }
+
+    try {
+        const { db } = await connectToMongoDB();
+        if (!db) {
+            return next();
+        }
+
+        const collection = db.collection('idempotency_keys');
+        const now = new Date();
+        const record = {
+            key,
+            scope: `${req.method} ${req.baseUrl}${req.path}`,
+            request_hash: hashRequest(req),
+            status: 'processing',
+            response_status: null,
+            response_body: null,
+            created_at: now,
+            expires_at: new Date(now.getTime() + RETENTION_HOURS * 60 * 60 * 1000)
+        };
+
+        const existing = await claimKey(collection, record);
+        if (existing) {
+            if (existing.request_hash !== record.request_hash) {
+                return res.status(422).json(errorResponse('Idempotency-Key was already used for a different request', 422));
+            }
+            if (existing.status !== 'completed') {
+                return res.status(409).json(errorResponse('A request with this Idempotency-Key is still being processed', 409));
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.response_status).json(existing.response_body);
+        }
+
+        // Store the response before it goes out, so a retry that arrives right after gets the replay
+        const originalJson = res.json;
+        res.json = function(body) {
+            const update = res.statusCode >= 500
+                ? collection.deleteOne({ key: record.key, scope: record.scope })
+                : collection.updateOne(
+                    { key: record.key, scope: record.scope },
+                    { $set: { status: 'completed', response_status: res.statusCode, response_body: body, completed_at: new Date() } }
+                );
+            update
+                .catch(error => console.error('Idempotency record error:', error.message))
+                .finally(() => originalJson.call(this, body));
+            return this;
+        };
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    idempotency
+};
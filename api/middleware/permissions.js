@@ -0,0 +1,81 @@
+const { errorResponse } = require('./logger');
+
+// Admin roles, most to least privileged
+const ROLES = ['owner', 'finance', 'support', 'viewer'];
+
+// Logins from before roles existed were full admins
+const ROLE_ALIASES = { admin: 'owner' };
+
+// Permission → roles that have it. `service` is the Telegram bot (BOT_API_KEY).
+const PERMISSIONS = {
+    read: ['owner', 'finance', 'support', 'viewer', 'service'],
+    'balance:write': ['owner', 'finance', 'service'],
+    'transactions:export': ['owner', 'finance'],
+    'audit:read': ['owner', 'finance'],
+    'reconciliation:run': ['owner', 'finance'],
+    'promo:write': ['owner', 'finance'],
+    'rates:write': ['owner', 'finance'],
+    'users:write': ['owner', 'support', 'service'],
+    'users:ban': ['owner', 'support', 'service'],
+    'users:delete': ['owner'],
+    'orders:write': ['owner', 'support', 'service'],
+    'catalog:write': ['owner'],
+    'admins:manage': ['owner']
+};
+
+function normalizeRole(role) {
+    return ROLE_ALIASES[role] || role;
+}
+
+function can(role, permission) {
+    return (PERMISSIONS[permission] || []).includes(normalizeRole(role));
+}
+
+function permissionsFor(role) {
+    return Object.keys(PERMISSIONS).filter(permission => can(role, permission));
+}
+
+function deny(req, res, permissions) {
+    const missing = permissions.filter(permission => !can(req.admin?.role, permission));
+    if (missing.length === 0) {
+        return false;
+    }
+    res.status(403).json(errorResponse(`Your role (${req.admin?.role || 'none'}) cannot do this`, 403, { required: missing }));
+    return true;
+}
+
+/**
+ * Allow the route only for roles with every one of `permissions` (403 otherwise)
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+    if (!deny(req, res, permissions)) {
+        next();
+    }
+};
+
+/**
+ * Router-wide check: reads need `read`, anything else needs `write` — a permission, or a function
+ * of the request returning the permissions it needs
+ */
+const authorize = (write) => (req, res, next) => {
+    let permissions;
+    if (req.method === 'GET' || req.method === 'HEAD') {
+        permissions = ['read'];
+    } else {
+        permissions = typeof write === 'function' ? write(req) : [write];
+    }
+
+    if (!deny(req, res, permissions)) {
+        next();
+    }
+};
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    normalizeRole,
+    can,
+    permissionsFor,
+    requirePermission,
+    authorize
+};
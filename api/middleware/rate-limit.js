@@ -0,0 +1,63 @@
+const { connectToMongoDB } = require('../config/database');
+const { errorResponse } = require('./logger');
+
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+const MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100;
+
+/**
+ * Count one request against `key` in the current window and return the new count.
+ * Counters live in `rate_limits` so every serverless instance shares them; each window gets its
+ * own record, which the TTL index drops once the window is over.
+ */
+async function countRequest(collection, key, windowStart, windowMs) {
+    const filter = { key, window_start: windowStart };
+    const update = {
+        $inc: { count: 1 },
+        $setOnInsert: { expires_at: new Date(windowStart.getTime() + windowMs) }
+    };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const record = await collection.findOneAndUpdate(filter, update, { upsert: true, returnDocument: 'after' });
+            return record.count;
+        } catch (error) {
+            // Two first requests of a window raced to create the record; the second one now finds it
+            if (error.code !== 11000 || attempt > 0) {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Allow each client address at most `max` requests to the route per `windowMs`
+ * (RATE_LIMIT_MAX_REQUESTS per RATE_LIMIT_WINDOW_MS by default). Further requests get 429 with a
+ * `Retry-After` header until the window ends. `name` keeps the counters of different routes apart.
+ */
+const rateLimit = ({ name, windowMs = WINDOW_MS, max = MAX_REQUESTS }) => async (req, res, next) => {
+    try {
+        const { db } = await connectToMongoDB();
+        if (!db) {
+            return next();
+        }
+
+        const now = Date.now();
+        const windowStart = new Date(now - (now % windowMs));
+        const count = await countRequest(db.collection('rate_limits'), `${name}:${req.ip}`, windowStart, windowMs);
+
+        if (count > max) {
+            const retryAfter = Math.ceil((windowStart.getTime() + windowMs - now) / 1000);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json(errorResponse('Too many requests, try again later', 429, { retry_after: retryAfter }));
+        }
+        next();
+    } catch (error) {
+        // A broken counter should not lock admins out
+        console.error('Rate limit error:', error.message);
+        next();
+    }
+};
+
+module.exports = {
+    rateLimit
+};
@@ -0,0 +1,106 @@
+const express = require('express');
+const { connectToMongoDB } = require('../config/database');
+const { successResponse, errorResponse } = require('../middleware/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { requirePermission } = require('../middleware/permissions');
+const adminAuth = require('../services/admin-auth');
+const twoFactor = require('../services/two-factor');
+
+const router = express.Router();
+
+// Only owners manage admin logins
+router.use(requirePermission('admins:manage'));
+
+async function adminsDb() {
+    const { db } = await connectToMongoDB();
+    if (!db) {
+        throw new AppError('Database not available', 503);
+    }
+    return db;
+}
+
+// GET all admins (without password hashes or two-factor secrets)
+router.get('/', async (req, res, next) => {
+    try {
+        const db = await adminsDb();
+        const admins = await db.collection('admins')
+            .find({}, { projection: adminAuth.PUBLIC_PROJECTION })
+            .sort({ username: 1 })
+            .toArray();
+
+        res.json(successResponse(admins));
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        console.error('Error fetching admins:', error);
+        next(new AppError('Failed to fetch admins', 500));
+    }
+});
+
+// POST create an admin with { username, password, role }
+router.post('/', async (req, res, next) => {
+    try {
+        const { username, password, role } = req.body || {};
+
+        if (!username || !password || !role) {
+            return res.status(400).json(errorResponse('Username, password and role are required', 400));
+        }
+
+        const db = await adminsDb();
+        if (await db.collection('admins').findOne({ username: String(username) })) {
+            return res.status(409).json(errorResponse('An admin with this username already exists', 409));
+        }
+
+        const admin = await adminAuth.saveAdmin(db, { username, password, role });
+
+        res.status(201).json(successResponse(admin, 'Admin created'));
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        console.error('Error creating admin:', error);
+        next(new AppError('Failed to create admin', 500));
+    }
+});
+
+// PUT change an admin's role, status or password
+router.put('/:username', async (req, res, next) => {
+    try {
+        const { role, status, password } = req.body || {};
+
+        // Owners cannot lock themselves out
+        if (req.params.username === req.admin.username && (role !== undefined || status !== undefined)) {
+            return res.status(400).json(errorResponse('You cannot change your own role or status', 400));
+        }
+
+        const db = await adminsDb();
+        const admin = await adminAuth.updateAdmin(db, req.params.username, { role, status, password });
+
+        res.json(successResponse(admin, 'Admin updated'));
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        console.error('Error updating admin:', error);
+        next(new AppError('Failed to update admin', 500));
+    }
+});
+
+// DELETE an admin's two-factor setup (lost device); they can sign in with their password and enroll again
+router.delete('/:username/2fa', async (req, res, next) => {
+    try {
+        const db = await adminsDb();
+        await twoFactor.reset(db, req.params.username);
+
+        res.json(successResponse(null, 'Two-factor authentication reset'));
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        console.error('Error resetting two-factor authentication:', error);
+        next(new AppError('Failed to reset two-factor authentication', 500));
+    }
+});
+
+module.exports = router;
@@ -2,11 +2,27 @@ const express = require('express');
 const { ObjectId } = require('mongodb');
 const { connectToMongoDB } = require('../config/database');
 const { successResponse, errorResponse } = require('../middleware/logger');
-const { validateRequired, validateObjectId } = require('../utils/validation');
+const { validateObjectId } = require('../utils/validation');
+const { normalizeApiDefinition, validateApiDefinition } = require('../utils/api-definition');
 const { AppError } = require('../middleware/errorHandler');
+const { authorize, can } = require('../middleware/permissions');
+const APIConnectionTest = require('../services/api-connection-test');
 
 const router = express.Router();
 
+// Reads for every role; adding, editing, testing and deleting APIs is the owner's
+router.use(authorize('catalog:write'));
+
+// Only roles that may edit APIs see their keys; everyone else gets the last four characters
+// (none of a short key)
+function withVisibleKey(req, api) {
+    if (!api.apiKey || can(req.admin?.role, 'catalog:write')) {
+        return api;
+    }
+    const key = String(api.apiKey);
+    return { ...api, apiKey: key.length >= 12 ? `***${key.slice(-4)}` : '***' };
+}
+
 // GET all APIs
 router.get('/', async (req, res, next) => {
     try {
@@ -18,7 +34,7 @@ router.get('/', async (req, res, next) => {
         }
         
         const apis = await db.collection('apis').find({}).toArray();
-        res.json(successResponse(apis));
+        res.json(successResponse(apis.map(api => withVisibleKey(req, api))));
     } catch (error) {
         next(new AppError('Failed to fetch APIs', 500));
     }
@@ -45,27 +61,38 @@ router.get('/:id', async (req, res, next) => {
             return res.status(404).json(errorResponse('API not found'));
         }
         
-        res.json(successResponse(api));
+        res.json(successResponse(withVisibleKey(req, api)));
     } catch (error) {
         next(new AppError('Failed to fetch API', 500));
     }
 });
 
+// Respond with field-level validation errors
+function sendValidationErrors(res, errors) {
+    return res.status(400).json(errorResponse(
+        `Invalid API definition: ${Object.keys(errors).join(', ')}`,
+        400,
+        errors
+    ));
+}
+
+// Check that a linked server exists
+async function serverExists(db, serverId) {
+    if (!serverId) {
+        return true;
+    }
+    const server = await db.collection('servers').findOne({ _id: new ObjectId(serverId) }, { projection: { _id: 1 } });
+    return Boolean(server);
+}
+
 // POST create new API
 router.post('/', async (req, res, next) => {
     try {
-        const { 
-            name, 
-            baseUrl, 
-            apiKey, 
-            provider = '5sim',
-            status = 'active',
-            description = '',
-            endpoints = {}
-        } = req.body;
+        const { data, errors } = normalizeApiDefinition(req.body);
+        const allErrors = { ...validateApiDefinition(data), ...errors };
         
-        if (!validateRequired(name) || !validateRequired(baseUrl)) {
-            return res.status(400).json(errorResponse('Name and base URL are required'));
+        if (Object.keys(allErrors).length > 0) {
+            return sendValidationErrors(res, allErrors);
         }
         
         const { db } = await connectToMongoDB();
@@ -74,14 +101,12 @@ router.post('/', async (req, res, next) => {
             return res.status(503).json(errorResponse('Database not available'));
         }
         
+        if (!(await serverExists(db, data.serverId))) {
+            return sendValidationErrors(res, { serverId: 'Server not found' });
+        }
+        
         const newApi = {
-            name,
-            baseUrl,
-            apiKey: apiKey || '',
-            provider,
-            status,
-            description,
-            endpoints,
+            ...data,
             createdAt: new Date(),
             updatedAt: new Date()
         };
@@ -99,47 +124,50 @@ router.post('/', async (req, res, next) => {
 router.put('/:id', async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { 
-            name, 
-            baseUrl, 
-            apiKey, 
-            provider, 
-            status,
-            description,
-            endpoints
-        } = req.body;
         
         if (!validateObjectId(id)) {
             return res.status(400).json(errorResponse('Invalid API ID'));
         }
         
+        const { data, errors } = normalizeApiDefinition(req.body, { defaults: false });
+        
+        if (Object.keys(errors).length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        
         const { db } = await connectToMongoDB();
         
         if (!db) {
             return res.status(503).json(errorResponse('Database not available'));
         }
         
+        const existingApi = await db.collection('apis').findOne({ _id: new ObjectId(id) });
+        
+        if (!existingApi) {
+            return res.status(404).json(errorResponse('API not found'));
+        }
+        
+        // Validate the definition as it will look after the update
+        const mergedErrors = validateApiDefinition({ ...existingApi, ...data });
+        
+        if (Object.keys(mergedErrors).length > 0) {
+            return sendValidationErrors(res, mergedErrors);
+        }
+        
+        if (data.serverId !== undefined && !(await serverExists(db, data.serverId))) {
+            return sendValidationErrors(res, { serverId: 'Server not found' });
+        }
+        
         const updateData = {
+            ...data,
             updatedAt: new Date()
         };
         
-        if (name !== undefined) updateData.name = name;
-        if (baseUrl !== undefined) updateData.baseUrl = baseUrl;
-        if (apiKey !== undefined) updateData.apiKey = apiKey;
-        if (provider !== undefined) updateData.provider = provider;
-        if (status !== undefined) updateData.status = status;
-        if (description !== undefined) updateData.description = description;
-        if (endpoints !== undefined) updateData.endpoints = endpoints;
-        
-        const result = await db.collection('apis').updateOne(
+        await db.collection('apis').updateOne(
             { _id: new ObjectId(id) },
             { $set: updateData }
         );
         
-        if (result.matchedCount === 0) {
-            return res.status(404).json(errorResponse('API not found'));
-        }
-        
         const updatedApi = await db.collection('apis').findOne({ _id: new ObjectId(id) });
         
         res.json(successResponse(updatedApi, 'API updated successfully'));
@@ -148,6 +176,36 @@ router.put('/:id', async (req, res, next) => {
     }
 });
 
+// POST dry-run the provider connection (balance, countries, products, template preview)
+router.post('/:id/test', async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { country, product } = req.body || {};
+        
+        if (!validateObjectId(id)) {
+            return res.status(400).json(errorResponse('Invalid API ID'));
+        }
+        
+        const { db } = await connectToMongoDB();
+        
+        if (!db) {
+            return res.status(503).json(errorResponse('Database not available'));
+        }
+        
+        const api = await db.collection('apis').findOne({ _id: new ObjectId(id) });
+        
+        if (!api) {
+            return res.status(404).json(errorResponse('API not found'));
+        }
+        
+        const report = await new APIConnectionTest(api, { country, product }).run();
+        
+        res.json(successResponse(report, report.success ? 'Connection test passed' : 'Connection test failed'));
+    } catch (error) {
+        next(new AppError(`Failed to test API connection: ${error.message}`, 500));
+    }
+});
+
 // DELETE API
 router.delete('/:id', async (req, res, next) => {
     try {
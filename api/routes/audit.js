@@ -0,0 +1,30 @@
+const express = require('express');
+const { connectToMongoDB } = require('../config/database');
+const { successResponse } = require('../middleware/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { requirePermission } = require('../middleware/permissions');
+const auditLog = require('../services/audit-log');
+
+const router = express.Router();
+
+router.use(requirePermission('audit:read'));
+
+// GET audit log entries, newest first (filters and paging: services/audit-log.js)
+router.get('/', async (req, res, next) => {
+    try {
+        const { db } = await connectToMongoDB();
+        if (!db) {
+            return next(new AppError('Database not available', 503));
+        }
+
+        res.json(successResponse(await auditLog.listPage(db, req.query)));
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        console.error('Error fetching audit log:', error);
+        next(new AppError('Failed to fetch audit log', 500));
+    }
+});
+
+module.exports = router;
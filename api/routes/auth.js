@@ -0,0 +1,134 @@
+const express = require('express');
+const { successResponse, errorResponse } = require('../middleware/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { requireAdmin, setSessionCookie, clearSessionCookie } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rate-limit');
+const { permissionsFor } = require('../middleware/permissions');
+const { connectToMongoDB } = require('../config/database');
+const adminAuth = require('../services/admin-auth');
+const twoFactor = require('../services/two-factor');
+
+const router = express.Router();
+
+// POST sign in with { username, password }; sets the session cookie and returns the token, or
+// returns { two_factor_required, challenge } for admins with two-factor on
+router.post('/login', rateLimit({ name: 'login' }), async (req, res, next) => {
+    try {
+        const { username, password } = req.body || {};
+
+        if (!username || !password) {
+            return res.status(400).json(errorResponse('Username and password are required', 400));
+        }
+
+        const result = await adminAuth.login(username, password);
+        if (result.two_factor_required) {
+            return res.json(successResponse(result, 'Enter your two-factor code'));
+        }
+        setSessionCookie(req, res, result.token, result.expires_at);
+
+        res.json(successResponse(result, 'Signed in'));
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        console.error('Error signing in:', error);
+        next(new AppError('Failed to sign in', 500));
+    }
+});
+
+// POST finish a two-factor sign in with { challenge, code } (an authenticator or backup code)
+router.post('/login/verify', rateLimit({ name: 'login' }), async (req, res, next) => {
+    try {
+        const { challenge, code } = req.body || {};
+
+        if (!challenge || !code) {
+            return res.status(400).json(errorResponse('Challenge and code are required', 400));
+        }
+
+        const session = await adminAuth.completeLogin(challenge, code);
+        setSessionCookie(req, res, session.token, session.expires_at);
+
+        res.json(successResponse(session, 'Signed in'));
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        console.error('Error verifying two-factor code:', error);
+        next(new AppError('Failed to sign in', 500));
+    }
+});
+
+// POST sign out (clears the session cookie)
+router.post('/logout', (req, res) => {
+    clearSessionCookie(res);
+    res.json(successResponse(null, 'Signed out'));
+});
+
+// GET the signed-in admin and what their role may do
+router.get('/me', requireAdmin, (req, res) => {
+    res.json(successResponse({ ...req.admin, permissions: permissionsFor(req.admin.role) }));
+});
+
+async function adminsDb() {
+    const { db } = await connectToMongoDB();
+    if (!db) {
+        throw new AppError('Database not available', 503);
+    }
+    return db;
+}
+
+// Handlers for the signed-in admin's own two-factor setup
+function twoFactorRoute(label, handler) {
+    return async (req, res, next) => {
+        try {
+            await handler(req, res, await adminsDb());
+        } catch (error) {
+            if (error instanceof AppError) {
+                return next(error);
+            }
+            console.error(`Error with two-factor ${label}:`, error);
+            next(new AppError(`Failed to ${label}`, 500));
+        }
+    };
+}
+
+// GET two-factor status of the signed-in admin
+router.get('/2fa', requireAdmin, twoFactorRoute('load status', async (req, res, db) => {
+    const record = await db.collection('admins').findOne({ username: req.admin.username });
+    res.json(successResponse({
+        ...twoFactor.status(record),
+        available: Boolean(record),
+        session_verified: req.admin.mfa
+    }));
+}));
+
+// POST start enrollment: returns the secret, its otpauth:// URI and a QR code (SVG)
+router.post('/2fa/enroll', requireAdmin, twoFactorRoute('start enrollment', async (req, res, db) => {
+    const enrollment = await twoFactor.startEnrollment(db, req.admin.username);
+    res.json(successResponse(enrollment, 'Scan the QR code, then confirm with a code'));
+}));
+
+// POST { code } turn two-factor on; returns the backup codes once and a session that passed it
+router.post('/2fa/activate', requireAdmin, twoFactorRoute('turn on two-factor', async (req, res, db) => {
+    const backupCodes = await twoFactor.activate(db, req.admin.username, (req.body || {}).code);
+
+    const { id, username, role, session_version } = req.admin;
+    const session = adminAuth.issueSession({ id, username, role, two_factor: true, session_version }, { mfa: true });
+    setSessionCookie(req, res, session.token, session.expires_at);
+
+    res.json(successResponse({ ...session, backup_codes: backupCodes }, 'Two-factor authentication is on'));
+}));
+
+// POST { code } replace the backup codes
+router.post('/2fa/backup-codes', requireAdmin, twoFactorRoute('replace backup codes', async (req, res, db) => {
+    const backupCodes = await twoFactor.regenerateBackupCodes(db, req.admin.username, (req.body || {}).code);
+    res.json(successResponse({ backup_codes: backupCodes }, 'New backup codes created'));
+}));
+
+// POST { code } turn two-factor off (not while ADMIN_REQUIRE_2FA is on)
+router.post('/2fa/disable', requireAdmin, twoFactorRoute('turn off two-factor', async (req, res, db) => {
+    await twoFactor.disable(db, req.admin.username, (req.body || {}).code);
+    res.json(successResponse(null, 'Two-factor authentication is off'));
+}));
+
+module.exports = router;
@@ -2,12 +2,23 @@ const express = require('express');
 const { connectToMongoDB } = require('../config/database');
 const { successResponse, errorResponse } = require('../middleware/logger');
 const { AppError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/permissions');
+const exchangeRates = require('../services/exchange-rates');
 
 const router = express.Router();
 
-// GET dashboard statistics
+// The dashboard only reads
+router.use(authorize('read'));
+
+// GET dashboard statistics (revenue in ?currency=, the base currency by default)
 router.get('/stats', async (req, res, next) => {
     try {
+        const currency = exchangeRates.normalizeCurrency(req.query.currency || exchangeRates.BASE_CURRENCY);
+        
+        if (!currency) {
+            return res.status(400).json(errorResponse('Currency must be a three-letter ISO 4217 code', 400));
+        }
+        
         const { db } = await connectToMongoDB();
         
         if (!db) {
@@ -19,7 +30,8 @@ router.get('/stats', async (req, res, next) => {
                 activeServers: 0,
                 activeServices: 0,
                 todayOrders: 0,
-                todayRevenue: 0
+                todayRevenue: 0,
+                currency
             }));
         }
         
@@ -30,7 +42,7 @@ router.get('/stats', async (req, res, next) => {
         tomorrow.setDate(tomorrow.getDate() + 1);
         
         // Aggregate statistics
-        const [userStats, orderStats, serverStats, serviceStats, todayStats] = await Promise.all([
+        const [userStats, orderStats, serverStats, serviceStats, todayStats, revenue, todayRevenue] = await Promise.all([
             // User statistics
             db.collection('users').aggregate([
                 {
@@ -50,7 +62,6 @@ router.get('/stats', async (req, res, next) => {
                     $group: {
                         _id: null,
                         totalOrders: { $sum: 1 },
-                        totalRevenue: { $sum: '$cost' },
                         completedOrders: {
                             $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
                         }
@@ -97,21 +108,32 @@ router.get('/stats', async (req, res, next) => {
                 {
                     $group: {
                         _id: null,
-                        todayOrders: { $sum: 1 },
-                        todayRevenue: { $sum: '$cost' }
+                        todayOrders: { $sum: 1 }
                     }
                 }
-            ]).toArray()
+            ]).toArray(),
+            
+            // Revenue from provider costs, normalized to one currency
+            exchangeRates.totalIn(db, { collection: 'orders', amountField: 'cost', currencyField: 'costCurrency', target: currency }),
+            exchangeRates.totalIn(db, {
+                collection: 'orders',
+                match: { createdAt: { $gte: today, $lt: tomorrow } },
+                amountField: 'cost',
+                currencyField: 'costCurrency',
+                target: currency
+            })
         ]);
         
         const stats = {
             totalUsers: userStats[0]?.totalUsers || 0,
             totalOrders: orderStats[0]?.totalOrders || 0,
-            totalRevenue: orderStats[0]?.totalRevenue || 0,
+            totalRevenue: revenue.total,
             activeServers: serverStats[0]?.activeServers || 0,
             activeServices: serviceStats[0]?.activeServices || 0,
             todayOrders: todayStats[0]?.todayOrders || 0,
-            todayRevenue: todayStats[0]?.todayRevenue || 0
+            todayRevenue: todayRevenue.total,
+            currency,
+            missingRates: revenue.missing_rates
         };
         
         res.json(successResponse(stats));
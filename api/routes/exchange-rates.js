@@ -0,0 +1,77 @@
+const express = require('express');
+const { connectToMongoDB } = require('../config/database');
+const { successResponse, errorResponse } = require('../middleware/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/permissions');
+const exchangeRates = require('../services/exchange-rates');
+
+const router = express.Router();
+
+// Reads for every role; rates are set by finance
+router.use(authorize('rates:write'));
+
+// GET the base currency and every stored rate
+router.get('/', async (req, res, next) => {
+    try {
+        res.json(successResponse(await exchangeRates.listRates()));
+    } catch (error) {
+        next(new AppError('Failed to fetch exchange rates', 500));
+    }
+});
+
+// GET convert an amount: ?amount=100&from=RUB&to=INR
+router.get('/convert', async (req, res, next) => {
+    try {
+        const from = exchangeRates.normalizeCurrency(req.query.from);
+        const to = exchangeRates.normalizeCurrency(req.query.to || exchangeRates.BASE_CURRENCY);
+
+        if (!from || !to) {
+            return res.status(400).json(errorResponse('from and to must be three-letter ISO 4217 codes', 400));
+        }
+
+        const { db } = await connectToMongoDB();
+        const rates = await exchangeRates.loadRates(db);
+        const amount = exchangeRates.convert(req.query.amount, from, to, rates);
+
+        res.json(successResponse({ amount, currency: to, from: { amount: req.query.amount, currency: from } }));
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        next(new AppError('Failed to convert amount', 500));
+    }
+});
+
+// PUT create or replace the rate for a currency: { rate } = value of one unit in the base currency
+router.put('/:currency', async (req, res, next) => {
+    try {
+        const { rate } = req.body || {};
+
+        if (rate === undefined || rate === null || rate === '') {
+            return res.status(400).json(errorResponse('Rate is required', 400));
+        }
+
+        const record = await exchangeRates.setRate(req.params.currency, rate, req.admin.username);
+        res.json(successResponse(record, 'Exchange rate saved'));
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        next(new AppError('Failed to save exchange rate', 500));
+    }
+});
+
+// DELETE a currency's rate
+router.delete('/:currency', async (req, res, next) => {
+    try {
+        await exchangeRates.deleteRate(req.params.currency);
+        res.json(successResponse(null, 'Exchange rate deleted'));
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        next(new AppError('Failed to delete exchange rate', 500));
+    }
+});
+
+module.exports = router;
@@ -3,10 +3,28 @@ const { ObjectId } = require('mongodb');
 const { connectToMongoDB } = require('../config/database');
 const { successResponse, errorResponse } = require('../middleware/logger');
 const { validateRequired, validateObjectId } = require('../utils/validation');
-const { AppError } = require('../middleware/errorHandler');
+const { AppError, OrderStateError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/permissions');
+const {
+    ORDER_STATUS,
+    ACTIVE_STATUSES,
+    TRANSITIONS,
+    normalizeStatus,
+    isValidStatus,
+    assertTransition,
+    adminActor,
+    initialHistory
+} = require('../services/order-state');
+const { transitionAndSettle } = require('../services/balance-holds');
+const { otpService } = require('../services/background-jobs');
+const money = require('../utils/money');
+const exchangeRates = require('../services/exchange-rates');
 
 const router = express.Router();
 
+// Reads for every role; creating and updating orders needs orders:write
+router.use(authorize('orders:write'));
+
 // GET all orders
 router.get('/', async (req, res, next) => {
     try {
@@ -61,7 +79,8 @@ router.post('/', async (req, res, next) => {
             country, 
             product, 
             cost = 0,
-            status = 'pending',
+            costCurrency = null,
+            status = ORDER_STATUS.CREATED,
             provider = '5sim'
         } = req.body;
         
@@ -69,6 +88,15 @@ router.post('/', async (req, res, next) => {
             return res.status(400).json(errorResponse('User ID and service ID are required'));
         }
         
+        if (costCurrency && !exchangeRates.normalizeCurrency(costCurrency)) {
+            return res.status(400).json(errorResponse('Cost currency must be a three-letter ISO 4217 code'));
+        }
+        
+        // New orders always start at the beginning of the lifecycle
+        if (normalizeStatus(status) !== ORDER_STATUS.CREATED) {
+            return res.status(400).json(errorResponse(`New orders must start as ${ORDER_STATUS.CREATED}`));
+        }
+        
         const { db } = await connectToMongoDB();
         
         if (!db) {
@@ -81,9 +109,11 @@ router.post('/', async (req, res, next) => {
             phone,
             country,
             product,
-            cost: parseFloat(cost) || 0,
-            status,
+            cost: money.toDecimal(cost, null),
+            costCurrency: costCurrency ? exchangeRates.normalizeCurrency(costCurrency) : null,
+            status: ORDER_STATUS.CREATED,
             provider,
+            history: initialHistory({ actor: adminActor(req.admin) }),
             createdAt: new Date(),
             updatedAt: new Date()
         };
@@ -97,7 +127,22 @@ router.post('/', async (req, res, next) => {
     }
 });
 
-// PUT update order
+// Refund an order's payment to the user's balance and mark it refunded. Returns false if there is no such order.
+async function refundOrder(db, _id, actor) {
+    const order = await db.collection('orders').findOne({ _id });
+    if (!order) {
+        return false;
+    }
+    assertTransition(order.status, ORDER_STATUS.REFUNDED);
+    
+    const refund = await otpService.refundOrder(order, normalizeStatus(order.status), actor);
+    if (!refund) {
+        throw new AppError('Nothing was charged for this order, so there is nothing to refund', 409);
+    }
+    return true;
+}
+
+// PUT update order; status changes must follow the order lifecycle (refunded pays the user back)
 router.put('/:id', async (req, res, next) => {
     try {
         const { id } = req.params;
@@ -107,52 +152,95 @@ router.put('/:id', async (req, res, next) => {
             sms, 
             code,
             cost,
-            completedAt,
-            cancelledAt
+            costCurrency,
+            reason
         } = req.body;
         
         if (!validateObjectId(id)) {
             return res.status(400).json(errorResponse('Invalid order ID'));
         }
         
+        if (costCurrency && !exchangeRates.normalizeCurrency(costCurrency)) {
+            return res.status(400).json(errorResponse('Cost currency must be a three-letter ISO 4217 code'));
+        }
+        
+        if (status !== undefined && !isValidStatus(status)) {
+            return res.status(400).json(errorResponse(
+                `Invalid status. Must be one of: ${Object.keys(TRANSITIONS).join(', ')}`
+            ));
+        }
+        
         const { db } = await connectToMongoDB();
         
         if (!db) {
             return res.status(503).json(errorResponse('Database not available'));
         }
         
-        const updateData = {
-            updatedAt: new Date()
-        };
+        const updateData = {};
         
-        if (status !== undefined) updateData.status = status;
         if (phone !== undefined) updateData.phone = phone;
         if (sms !== undefined) updateData.sms = sms;
         if (code !== undefined) updateData.code = code;
-        if (cost !== undefined) updateData.cost = parseFloat(cost) || 0;
-        if (completedAt !== undefined) updateData.completedAt = completedAt;
-        if (cancelledAt !== undefined) updateData.cancelledAt = cancelledAt;
+        if (cost !== undefined) updateData.cost = money.toDecimal(cost, null);
+        if (costCurrency !== undefined) updateData.costCurrency = costCurrency ? exchangeRates.normalizeCurrency(costCurrency) : null;
         
-        const result = await db.collection('orders').updateOne(
-            { _id: new ObjectId(id) },
-            { $set: updateData }
-        );
+        let updatedOrder;
         
-        if (result.matchedCount === 0) {
-            return res.status(404).json(errorResponse('Order not found'));
+        if (status !== undefined && normalizeStatus(status) === ORDER_STATUS.REFUNDED) {
+            // Refunding pays the user back, so it goes through the refund path that writes the ledger entry
+            if (!await refundOrder(db, new ObjectId(id), adminActor(req.admin))) {
+                return res.status(404).json(errorResponse('Order not found'));
+            }
+            updatedOrder = await db.collection('orders').findOneAndUpdate(
+                { _id: new ObjectId(id) },
+                { $set: { ...updateData, updatedAt: new Date() } },
+                { returnDocument: 'after' }
+            );
+        } else if (status !== undefined) {
+            // Timestamps such as completedAt are set by the transition itself; the user's hold is
+            // charged or given back in the same transaction
+            updatedOrder = await transitionAndSettle(db, { _id: new ObjectId(id) }, status, {
+                actor: adminActor(req.admin),
+                reason: reason || null,
+                set: updateData
+            });
+        } else {
+            updatedOrder = await db.collection('orders').findOneAndUpdate(
+                { _id: new ObjectId(id) },
+                { $set: { ...updateData, updatedAt: new Date() } },
+                { returnDocument: 'after' }
+            );
         }
         
-        const updatedOrder = await db.collection('orders').findOne({ _id: new ObjectId(id) });
+        if (!updatedOrder) {
+            return res.status(404).json(errorResponse('Order not found'));
+        }
         
         res.json(successResponse(updatedOrder, 'Order updated successfully'));
     } catch (error) {
+        if (error instanceof OrderStateError) {
+            return res.status(409).json(errorResponse(error.message, 409, {
+                from: error.from,
+                to: error.to,
+                allowed: TRANSITIONS[error.from] || []
+            }));
+        }
+        if (error instanceof AppError) {
+            return next(error);
+        }
         next(new AppError('Failed to update order', 500));
     }
 });
 
-// GET order statistics
+// GET order statistics (revenue in ?currency=, the base currency by default)
 router.get('/stats/summary', async (req, res, next) => {
     try {
+        const currency = exchangeRates.normalizeCurrency(req.query.currency || exchangeRates.BASE_CURRENCY);
+        
+        if (!currency) {
+            return res.status(400).json(errorResponse('Currency must be a three-letter ISO 4217 code', 400));
+        }
+        
         const { db } = await connectToMongoDB();
         
         if (!db) {
@@ -161,7 +249,8 @@ router.get('/stats/summary', async (req, res, next) => {
                 totalRevenue: 0,
                 completedOrders: 0,
                 pendingOrders: 0,
-                cancelledOrders: 0
+                cancelledOrders: 0,
+                currency
             }));
         }
         
@@ -170,12 +259,11 @@ router.get('/stats/summary', async (req, res, next) => {
                 $group: {
                     _id: null,
                     totalOrders: { $sum: 1 },
-                    totalRevenue: { $sum: '$cost' },
                     completedOrders: {
                         $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
                     },
                     pendingOrders: {
-                        $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
+                        $sum: { $cond: [{ $in: ['$status', ACTIVE_STATUSES] }, 1, 0] }
                     },
                     cancelledOrders: {
                         $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] }
@@ -184,12 +272,24 @@ router.get('/stats/summary', async (req, res, next) => {
             }
         ]).toArray();
         
-        const summary = stats[0] || {
-            totalOrders: 0,
-            totalRevenue: 0,
-            completedOrders: 0,
-            pendingOrders: 0,
-            cancelledOrders: 0
+        const revenue = await exchangeRates.totalIn(db, {
+            collection: 'orders',
+            amountField: 'cost',
+            currencyField: 'costCurrency',
+            target: currency
+        });
+        
+        const summary = {
+            ...(stats[0] || {
+                totalOrders: 0,
+                completedOrders: 0,
+                pendingOrders: 0,
+                cancelledOrders: 0
+            }),
+            totalRevenue: revenue.total,
+            currency,
+            revenueByCurrency: revenue.by_currency,
+            missingRates: revenue.missing_rates
         };
         
         res.json(successResponse(summary));
@@ -0,0 +1,330 @@
+const express = require('express');
+const { successResponse, errorResponse } = require('../middleware/logger');
+const { validateRequired, validateObjectId } = require('../utils/validation');
+const { AppError, OrderStateError } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
+const { authorize } = require('../middleware/permissions');
+const { otpService, smsPoller, expirySweeper } = require('../services/background-jobs');
+const { adminActor } = require('../services/order-state');
+const PurchaseService = require('../services/purchase-service');
+const { BASE_CURRENCY, normalizeCurrency } = require('../services/exchange-rates');
+
+const router = express.Router();
+const purchaseService = new PurchaseService(otpService);
+
+// Shape an order document the way the services page renders it
+function formatOrder(order) {
+    const sms = Array.isArray(order.sms) && order.sms.length > 0 ? order.sms[0] : null;
+
+    return {
+        id: order._id?.toString(),
+        order_id: order.orderId,
+        phone_number: order.phone || null,
+        provider: order.provider,
+        service: order.product,
+        country: order.country,
+        status: order.status,
+        cost: order.cost || 0,
+        price: order.price || 0,
+        currency: order.costCurrency || order.currency || '',
+        price_currency: order.priceCurrency || '',
+        user_id: order.userId || null,
+        otp: order.code || null,
+        message: sms ? sms.text : null,
+        created_at: order.createdAt,
+        updated_at: order.updatedAt || null,
+        completed_at: order.completedAt || null,
+        cancelled_at: order.cancelledAt || null,
+        history: order.history || []
+    };
+}
+
+// Load an order by database ID, or by provider order ID (narrowed by ?provider=), or respond with 404.
+// Providers reuse numeric order IDs, so an ID several providers have is answered with 409.
+async function findOrderOr404(req, res) {
+    const { id } = req.params;
+    const { provider } = req.query;
+
+    let order = null;
+    if (validateObjectId(id) && !/^\d+$/.test(id)) {
+        order = await otpService.getOrderById(id);
+    } else if (provider) {
+        order = await otpService.getOrder(id, String(provider));
+    } else {
+        const matches = await otpService.findOrders(id);
+        if (matches.length > 1) {
+            res.status(409).json(errorResponse('Several providers have an order with this ID; add ?provider=', 409, {
+                providers: matches.map(match => match.provider)
+            }));
+            return null;
+        }
+        order = matches[0] || null;
+    }
+
+    if (!order) {
+        res.status(404).json(errorResponse('Order not found', 404));
+        return null;
+    }
+
+    return order;
+}
+
+// Handler that runs one pass of a background worker (for schedulers on serverless deployments)
+function runWorker(worker, label) {
+    return async (req, res, next) => {
+        try {
+            // These endpoints skip admin login, so they stay closed until a secret is configured
+            const secret = process.env.CRON_SECRET;
+            if (!secret) {
+                return res.status(503).json(errorResponse('Worker endpoints are disabled: set CRON_SECRET', 503));
+            }
+            if (req.headers.authorization !== `Bearer ${secret}`) {
+                return res.status(401).json(errorResponse('Unauthorized', 401));
+            }
+
+            const summary = await worker.tick();
+            res.json(successResponse(summary, `${label} completed`));
+        } catch (error) {
+            next(new AppError(`${label} failed`, 500));
+        }
+    };
+}
+
+// GET/POST poll waiting orders for SMS
+router.get('/poll', runWorker(smsPoller, 'SMS poll'));
+router.post('/poll', runWorker(smsPoller, 'SMS poll'));
+
+// GET/POST expire and refund orders past their window
+router.get('/expire', runWorker(expirySweeper, 'Order expiry sweep'));
+router.post('/expire', runWorker(expirySweeper, 'Order expiry sweep'));
+
+// The worker endpoints above only take the CRON_SECRET bearer token; everything below needs an admin role
+router.use(authorize('orders:write'));
+
+// GET order statistics
+router.get('/statistics', async (req, res, next) => {
+    try {
+        const { userId, currency = BASE_CURRENCY } = req.query;
+        const target = normalizeCurrency(currency);
+        if (!target) {
+            return res.status(400).json(errorResponse('Currency must be a three-letter ISO 4217 code', 400));
+        }
+
+        const stats = await otpService.getOrderStatistics(userId || null, target);
+
+        res.json(successResponse({
+            total_orders: stats.total || 0,
+            completed_orders: stats.completed || 0,
+            pending_orders: stats.pending || 0,
+            cancelled_orders: stats.cancelled || 0,
+            expired_orders: stats.expired || 0,
+            refunded_orders: stats.refunded || 0,
+            total_revenue: stats.totalEarnings || 0,
+            currency: stats.currency,
+            revenue_by_currency: stats.earningsByCurrency,
+            missing_rates: stats.missingRates
+        }));
+    } catch (error) {
+        next(new AppError('Failed to fetch OTP statistics', 500));
+    }
+});
+
+// GET registered providers
+router.get('/providers', (req, res) => {
+    res.json(successResponse(otpService.getProviders()));
+});
+
+// GET available countries for a provider
+router.get('/countries', async (req, res, next) => {
+    try {
+        const { provider = '5sim' } = req.query;
+        const countries = await otpService.getCountries(provider);
+        res.json(successResponse(countries));
+    } catch (error) {
+        next(new AppError(`Failed to fetch countries: ${error.message}`, 502));
+    }
+});
+
+// GET available products for a provider and country
+router.get('/products', async (req, res, next) => {
+    try {
+        const { provider = '5sim', country = 'russia' } = req.query;
+        const products = await otpService.getProducts(provider, country);
+        res.json(successResponse(products));
+    } catch (error) {
+        next(new AppError(`Failed to fetch products: ${error.message}`, 502));
+    }
+});
+
+// GET provider account balance
+router.get('/balance', async (req, res, next) => {
+    try {
+        const { provider = '5sim' } = req.query;
+        const balance = await otpService.getBalance(provider);
+        res.json(successResponse(balance));
+    } catch (error) {
+        next(new AppError(`Failed to fetch provider balance: ${error.message}`, 502));
+    }
+});
+
+// GET orders with pagination and filters
+router.get('/orders', async (req, res, next) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const { status, provider, service, userId, q } = req.query;
+
+        const result = await otpService.listOrders({
+            page,
+            limit,
+            status,
+            provider,
+            service,
+            userId,
+            search: q
+        });
+
+        res.json(successResponse({
+            orders: result.orders.map(formatOrder),
+            pagination: {
+                page: result.page,
+                limit: result.limit,
+                total: result.total,
+                totalPages: result.totalPages
+            }
+        }));
+    } catch (error) {
+        next(new AppError('Failed to fetch OTP orders', 500));
+    }
+});
+
+// POST buy a number
+router.post('/orders', async (req, res, next) => {
+    try {
+        const {
+            provider = '5sim',
+            country = 'russia',
+            product = 'any',
+            operator = 'any',
+            userId = null
+        } = req.body;
+
+        if (!validateRequired(product)) {
+            return res.status(400).json(errorResponse('Product is required', 400));
+        }
+
+        const actor = userId ? `user:${userId}` : adminActor(req.admin);
+        const order = await otpService.buyNumber(provider, country, product, operator, userId, actor);
+
+        res.status(201).json(successResponse(order, 'Number purchased successfully'));
+    } catch (error) {
+        next(new AppError(`Failed to purchase number: ${error.message}`, 502));
+    }
+});
+
+// POST buy a number for a user and charge their balance in one step
+router.post('/purchase', idempotency(), async (req, res, next) => {
+    try {
+        const { user_id, service_id, operator = 'any' } = req.body;
+
+        if (!validateRequired(user_id) || !validateRequired(service_id)) {
+            return res.status(400).json(errorResponse('user_id and service_id are required', 400));
+        }
+
+        const { order, newBalance } = await purchaseService.purchase({
+            userId: user_id,
+            serviceId: service_id,
+            operator,
+            actor: `user:${user_id}`
+        });
+
+        res.status(201).json(successResponse({
+            order: formatOrder(order),
+            new_balance: newBalance
+        }, 'Number purchased successfully'));
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        next(new AppError(`Failed to purchase number: ${error.message}`, 500));
+    }
+});
+
+// GET order by database ID or provider order ID
+router.get('/orders/:id', async (req, res, next) => {
+    try {
+        const order = await findOrderOr404(req, res);
+        if (!order) return;
+
+        res.json(successResponse(formatOrder(order)));
+    } catch (error) {
+        next(new AppError('Failed to fetch OTP order', 500));
+    }
+});
+
+// GET check an order for incoming SMS
+router.get('/orders/:id/check', async (req, res, next) => {
+    try {
+        const order = await findOrderOr404(req, res);
+        if (!order) return;
+
+        const result = await otpService.checkSMS(order.provider, order.orderId);
+
+        res.json(successResponse(result));
+    } catch (error) {
+        next(new AppError(`Failed to check SMS: ${error.message}`, 502));
+    }
+});
+
+// POST finish an order
+router.post('/orders/:id/finish', async (req, res, next) => {
+    try {
+        const order = await findOrderOr404(req, res);
+        if (!order) return;
+
+        const result = await otpService.finishOrder(order.provider, order.orderId, adminActor(req.admin));
+
+        res.json(successResponse(result, 'Order finished successfully'));
+    } catch (error) {
+        if (error instanceof OrderStateError) {
+            return next(error);
+        }
+        next(new AppError(`Failed to finish order: ${error.message}`, 502));
+    }
+});
+
+// POST request another SMS for an order
+router.post('/orders/:id/retry', async (req, res, next) => {
+    try {
+        const order = await findOrderOr404(req, res);
+        if (!order) return;
+
+        const result = await otpService.retryOrder(order.provider, order.orderId, adminActor(req.admin));
+
+        res.json(successResponse(result, 'Another SMS requested'));
+    } catch (error) {
+        if (error instanceof OrderStateError) {
+            return next(error);
+        }
+        next(new AppError(`Failed to request another SMS: ${error.message}`, 502));
+    }
+});
+
+// POST cancel an order
+router.post('/orders/:id/cancel', async (req, res, next) => {
+    try {
+        const order = await findOrderOr404(req, res);
+        if (!order) return;
+
+        const result = await otpService.cancelOrder(order.provider, order.orderId, adminActor(req.admin));
+
+        res.json(successResponse(result, 'Order cancelled successfully'));
+    } catch (error) {
+        if (error instanceof OrderStateError) {
+            return next(error);
+        }
+        next(new AppError(`Failed to cancel order: ${error.message}`, 502));
+    }
+});
+
+module.exports = router;
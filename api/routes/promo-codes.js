@@ -4,9 +4,15 @@ const { connectToMongoDB } = require('../config/database');
 const { successResponse, errorResponse } = require('../middleware/logger');
 const { validateRequired, validateObjectId } = require('../utils/validation');
 const { AppError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/permissions');
+const ledger = require('../services/ledger');
+const money = require('../utils/money');
 
 const router = express.Router();
 
+// Reads for every role; managing codes is finance's, and redeeming one credits a balance
+router.use(authorize(req => (req.path.startsWith('/validate/') ? ['balance:write'] : ['promo:write'])));
+
 // GET all promo codes
 router.get('/', async (req, res, next) => {
     try {
@@ -82,7 +88,7 @@ router.post('/', async (req, res, next) => {
         
         const newPromoCode = {
             code: code.toUpperCase(),
-            amount: parseFloat(amount) || 0,
+            amount: money.toDecimal(amount),
             usageLimit: parseInt(usageLimit) || 1,
             usedCount: 0,
             expiryDate: expiryDate ? new Date(expiryDate) : null,
@@ -130,7 +136,7 @@ router.put('/:id', async (req, res, next) => {
         };
         
         if (code !== undefined) updateData.code = code.toUpperCase();
-        if (amount !== undefined) updateData.amount = parseFloat(amount) || 0;
+        if (amount !== undefined) updateData.amount = money.toDecimal(amount);
         if (usageLimit !== undefined) updateData.usageLimit = parseInt(usageLimit) || 1;
         if (usedCount !== undefined) updateData.usedCount = parseInt(usedCount) || 0;
         if (expiryDate !== undefined) updateData.expiryDate = expiryDate ? new Date(expiryDate) : null;
@@ -226,31 +232,43 @@ router.post('/validate/:code', async (req, res, next) => {
             return res.status(400).json(errorResponse('You have already used this promo code'));
         }
         
-        // Update promo code usage count
-        await db.collection('promo_codes').updateOne(
-            { _id: promoCode._id },
-            { $inc: { usedCount: 1 } }
-        );
-        
-        // Record usage
-        await db.collection('promo_usage').insertOne({
-            promoCodeId: promoCode._id,
-            userId: userId,
-            amount: promoCode.amount,
-            usedAt: new Date()
+        const userFilter = validateObjectId(String(userId)) && !/^\d+$/.test(String(userId))
+            ? { _id: new ObjectId(String(userId)) }
+            : { user_id: { $in: ledger.userIdCandidates(userId) } };
+        
+        // Usage and the balance credit are saved together or not at all
+        await ledger.withSession(db, async (session) => {
+            await db.collection('promo_codes').updateOne(
+                { _id: promoCode._id },
+                { $inc: { usedCount: 1 } },
+                { session }
+            );
+            
+            await db.collection('promo_usage').insertOne({
+                promoCodeId: promoCode._id,
+                userId: userId,
+                amount: promoCode.amount,
+                usedAt: new Date()
+            }, { session });
+            
+            await ledger.credit(db, {
+                filter: userFilter,
+                amount: promoCode.amount,
+                source: 'promo',
+                description: `Promo code: ${promoCode.code}`,
+                fields: { promo_code: promoCode.code },
+                session
+            });
         });
         
-        // Add amount to user balance
-        await db.collection('users').updateOne(
-            { _id: new ObjectId(userId) },
-            { $inc: { balance: promoCode.amount } }
-        );
-        
         res.json(successResponse({
             amount: promoCode.amount,
-            message: `Successfully added ₹${promoCode.amount} to your balance`
+            message: `Successfully added ${money.formatMoney(promoCode.amount)} to your balance`
         }, 'Promo code applied successfully'));
     } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
         next(new AppError('Failed to validate promo code', 500));
     }
 });
@@ -0,0 +1,65 @@
+const express = require('express');
+const { successResponse } = require('../middleware/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/permissions');
+const BalanceReconciliation = require('../services/balance-reconciliation');
+
+const router = express.Router();
+
+// Reading runs is open to every role; starting one is finance's
+router.use(authorize('reconciliation:run'));
+
+const reconciliation = new BalanceReconciliation();
+
+// POST run a reconciliation: report drift, and with `repair: true` write adjustment transactions
+// (recorded as the signed-in admin's)
+router.post('/run', async (req, res, next) => {
+    try {
+        const { repair = false, user_id = null, tolerance } = req.body || {};
+
+        const run = await reconciliation.run({
+            repair: repair === true || repair === 'true',
+            userId: user_id,
+            // An amount in the currency; the service checks it (400)
+            tolerance,
+            // The signed-in admin; an `actor` in the body is ignored
+            actor: req.admin.username
+        });
+
+        const message = run.drifted_users === 0
+            ? 'All balances match their transaction history'
+            : `Found drift on ${run.drifted_users} user(s)`;
+        res.json(successResponse(run, message));
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        next(new AppError('Failed to reconcile balances', 500));
+    }
+});
+
+// GET recent reconciliation runs
+router.get('/runs', async (req, res, next) => {
+    try {
+        const limit = Math.min(100, parseInt(req.query.limit) || 20);
+        const runs = await reconciliation.getRuns({ limit });
+        res.json(successResponse(runs));
+    } catch (error) {
+        next(new AppError('Failed to fetch reconciliation runs', 500));
+    }
+});
+
+// GET one reconciliation run with its drift report
+router.get('/runs/:id', async (req, res, next) => {
+    try {
+        const run = await reconciliation.getRun(req.params.id);
+        res.json(successResponse(run));
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        next(new AppError('Failed to fetch reconciliation run', 500));
+    }
+});
+
+module.exports = router;
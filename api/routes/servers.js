@@ -4,9 +4,13 @@ const { connectToMongoDB } = require('../config/database');
 const { successResponse, errorResponse } = require('../middleware/logger');
 const { validateRequired, validateObjectId } = require('../utils/validation');
 const { AppError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/permissions');
 
 const router = express.Router();
 
+// Reads for every role; server changes are the owner's
+router.use(authorize('catalog:write'));
+
 // GET all servers
 router.get('/', async (req, res, next) => {
     try {
@@ -4,9 +4,15 @@ const { connectToMongoDB } = require('../config/database');
 const { successResponse, errorResponse } = require('../middleware/logger');
 const { validateRequired, validateObjectId } = require('../utils/validation');
 const { AppError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/permissions');
+const money = require('../utils/money');
+const { BASE_CURRENCY, normalizeCurrency } = require('../services/exchange-rates');
 
 const router = express.Router();
 
+// Reads for every role; service and price changes are the owner's
+router.use(authorize('catalog:write'));
+
 // Initialize services in database if empty
 async function initializeServices() {
     try {
@@ -143,13 +149,18 @@ router.post('/', async (req, res, next) => {
             serviceIdField,
             serviceLogo,
             serviceCode,
-            disableCancellation = 0
+            disableCancellation = 0,
+            currency = BASE_CURRENCY
         } = req.body;
         
         if (!validateRequired(name)) {
             return res.status(400).json(errorResponse('Name is required'));
         }
         
+        if (!normalizeCurrency(currency)) {
+            return res.status(400).json(errorResponse('Currency must be a three-letter ISO 4217 code'));
+        }
+        
         const { db } = await connectToMongoDB();
         
         if (!db) {
@@ -159,7 +170,8 @@ router.post('/', async (req, res, next) => {
         const newService = {
             name,
             description,
-            price: parseFloat(price) || 0,
+            price: money.toDecimal(price, normalizeCurrency(currency)),
+            currency: normalizeCurrency(currency),
             countryCode,
             countryName,
             status,
@@ -200,13 +212,18 @@ router.put('/:id', async (req, res, next) => {
             serviceIdField,
             serviceLogo,
             serviceCode,
-            disableCancellation
+            disableCancellation,
+            currency
         } = req.body;
         
         if (!validateObjectId(id)) {
             return res.status(400).json(errorResponse('Invalid service ID'));
         }
         
+        if (currency !== undefined && !normalizeCurrency(currency)) {
+            return res.status(400).json(errorResponse('Currency must be a three-letter ISO 4217 code'));
+        }
+        
         const { db } = await connectToMongoDB();
         
         if (!db) {
@@ -219,7 +236,14 @@ router.put('/:id', async (req, res, next) => {
         
         if (name !== undefined) updateData.name = name;
         if (description !== undefined) updateData.description = description;
-        if (price !== undefined) updateData.price = parseFloat(price) || 0;
+        if (currency !== undefined) updateData.currency = normalizeCurrency(currency);
+        if (price !== undefined) {
+            // Round the price to the currency it is (or stays) in
+            const current = currency === undefined
+                ? await db.collection('services').findOne({ _id: new ObjectId(id) }, { projection: { currency: 1 } })
+                : null;
+            updateData.price = money.toDecimal(price, updateData.currency || (current && current.currency) || BASE_CURRENCY);
+        }
         if (countryCode !== undefined) updateData.countryCode = countryCode;
         if (countryName !== undefined) updateData.countryName = countryName;
         if (status !== undefined) updateData.status = status;
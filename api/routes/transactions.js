@@ -1,186 +1,70 @@
 const express = require('express');
+const { Readable, pipeline } = require('stream');
 const { ObjectId } = require('mongodb');
 const { connectToMongoDB } = require('../config/database');
 const { successResponse, errorResponse } = require('../middleware/logger');
 const { validateRequired, validateObjectId } = require('../utils/validation');
 const { AppError } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
+const { authorize, requirePermission } = require('../middleware/permissions');
+const ledger = require('../services/ledger');
+const transactionQuery = require('../services/transaction-query');
+const transactionExport = require('../services/transaction-export');
 
 const router = express.Router();
 
-// GET all transactions with enhanced categorization
+// Reads for every role; recording and reversing transactions moves money
+router.use(authorize('balance:write'));
+
+// GET transactions, newest first, one page at a time (?limit=&cursor=; filters in transaction-query.js)
 router.get('/', async (req, res, next) => {
     try {
         const { db } = await connectToMongoDB();
-        const { search, type } = req.query;
         
         if (!db) {
-            return res.json([]);
+            return res.json(successResponse({
+                transactions: [],
+                pagination: { limit: transactionQuery.DEFAULT_LIMIT, has_more: false, next_cursor: null }
+            }));
         }
         
-        // Build query filter
-        let queryFilter = {};
-        
-        // Add search filter if provided
-        if (search) {
-            queryFilter.$or = [
-                { description: { $regex: search, $options: 'i' } },
-                { 'promo_code': { $regex: search, $options: 'i' } }
-            ];
+        res.json(successResponse(await transactionQuery.listPage(db, req.query)));
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
         }
+        console.error('Error fetching transactions:', error);
+        next(new AppError('Failed to fetch transactions', 500));
+    }
+});
+
+// GET every transaction matching the list filters as a file: ?format=csv|xlsx|jsonl (streamed)
+router.get('/export', requirePermission('transactions:export'), async (req, res, next) => {
+    try {
+        const exporter = transactionExport.prepareExport(req.query);
+        const { db } = await connectToMongoDB();
         
-        // Add type filter if provided
-        if (type) {
-            switch(type) {
-                case 'bot':
-                    queryFilter.source = 'bot';
-                    break;
-                case 'admin':
-                    queryFilter.source = 'admin';
-                    break;
-                case 'promo':
-                    queryFilter.$or = [
-                        { source: 'promo' },
-                        { source: 'promo_code' }
-                    ];
-                    break;
-                case 'payment':
-                    queryFilter.$or = [
-                        { source: 'qr_payment' },
-                        { source: 'payment' }
-                    ];
-                    break;
-                case 'order':
-                    queryFilter.source = 'order';
-                    break;
-                case 'system':
-                    queryFilter.$or = [
-                        { source: 'system' },
-                        { source: { $exists: false } }
-                    ];
-                    break;
-            }
+        if (!db) {
+            return res.status(503).json(errorResponse('Database not available', 503));
         }
+        await exporter.check(db);
         
-        // Get all transactions from the transactions collection
-        const transactions = await db.collection('transactions')
-            .find(queryFilter)
-            .sort({ timestamp: -1 })
-            .toArray();
-        
-        // Get all users for reference
-        const users = await db.collection('users').find({}).toArray();
-        const userMap = new Map();
-        users.forEach(user => {
-            userMap.set(user.user_id, user);
-        });
+        res.setHeader('Content-Type', exporter.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${exporter.filename}"`);
+        res.setHeader('Cache-Control', 'no-store');
         
-        // Format transactions for frontend with enhanced categorization
-        const formattedTransactions = transactions.map(tx => {
-            const user = userMap.get(tx.user_id);
-            
-            // Enhanced transaction type and source categorization
-            let type, source, category;
-            
-            switch(tx.type) {
-                case 'credit':
-                    if (tx.source === 'admin') {
-                        type = 'add_balance';
-                        source = 'admin';
-                        category = 'admin_action';
-                    } else if (tx.source === 'promo') {
-                        type = 'add_balance';
-                        source = 'promo';
-                        category = 'promo_code';
-                    } else if (tx.source === 'qr_payment') {
-                        type = 'add_balance';
-                        source = 'qr_payment';
-                        category = 'payment';
-                    } else if (tx.source === 'bot') {
-                        type = 'add_balance';
-                        source = 'bot';
-                        category = 'bot_action';
-                    } else {
-                        type = 'add_balance';
-                        source = tx.source || 'system';
-                        category = 'system';
-                    }
-                    break;
-                    
-                case 'debit':
-                    if (tx.source === 'admin') {
-                        type = 'cut_balance';
-                        source = 'admin';
-                        category = 'admin_action';
-                    } else if (tx.source === 'order') {
-                        type = 'cut_balance';
-                        source = 'order';
-                        category = 'purchase';
-                    } else if (tx.source === 'bot') {
-                        type = 'cut_balance';
-                        source = 'bot';
-                        category = 'bot_action';
-                    } else {
-                        type = 'cut_balance';
-                        source = tx.source || 'system';
-                        category = 'system';
-                    }
-                    break;
-                    
-                case 'promo_credit':
-                    type = 'add_balance';
-                    source = 'promo';
-                    category = 'promo_code';
-                    break;
-                    
-                case 'qr_payment':
-                    type = 'add_balance';
-                    source = 'qr_payment';
-                    category = 'payment';
-                    break;
-                    
-                case 'order_payment':
-                    type = 'cut_balance';
-                    source = 'order';
-                    category = 'purchase';
-                    break;
-                    
-                case 'admin_action':
-                    type = tx.amount > 0 ? 'add_balance' : 'cut_balance';
-                    source = 'admin';
-                    category = 'admin_action';
-                    break;
-                    
-                default:
-                    type = tx.type || 'system';
-                    source = tx.source || 'system';
-                    category = 'system';
+        // Headers are already out once rows flow, so a failure part way can only cut the download short
+        pipeline(Readable.from(exporter.chunks(db)), res, (error) => {
+            if (error) {
+                console.error('Error exporting transactions:', error);
             }
-            
-            return {
-                id: tx._id?.toString() || `TXN_${tx.user_id}_${tx.timestamp}`,
-                user_id: tx.user_id,
-                user: user ? (user.first_name || user.username || `User ${tx.user_id}`) : `User ${tx.user_id}`,
-                type: type,
-                amount: Math.abs(tx.amount) || 0,
-                description: tx.description || 'Transaction',
-                source: source,
-                category: category,
-                created_at: tx.timestamp,
-                status: 'completed',
-                balance_before: tx.balance_before || 0,
-                balance_after: tx.balance_after || 0,
-                promo_code: tx.promo_code || null,
-                admin_id: tx.admin_id || null,
-                order_id: tx.order_id || null,
-                payment_method: tx.payment_method || null,
-                reference_id: tx.reference_id || null
-            };
         });
-        
-        res.json(formattedTransactions);
     } catch (error) {
-        console.error('Error fetching transactions:', error);
-        next(new AppError('Failed to fetch transactions', 500));
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        console.error('Error exporting transactions:', error);
+        next(new AppError('Failed to export transactions', 500));
     }
 });
 
@@ -194,118 +78,18 @@ router.get('/user/:userId', async (req, res, next) => {
             return res.json([]);
         }
         
-        const user = await db.collection('users').findOne({ user_id: parseInt(userId) });
+        const user = await db.collection('users').findOne({ user_id: { $in: ledger.userIdCandidates(userId) } });
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
         
+        // Same filter, user join and categories as the transaction list
+        const filter = transactionQuery.buildFilter({ user_id: userId });
         const transactions = await db.collection('transactions')
-            .find({ user_id: parseInt(userId) })
-            .sort({ timestamp: -1 })
+            .aggregate(transactionQuery.pipeline(filter))
             .toArray();
         
-        // Format transactions for frontend with enhanced categorization
-        const formattedTransactions = transactions.map(tx => {
-            // Enhanced transaction type and source categorization
-            let type, source, category;
-            
-            switch(tx.type) {
-                case 'credit':
-                    if (tx.source === 'admin') {
-                        type = 'add_balance';
-                        source = 'admin';
-                        category = 'admin_action';
-                    } else if (tx.source === 'promo') {
-                        type = 'add_balance';
-                        source = 'promo';
-                        category = 'promo_code';
-                    } else if (tx.source === 'qr_payment') {
-                        type = 'add_balance';
-                        source = 'qr_payment';
-                        category = 'payment';
-                    } else if (tx.source === 'bot') {
-                        type = 'add_balance';
-                        source = 'bot';
-                        category = 'bot_action';
-                    } else {
-                        type = 'add_balance';
-                        source = tx.source || 'system';
-                        category = 'system';
-                    }
-                    break;
-                    
-                case 'debit':
-                    if (tx.source === 'admin') {
-                        type = 'cut_balance';
-                        source = 'admin';
-                        category = 'admin_action';
-                    } else if (tx.source === 'order') {
-                        type = 'cut_balance';
-                        source = 'order';
-                        category = 'purchase';
-                    } else if (tx.source === 'bot') {
-                        type = 'cut_balance';
-                        source = 'bot';
-                        category = 'bot_action';
-                    } else {
-                        type = 'cut_balance';
-                        source = tx.source || 'system';
-                        category = 'system';
-                    }
-                    break;
-                    
-                case 'promo_credit':
-                    type = 'add_balance';
-                    source = 'promo';
-                    category = 'promo_code';
-                    break;
-                    
-                case 'qr_payment':
-                    type = 'add_balance';
-                    source = 'qr_payment';
-                    category = 'payment';
-                    break;
-                    
-                case 'order_payment':
-                    type = 'cut_balance';
-                    source = 'order';
-                    category = 'purchase';
-                    break;
-                    
-                case 'admin_action':
-                    type = tx.amount > 0 ? 'add_balance' : 'cut_balance';
-                    source = 'admin';
-                    category = 'admin_action';
-                    break;
-                    
-                default:
-                    type = tx.type || 'system';
-                    source = tx.source || 'system';
-                    category = 'system';
-            }
-            
-            return {
-                id: tx._id?.toString() || `TXN_${userId}_${tx.timestamp}`,
-                user_id: parseInt(userId),
-                user: user.first_name || user.username || `User ${userId}`,
-                type: type,
-                amount: Math.abs(tx.amount) || 0,
-                description: tx.description || 'Transaction',
-                source: source,
-                category: category,
-                created_at: tx.timestamp,
-                status: 'completed',
-                balance_before: tx.balance_before || 0,
-                balance_after: tx.balance_after || 0,
-                promo_code: tx.promo_code || null,
-                admin_id: tx.admin_id || null,
-                order_id: tx.order_id || null,
-                payment_method: tx.payment_method || null,
-                reference_id: tx.reference_id || null
-            };
-        });
-        
-        res.json(formattedTransactions);
+        res.json(transactions.map(transactionQuery.formatTransaction));
     } catch (error) {
         console.error('Error fetching user transactions:', error);
         next(new AppError('Failed to fetch user transactions', 500));
@@ -457,7 +241,7 @@ router.get('/statistics', async (req, res, next) => {
 });
 
 // POST create new transaction (for testing/admin purposes)
-router.post('/', async (req, res, next) => {
+router.post('/', idempotency(), async (req, res, next) => {
     try {
         const { 
             user_id, 
@@ -466,7 +250,6 @@ router.post('/', async (req, res, next) => {
             description, 
             source, 
             promo_code, 
-            admin_id,
             order_id,
             payment_method,
             reference_id
@@ -482,56 +265,69 @@ router.post('/', async (req, res, next) => {
             return res.status(503).json(errorResponse('Database not available'));
         }
         
-        // Get user to calculate balance
-        const user = await db.collection('users').findOne({ user_id: parseInt(user_id) });
-        if (!user) {
-            return res.status(404).json(errorResponse('User not found'));
-        }
-        
-        const currentBalance = parseFloat(user.balance) || 0;
-        const transactionAmount = parseFloat(amount);
-        
-        // Calculate new balance based on transaction type
-        let newBalance;
-        if (type === 'credit' || type === 'add_balance') {
-            newBalance = currentBalance + transactionAmount;
-        } else if (type === 'debit' || type === 'cut_balance') {
-            newBalance = Math.max(0, currentBalance - transactionAmount);
-        } else {
-            return res.status(400).json(errorResponse('Invalid transaction type'));
-        }
-        
-        // Create transaction record
-        const transaction = {
-            user_id: parseInt(user_id),
-            type: type === 'add_balance' ? 'credit' : 'debit',
-            amount: transactionAmount,
-            description: description || 'Transaction',
-            source: source || 'admin',
-            timestamp: new Date(),
-            balance_before: currentBalance,
-            balance_after: newBalance,
+        const fields = {
             promo_code: promo_code || null,
-            admin_id: admin_id || null,
+            admin_id: req.admin.username,
             order_id: order_id || null,
             payment_method: payment_method || null,
             reference_id: reference_id || null
         };
+        const ledgerOptions = {
+            userId: user_id,
+            amount,
+            source: source || 'admin',
+            description: description || 'Transaction',
+            fields
+        };
         
-        // Insert transaction
-        await db.collection('transactions').insertOne(transaction);
-        
-        // Update user balance
-        await db.collection('users').updateOne(
-            { user_id: parseInt(user_id) },
-            { $set: { balance: newBalance } }
-        );
+        // The ledger updates the balance and records the transaction together
+        let transaction;
+        if (type === 'credit' || type === 'add_balance') {
+            transaction = await ledger.credit(db, ledgerOptions);
+        } else if (type === 'debit' || type === 'cut_balance') {
+            transaction = await ledger.debit(db, ledgerOptions);
+        } else {
+            return res.status(400).json(errorResponse('Invalid transaction type'));
+        }
         
         res.status(201).json(successResponse(transaction, 'Transaction created successfully'));
     } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
         console.error('Error creating transaction:', error);
         next(new AppError('Failed to create transaction', 500));
     }
 });
 
+// POST reverse a transaction with an opposite, linked one
+router.post('/:id/reverse', idempotency(), async (req, res, next) => {
+    try {
+        const { reason } = req.body || {};
+        
+        const { db } = await connectToMongoDB();
+        
+        if (!db) {
+            return res.status(503).json(errorResponse('Database not available'));
+        }
+        
+        const result = await ledger.reverse(db, {
+            transactionId: req.params.id,
+            reason: reason || null,
+            actor: req.admin.username
+        });
+        
+        res.status(201).json(successResponse(result, 'Transaction reversed successfully'));
+    } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
+        if (error.code === 11000) {
+            return next(new AppError('Transaction has already been reversed', 409));
+        }
+        console.error('Error reversing transaction:', error);
+        next(new AppError('Failed to reverse transaction', 500));
+    }
+});
+
 module.exports = router;
@@ -4,9 +4,42 @@ const { connectToMongoDB } = require('../config/database');
 const { successResponse, errorResponse } = require('../middleware/logger');
 const { validateRequired, validateObjectId, validateEmail } = require('../utils/validation');
 const { AppError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/permissions');
+const { ACTIVE_STATUSES } = require('../services/order-state');
+const { walletSummary } = require('../services/balance-holds');
+const balancePolicy = require('../services/balance-policy');
+const ledger = require('../services/ledger');
+const money = require('../utils/money');
 
 const router = express.Router();
 
+// What a change to a user needs: money (balance, credit limit, and the role, which sets the credit
+// limit) is finance's, bans are support's, and the rest of the profile needs users:write
+function userWritePermissions(req) {
+    if (req.method === 'DELETE') {
+        return ['users:delete'];
+    }
+
+    const body = req.body || {};
+    const permissions = new Set();
+    if (req.method === 'POST') {
+        permissions.add('users:write');
+    }
+    if ((body.balance !== undefined && (req.method !== 'POST' || parseFloat(body.balance) > 0))
+        || body.credit_limit !== undefined || body.role !== undefined) {
+        permissions.add('balance:write');
+    }
+    if (body.status !== undefined) {
+        permissions.add('users:ban');
+    }
+    if (['username', 'email', 'password', 'role'].some(field => body[field] !== undefined)) {
+        permissions.add('users:write');
+    }
+    return permissions.size > 0 ? [...permissions] : ['users:write'];
+}
+
+router.use(authorize(userWritePermissions));
+
 // GET all users with enhanced balance information
 router.get('/', async (req, res, next) => {
     try {
@@ -70,18 +103,18 @@ router.get('/', async (req, res, next) => {
                 total_spent: 0
             };
             
-            // Calculate total balance (should match user.balance but for verification)
-            const calculatedBalance = stats.total_credits - stats.total_debits;
-            const actualBalance = parseFloat(user.balance) || 0;
+            // Calculate total balance (should match available + held balance, for verification)
+            const calculatedBalance = money.minorToNumber(money.toMinor(stats.total_credits) - money.toMinor(stats.total_debits));
+            const wallet = walletSummary(user);
             
             return {
                 id: user.user_id || user._id?.toString(),
                 user_id: user.user_id,
                 name: user.first_name || user.username || `User ${user.user_id}`,
                 username: user.username || `@user${user.user_id}`,
-                balance: actualBalance, // Use actual balance from user document
+                ...wallet, // Available and held balance from user document
                 calculated_balance: calculatedBalance, // For verification
-                balance_verified: Math.abs(actualBalance - calculatedBalance) < 0.01, // Check if balances match
+                balance_verified: Math.abs(wallet.total_balance - calculatedBalance) < 0.01, // Check if balances match
                 status: user.status || 'active',
                 registration_date: user.createdAt || user.registration_date || new Date(),
                 last_activity: user.updatedAt || user.last_activity || new Date(),
@@ -188,13 +221,14 @@ router.get('/:id', async (req, res, next) => {
         };
         
         // Calculate total balance
-        const calculatedBalance = stats.total_credits - stats.total_debits;
-        const actualBalance = parseFloat(user.balance) || 0;
+        const calculatedBalance = money.minorToNumber(money.toMinor(stats.total_credits) - money.toMinor(stats.total_debits));
+        const wallet = walletSummary(user);
         
         const userWithDetails = {
             ...user,
+            ...wallet,
             calculated_balance: calculatedBalance,
-            balance_verified: Math.abs(actualBalance - calculatedBalance) < 0.01,
+            balance_verified: Math.abs(wallet.total_balance - calculatedBalance) < 0.01,
             total_credits: stats.total_credits,
             total_debits: stats.total_debits,
             transaction_count: stats.transaction_count,
@@ -220,13 +254,16 @@ router.post('/', async (req, res, next) => {
             password, 
             role = 'user',
             status = 'active',
-            balance = 0
+            balance = 0,
+            credit_limit = null
         } = req.body;
         
         if (!validateRequired(username) || !validateRequired(email)) {
             return res.status(400).json(errorResponse('Username and email are required'));
         }
         
+        const creditLimit = balancePolicy.parseCreditLimit(credit_limit);
+        
         try {
             validateEmail(email);
         } catch (error) {
@@ -254,7 +291,8 @@ router.post('/', async (req, res, next) => {
             password: password || '', // In production, hash the password
             role,
             status,
-            balance: parseFloat(balance) || 0,
+            balance: 0,
+            ...(creditLimit !== null && { credit_limit: creditLimit }),
             createdAt: new Date(),
             updatedAt: new Date()
         };
@@ -262,11 +300,25 @@ router.post('/', async (req, res, next) => {
         const result = await db.collection('users').insertOne(newUser);
         newUser._id = result.insertedId;
         
+        // An opening balance is posted through the ledger like any other top-up
+        if (parseFloat(balance) > 0) {
+            const opening = await ledger.credit(db, {
+                filter: { _id: newUser._id },
+                amount: balance,
+                source: 'admin',
+                description: 'Opening balance'
+            });
+            newUser.balance = opening.balance_after;
+        }
+        
         // Remove password from response
         delete newUser.password;
         
         res.status(201).json(successResponse(newUser, 'User created successfully'));
     } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
         next(new AppError('Failed to create user', 500));
     }
 });
@@ -282,7 +334,8 @@ router.put('/:id', async (req, res, next) => {
             role, 
             status,
             balance,
-            action
+            action,
+            credit_limit
         } = req.body;
         
         const { db } = await connectToMongoDB();
@@ -294,7 +347,6 @@ router.put('/:id', async (req, res, next) => {
         const updateData = {
             updatedAt: new Date()
         };
-        const updateOperator = {};
         
         if (username !== undefined) updateData.username = username;
         if (email !== undefined) {
@@ -308,47 +360,56 @@ router.put('/:id', async (req, res, next) => {
         if (password !== undefined) updateData.password = password; // In production, hash the password
         if (role !== undefined) updateData.role = role;
         if (status !== undefined) updateData.status = status;
-        if (balance !== undefined) {
-            const amount = parseFloat(balance) || 0;
-            if (action === 'add_balance') {
-                updateOperator.$inc = { balance: amount };
-            } else if (action === 'cut_balance') {
-                updateOperator.$inc = { balance: -amount };
+        
+        // null clears the user's own limit, so their role's (or the default) limit applies again
+        const update = { $set: updateData };
+        if (credit_limit !== undefined) {
+            const creditLimit = balancePolicy.parseCreditLimit(credit_limit);
+            if (creditLimit === null) {
+                update.$unset = { credit_limit: '' };
             } else {
-                updateData.balance = amount;
+                updateData.credit_limit = creditLimit;
             }
         }
-        if (Object.keys(updateData).length > 0) {
-            updateOperator.$set = updateData;
-        }
         
-        // Use findOneAndUpdate for better performance and atomicity
-        let result = await db.collection('users').findOneAndUpdate(
-            { user_id: parseInt(id) },
-            updateOperator,
-            { 
-                returnDocument: 'after',
-                projection: { password: 0 } // Exclude password from response
+        // Telegram users are addressed by user_id, users created here by their _id
+        const filter = validateObjectId(id) && !/^\d+$/.test(id)
+            ? { _id: new ObjectId(id) }
+            : { user_id: { $in: ledger.userIdCandidates(id) } };
+        
+        // Balance changes go through the ledger, in the same transaction as the profile update
+        const result = await ledger.withSession(db, async (session) => {
+            if (balance !== undefined) {
+                const ledgerOptions = { filter, source: 'admin', session };
+                if (action === 'add_balance') {
+                    await ledger.credit(db, { ...ledgerOptions, amount: balance, description: 'Balance added by admin' });
+                } else if (action === 'cut_balance') {
+                    await ledger.debit(db, { ...ledgerOptions, amount: balance, description: 'Balance cut by admin' });
+                } else {
+                    await ledger.setBalance(db, { ...ledgerOptions, balance });
+                }
             }
-        );
-        
-        if (!result.value && validateObjectId(id)) {
-            result = await db.collection('users').findOneAndUpdate(
-                { _id: new ObjectId(id) },
-                updateOperator,
+            
+            return db.collection('users').findOneAndUpdate(
+                filter,
+                update,
                 { 
                     returnDocument: 'after',
-                    projection: { password: 0 } // Exclude password from response
+                    projection: { password: 0 }, // Exclude password from response
+                    session
                 }
             );
-        }
+        });
         
-        if (!result.value) {
+        if (!result) {
             return res.status(404).json(errorResponse('User not found'));
         }
         
-        res.json(successResponse(result.value, 'User updated successfully'));
+        res.json(successResponse(result, 'User updated successfully'));
     } catch (error) {
+        if (error instanceof AppError) {
+            return next(error);
+        }
         next(new AppError('Failed to update user', 500));
     }
 });
@@ -417,7 +478,7 @@ router.get('/:id/stats', async (req, res, next) => {
                             $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
                         },
                         pendingOrders: {
-                            $sum: { $cond: [{ $eq: ['$status', 'waiting'] }, 1, 0] }
+                            $sum: { $cond: [{ $in: ['$status', ACTIVE_STATUSES] }, 1, 0] }
                         }
                     }
                 }
@@ -463,15 +524,16 @@ router.get('/:id/stats', async (req, res, next) => {
             lastTransaction: null
         };
         
-        const calculatedBalance = transactionData.totalCredits - transactionData.totalDebits;
-        const actualBalance = parseFloat(user.balance) || 0;
+        const calculatedBalance = money.minorToNumber(money.toMinor(transactionData.totalCredits) - money.toMinor(transactionData.totalDebits));
+        const wallet = walletSummary(user);
         
         const userStats = {
             ...orderData,
             ...transactionData,
-            currentBalance: actualBalance,
+            currentBalance: wallet.balance,
+            heldBalance: wallet.held_balance,
             calculatedBalance: calculatedBalance,
-            balanceVerified: Math.abs(actualBalance - calculatedBalance) < 0.01,
+            balanceVerified: Math.abs(wallet.total_balance - calculatedBalance) < 0.01,
             recentTransactions: recentTransactions
         };
         
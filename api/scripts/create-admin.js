@@ -0,0 +1,46 @@
+/**
+ * Create an admin login, or reset an existing admin's password
+ *
+ *   npm run admin:create -- --username alice --password 'a long password' [--role finance]
+ *
+ * The password is stored as an scrypt hash in `admins`. New admins are owners unless `--role`
+ * says otherwise (owner, finance, support, viewer).
+ */
+
+require('dotenv').config();
+
+const { connectToMongoDB, closeConnection } = require('../config/database');
+const adminAuth = require('../services/admin-auth');
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--username') {
+            options.username = argv[++i];
+        } else if (argv[i] === '--password') {
+            options.password = argv[++i];
+        } else if (argv[i] === '--role') {
+            options.role = argv[++i];
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const { db } = await connectToMongoDB();
+    if (!db) {
+        throw new Error('MONGODB_URI is not configured');
+    }
+
+    const admin = await adminAuth.saveAdmin(db, parseArgs(process.argv.slice(2)));
+    console.log(`Admin ${admin.username} (${admin.role}) saved`);
+}
+
+main()
+    .then(() => closeConnection())
+    .then(() => process.exit(0))
+    .catch(async (error) => {
+        console.error('Creating admin failed:', error.message);
+        await closeConnection();
+        process.exit(1);
+    });
@@ -0,0 +1,131 @@
+/**
+ * Convert stored money fields from floating point numbers to Decimal128
+ *
+ *   npm run migrate:money              convert every money field
+ *   npm run migrate:money -- --dry-run count the documents that still need converting
+ *
+ * Amounts are rounded to the currency's minor unit (CURRENCY, INR by default) with the app's own
+ * `money.toDecimal`, so half a minor unit rounds away from zero exactly as new amounts do (MongoDB's
+ * `$round` would round half to even). Provider costs keep their full precision. Fields that are
+ * already Decimal128 are left alone, so the script can be run again safely.
+ */
+
+require('dotenv').config();
+
+const { connectToMongoDB, closeConnection } = require('../config/database');
+const { DEFAULT_CURRENCY, toDecimal } = require('../utils/money');
+
+const NUMERIC_TYPES = ['double', 'int', 'long'];
+const BATCH_SIZE = 500;
+
+// field → rounded to minor units (true) or kept as is (false)
+const MONEY_FIELDS = {
+    users: { balance: true, held_balance: true },
+    transactions: { amount: true, balance_before: true, balance_after: true },
+    orders: { price: true, cost: false, 'hold.amount': true, 'hold.balanceBefore': true },
+    services: { price: true },
+    promo_codes: { amount: true },
+    promo_usage: { amount: true }
+};
+
+function convert(value, round) {
+    return toDecimal(value, round ? DEFAULT_CURRENCY : null);
+}
+
+function getPath(doc, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+/**
+ * Rewrite every document matching `filter` with `update(doc)` in batches; returns how many changed
+ */
+async function rewrite(collection, filter, projection, update) {
+    let converted = 0;
+    let batch = [];
+    const flush = async () => {
+        if (batch.length > 0) {
+            converted += (await collection.bulkWrite(batch, { ordered: false })).modifiedCount;
+            batch = [];
+        }
+    };
+
+    for await (const doc of collection.find(filter, { projection })) {
+        batch.push({ updateOne: update(doc) });
+        if (batch.length >= BATCH_SIZE) {
+            await flush();
+        }
+    }
+    await flush();
+    return converted;
+}
+
+async function migrateField(db, collection, field, round, dryRun) {
+    const filter = { [field]: { $type: NUMERIC_TYPES } };
+    if (dryRun) {
+        return db.collection(collection).countDocuments(filter);
+    }
+
+    return rewrite(db.collection(collection), filter, { [field]: 1 }, (doc) => {
+        const value = getPath(doc, field);
+        // Matching the old value skips documents changed since they were read
+        return { filter: { _id: doc._id, [field]: value }, update: { $set: { [field]: convert(value, round) } } };
+    });
+}
+
+async function migrateJournalLines(db, dryRun) {
+    const filter = {
+        $or: [
+            { 'lines.debit': { $type: NUMERIC_TYPES } },
+            { 'lines.credit': { $type: NUMERIC_TYPES } }
+        ]
+    };
+    if (dryRun) {
+        return db.collection('journal_entries').countDocuments(filter);
+    }
+
+    const toMoney = value => (typeof value === 'number' ? convert(value, true) : value);
+    return rewrite(db.collection('journal_entries'), filter, { lines: 1 }, (doc) => ({
+        filter: { _id: doc._id },
+        update: {
+            $set: {
+                lines: doc.lines.map(line => ({ ...line, debit: toMoney(line.debit), credit: toMoney(line.credit) }))
+            }
+        }
+    }));
+}
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const { db } = await connectToMongoDB();
+    if (!db) {
+        throw new Error('MONGODB_URI is not configured');
+    }
+
+    const verb = dryRun ? 'to convert' : 'converted';
+    for (const [collection, fields] of Object.entries(MONEY_FIELDS)) {
+        for (const [field, round] of Object.entries(fields)) {
+            const count = await migrateField(db, collection, field, round, dryRun);
+            console.log(`  ${collection}.${field}: ${count} document(s) ${verb}`);
+        }
+    }
+
+    const lines = await migrateJournalLines(db, dryRun);
+    console.log(`  journal_entries.lines: ${lines} document(s) ${verb}`);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => closeConnection())
+        .then(() => process.exit(0))
+        .catch(async (error) => {
+            console.error('Money migration failed:', error.message);
+            await closeConnection();
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    MONEY_FIELDS,
+    migrateField,
+    migrateJournalLines
+};
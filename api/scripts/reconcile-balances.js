@@ -0,0 +1,47 @@
+/**
+ * Reconcile user balances from the command line
+ *
+ *   npm run reconcile                  report drift only
+ *   npm run reconcile -- --repair      also write adjustment transactions
+ *   npm run reconcile -- --user 12345  check a single user
+ *   npm run reconcile -- --tolerance 1 ignore drift up to this amount (none by default)
+ */
+
+require('dotenv').config();
+
+const { closeConnection } = require('../config/database');
+const BalanceReconciliation = require('../services/balance-reconciliation');
+
+function parseArgs(argv) {
+    const options = { repair: false, userId: null, actor: 'cli' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--repair') {
+            options.repair = true;
+        } else if (argv[i] === '--user') {
+            options.userId = argv[++i];
+        } else if (argv[i] === '--tolerance') {
+            options.tolerance = argv[++i];
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const run = await new BalanceReconciliation().run(parseArgs(process.argv.slice(2)));
+
+    console.log(`Run ${run._id}: checked ${run.users_checked} user(s), ${run.drifted_users} with drift`);
+    for (const entry of run.drifts) {
+        const status = entry.error ? `repair failed: ${entry.error}` : (entry.adjustment_id ? `adjusted (${entry.adjustment_id})` : 'not repaired');
+        console.log(`  ${entry.user_id}: stored ${entry.stored_balance} + held ${entry.held_balance}, history ${entry.history_balance}, drift ${entry.drift} - ${status}`);
+    }
+    console.log(`Net drift ${run.net_drift}, absolute drift ${run.absolute_drift}, adjustments written ${run.adjustments_written}`);
+}
+
+main()
+    .then(() => closeConnection())
+    .then(() => process.exit(0))
+    .catch(async (error) => {
+        console.error('Reconciliation failed:', error.message);
+        await closeConnection();
+        process.exit(1);
+    });
@@ -0,0 +1,348 @@
+/**
+ * Admin Auth - Admin logins, password hashing and signed session tokens
+ *
+ * An admin signs in with a record from the `admins` collection
+ *
+ *   { username, password_hash: 'scrypt$N$r$p$salt$hash', role, status: 'active' | 'disabled', createdAt }
+ *
+ * (created with `npm run admin:create` or by an owner through `/api/admins`), or with
+ * ADMIN_USERNAME / ADMIN_PASSWORD from the environment, which signs in as an owner. The role
+ * decides what the admin may do (middleware/permissions.js). A successful login gets a JWT (HS256, signed with JWT_SECRET) that expires after
+ * ADMIN_SESSION_HOURS; the admin panel keeps it in an HttpOnly cookie, API clients send it as a
+ * Bearer token. Each request re-reads the admin's role and status, so the token only says who it is.
+ *
+ * Admins with two-factor authentication on (two-factor.js) get a short-lived challenge instead,
+ * and the session only after `completeLogin` with a code. Sessions record whether they passed the
+ * second factor (`mfa`).
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ObjectId } = require('mongodb');
+const { connectToMongoDB } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { ROLES, normalizeRole } = require('../middleware/permissions');
+const twoFactor = require('./two-factor');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_HOURS = parseFloat(process.env.ADMIN_SESSION_HOURS) || 12;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const CHALLENGE_MINUTES = 5;
+
+// Admin records as the API shows them: no password hash or two-factor secrets
+const PUBLIC_PROJECTION = { password_hash: 0, 'totp.secret': 0, 'totp.pending_secret': 0, 'totp.backup_codes': 0 };
+const CHALLENGE_PURPOSE = '2fa';
+
+function timingSafeEqualStrings(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * `scrypt$N$r$p$salt$hash` for `password`
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const hash = await scrypt(String(password), salt, KEY_LENGTH, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+// A hash to check passwords against when the username is unknown, so the response takes as long
+// as for a real account and does not tell which usernames exist
+let dummyHash = null;
+
+function unknownUserHash() {
+    dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+    return dummyHash;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+        N: parseInt(N),
+        r: parseInt(r),
+        p: parseInt(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function secret() {
+    const value = process.env.JWT_SECRET;
+    if (!value) {
+        throw new AppError('Admin login is not configured: set JWT_SECRET', 503);
+    }
+    return value;
+}
+
+function base64url(value) {
+    return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function signature(data) {
+    return crypto.createHmac('sha256', secret()).update(data).digest('base64url');
+}
+
+/**
+ * A signed HS256 JWT carrying `claims`, valid for `hours`
+ */
+function signToken(claims, hours = SESSION_HOURS) {
+    const now = Math.floor(Date.now() / 1000);
+    const data = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url({ ...claims, iat: now, exp: now + Math.round(hours * 3600) })}`;
+    return `${data}.${signature(data)}`;
+}
+
+/**
+ * The claims of a valid, unexpired token. Throws 401 otherwise.
+ */
+function verifyToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+        throw new AppError('Invalid session', 401);
+    }
+
+    const [header, payload, signed] = parts;
+    if (!timingSafeEqualStrings(signed, signature(`${header}.${payload}`))) {
+        throw new AppError('Invalid session', 401);
+    }
+
+    let claims;
+    try {
+        const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        if (alg !== 'HS256') {
+            throw new Error('unexpected algorithm');
+        }
+    } catch (error) {
+        throw new AppError('Invalid session', 401);
+    }
+
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+        throw new AppError('Session expired', 401);
+    }
+    return claims;
+}
+
+function recordAdmin(record) {
+    return {
+        id: String(record._id),
+        username: record.username,
+        role: normalizeRole(record.role || 'owner'),
+        two_factor: Boolean(record.totp && record.totp.enabled),
+        session_version: record.session_version || 0
+    };
+}
+
+/**
+ * Check a username and password against the `admins` collection, then the environment.
+ * Returns the admin (`{ id, username, role, two_factor }`) or null.
+ */
+async function authenticate(username, password) {
+    if (!username || !password) {
+        return null;
+    }
+
+    const { db } = await connectToMongoDB();
+    const record = db ? await db.collection('admins').findOne({ username: String(username) }) : null;
+    if (record) {
+        const valid = await verifyPassword(password, record.password_hash);
+        if (!valid || record.status === 'disabled') {
+            return null;
+        }
+        await db.collection('admins').updateOne({ _id: record._id }, { $set: { lastLoginAt: new Date() } });
+        return recordAdmin(record);
+    }
+
+    await verifyPassword(password, await unknownUserHash());
+
+    const envUsername = process.env.ADMIN_USERNAME;
+    const envPassword = process.env.ADMIN_PASSWORD;
+    if (envUsername && envPassword
+        && timingSafeEqualStrings(username, envUsername)
+        && timingSafeEqualStrings(password, envPassword)) {
+        return { id: `env:${envUsername}`, username: envUsername, role: 'owner', two_factor: false };
+    }
+    return null;
+}
+
+/**
+ * The admin behind a session's claims as they are now (`{ id, username, role, session_version }`),
+ * or null once the record is disabled or removed, or the environment login changed. Role and status
+ * are read on every request, so changes made through /api/admins apply to live sessions straight
+ * away. Sessions signed before the record's `session_version` was bumped (a two-factor reset) are
+ * revoked, and so are sessions that skipped two-factor once the admin has it on.
+ */
+async function sessionAdmin(claims) {
+    const id = String(claims.sub || '');
+    if (id.startsWith('env:')) {
+        const envUsername = process.env.ADMIN_USERNAME;
+        if (!envUsername || !process.env.ADMIN_PASSWORD || id !== `env:${envUsername}`) {
+            return null;
+        }
+        return { id, username: envUsername, role: 'owner' };
+    }
+
+    const { db } = await connectToMongoDB();
+    if (!db || !ObjectId.isValid(id)) {
+        return null;
+    }
+    const record = await db.collection('admins').findOne(
+        { _id: new ObjectId(id) },
+        { projection: { username: 1, role: 1, status: 1, session_version: 1, 'totp.enabled': 1 } }
+    );
+    if (!record || record.status === 'disabled') {
+        return null;
+    }
+    const sessionVersion = record.session_version || 0;
+    if ((claims.sv || 0) !== sessionVersion || (record.totp && record.totp.enabled && !claims.mfa)) {
+        return null;
+    }
+    return { id, username: record.username, role: normalizeRole(record.role || 'owner'), session_version: sessionVersion };
+}
+
+/**
+ * A session for `admin`: `{ token, expires_at, admin }`. `mfa` marks sessions that passed two-factor.
+ */
+function issueSession(admin, { mfa = false } = {}) {
+    const token = signToken({ sub: admin.id, username: admin.username, role: admin.role, mfa, sv: admin.session_version || 0 });
+    return {
+        token,
+        expires_at: new Date(verifyToken(token).exp * 1000),
+        admin
+    };
+}
+
+/**
+ * Sign in: returns a session, or `{ two_factor_required: true, challenge }` for admins with
+ * two-factor on (finish with `completeLogin`). Throws 401 on bad credentials.
+ */
+async function login(username, password) {
+    secret();
+
+    const admin = await authenticate(username, password);
+    if (!admin) {
+        throw new AppError('Invalid username or password', 401);
+    }
+
+    if (admin.two_factor) {
+        const claims = { sub: admin.id, username: admin.username, role: admin.role, purpose: CHALLENGE_PURPOSE };
+        return { two_factor_required: true, challenge: signToken(claims, CHALLENGE_MINUTES / 60) };
+    }
+    if (twoFactor.isRequired() && admin.id.startsWith('env:')) {
+        throw new AppError('Two-factor authentication is required: sign in with an admin account (npm run admin:create)', 403);
+    }
+    return issueSession(admin);
+}
+
+/**
+ * Second step of a two-factor login: the challenge from `login` and a code. Returns the session.
+ */
+async function completeLogin(challenge, code) {
+    const claims = verifyToken(challenge);
+    if (claims.purpose !== CHALLENGE_PURPOSE) {
+        throw new AppError('Invalid sign-in challenge', 401);
+    }
+
+    const { db } = await connectToMongoDB();
+    const record = db ? await db.collection('admins').findOne({ username: String(claims.username) }) : null;
+    if (!record || record.status === 'disabled') {
+        throw new AppError('Invalid sign-in challenge', 401);
+    }
+
+    await twoFactor.verifyCode(db, record, code);
+    await db.collection('admins').updateOne({ _id: record._id }, { $set: { lastLoginAt: new Date() } });
+    return issueSession(recordAdmin(record), { mfa: true });
+}
+
+function checkRole(role) {
+    const normalized = normalizeRole(role);
+    if (!ROLES.includes(normalized)) {
+        throw new AppError(`Role must be one of: ${ROLES.join(', ')}`, 400);
+    }
+    return normalized;
+}
+
+function checkPassword(password) {
+    if (!password || String(password).length < 8) {
+        throw new AppError('A password of at least 8 characters is required', 400);
+    }
+}
+
+/**
+ * Create (or reset the password of) an admin record. A new admin without a role is an owner;
+ * an existing one keeps its role unless `role` is given.
+ */
+async function saveAdmin(db, { username, password, role }) {
+    if (!username) {
+        throw new AppError('Username is required', 400);
+    }
+    checkPassword(password);
+
+    const set = { password_hash: await hashPassword(password), status: 'active', updatedAt: new Date() };
+    const setOnInsert = { username: String(username), createdAt: new Date() };
+    if (role !== undefined) {
+        set.role = checkRole(role);
+    } else {
+        setOnInsert.role = 'owner';
+    }
+
+    return db.collection('admins').findOneAndUpdate(
+        { username: String(username) },
+        { $set: set, $setOnInsert: setOnInsert },
+        { upsert: true, returnDocument: 'after', projection: PUBLIC_PROJECTION }
+    );
+}
+
+/**
+ * Change an admin's role, status or password. Throws 404 for unknown admins.
+ */
+async function updateAdmin(db, username, { role, status, password }) {
+    const set = { updatedAt: new Date() };
+    if (role !== undefined) {
+        set.role = checkRole(role);
+    }
+    if (status !== undefined) {
+        if (!['active', 'disabled'].includes(status)) {
+            throw new AppError('Status must be active or disabled', 400);
+        }
+        set.status = status;
+    }
+    if (password !== undefined) {
+        checkPassword(password);
+        set.password_hash = await hashPassword(password);
+    }
+
+    const admin = await db.collection('admins').findOneAndUpdate(
+        { username: String(username) },
+        { $set: set },
+        { returnDocument: 'after', projection: PUBLIC_PROJECTION }
+    );
+    if (!admin) {
+        throw new AppError('Admin not found', 404);
+    }
+    return admin;
+}
+
+module.exports = {
+    SESSION_HOURS,
+    PUBLIC_PROJECTION,
+    hashPassword,
+    verifyPassword,
+    signToken,
+    verifyToken,
+    authenticate,
+    sessionAdmin,
+    issueSession,
+    login,
+    completeLogin,
+    saveAdmin,
+    updateAdmin
+};
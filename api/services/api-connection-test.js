@@ -0,0 +1,146 @@
+/**
+ * API Connection Test - Dry-run a configured provider API without buying a number
+ * Calls the read-only endpoints (balance, countries, products) and previews the rendered URL templates,
+ * recording latency, HTTP status and parse failures for every step.
+ */
+
+const { getProviderForApi } = require('./providers');
+const GenericHTTPProvider = require('./providers/generic-http');
+const { TEMPLATE_FIELDS } = require('../utils/api-definition');
+
+const REQUEST_TIMEOUT_MS = 10000;
+const SAMPLE_SIZE = 5;
+const MASKED_KEY = '***';
+const SAMPLE_ORDER_ID = '123456789';
+
+class APIConnectionTest {
+    /**
+     * @param {Object} api - Record from the `apis` collection
+     * @param {Object} options - { country, product } to use for the products call and template preview
+     */
+    constructor(api, options = {}) {
+        this.api = api;
+        this.options = options;
+        this.calls = [];
+        this.adapter = getProviderForApi(api, { fetch: (url, init) => this.recordFetch(url, init) });
+    }
+
+    /**
+     * Run every step and return the report
+     */
+    async run() {
+        const steps = [];
+
+        if (this.adapter instanceof GenericHTTPProvider && !this.api.balanceUrl) {
+            steps.push({ name: 'balance', skipped: true, reason: 'No balance URL configured' });
+        } else {
+            steps.push(await this.runStep('balance', () => this.adapter.getBalance()));
+        }
+
+        let countries = [];
+        steps.push(await this.runStep('countries', async () => {
+            countries = await this.adapter.getCountries();
+            return summarizeList(countries);
+        }));
+
+        const country = this.options.country || (countries[0] && countries[0].code) || 'russia';
+        steps.push(await this.runStep('products', async () => {
+            const products = await this.adapter.getProducts(country);
+            return { country, ...summarizeList(products) };
+        }));
+
+        const ran = steps.filter(step => !step.skipped);
+
+        return {
+            api: {
+                id: this.api._id ? String(this.api._id) : null,
+                name: this.api.name,
+                provider: this.api.provider,
+                adapter: this.adapter instanceof GenericHTTPProvider ? 'generic' : this.api.provider
+            },
+            success: ran.every(step => step.success),
+            testedAt: new Date(),
+            steps,
+            templates: this.previewTemplates(country)
+        };
+    }
+
+    /**
+     * Run one adapter call, capturing the HTTP requests it made
+     */
+    async runStep(name, action) {
+        this.calls = [];
+        const startedAt = Date.now();
+        const step = { name, success: false, latencyMs: null, httpStatus: null, parseFailure: false, result: null, error: null };
+
+        try {
+            step.result = await action();
+            step.success = true;
+        } catch (error) {
+            step.error = { code: error.code || null, message: this.redact(error.message) };
+            step.parseFailure = error.code === 'INVALID_RESPONSE' || error instanceof SyntaxError;
+        }
+
+        step.latencyMs = Date.now() - startedAt;
+        step.requests = this.calls;
+        const lastCall = this.calls[this.calls.length - 1];
+        step.httpStatus = lastCall ? lastCall.status : null;
+        return step;
+    }
+
+    /**
+     * Transport handed to the adapter: times each request and keeps a redacted record of it
+     */
+    async recordFetch(url, init = {}) {
+        const call = { method: init.method || 'GET', url: this.redact(String(url)), status: null, latencyMs: null };
+        const startedAt = Date.now();
+        this.calls.push(call);
+
+        try {
+            const response = await fetch(url, { ...init, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+            call.status = response.status;
+            return response;
+        } finally {
+            call.latencyMs = Date.now() - startedAt;
+        }
+    }
+
+    /**
+     * Render each configured URL template with sample values and a masked API key
+     */
+    previewTemplates(country) {
+        const preview = new GenericHTTPProvider({ ...this.api, apiKey: MASKED_KEY });
+        const values = {
+            service: this.options.product || 'any',
+            country,
+            operator: 'any',
+            id: SAMPLE_ORDER_ID
+        };
+
+        return TEMPLATE_FIELDS.filter(field => this.api[field]).map(field => {
+            try {
+                return { field, template: this.api[field], url: preview.buildUrl(field.replace(/Url$/, ''), values), error: null };
+            } catch (error) {
+                return { field, template: this.api[field], url: null, error: error.message };
+            }
+        });
+    }
+
+    /**
+     * Hide the API key from URLs and messages included in the report
+     */
+    redact(text) {
+        const apiKey = this.api.apiKey;
+        if (!apiKey || !text) {
+            return text;
+        }
+        return text.split(apiKey).join(MASKED_KEY).split(encodeURIComponent(apiKey)).join(MASKED_KEY);
+    }
+}
+
+function summarizeList(items) {
+    const list = Array.isArray(items) ? items : [];
+    return { count: list.length, sample: list.slice(0, SAMPLE_SIZE) };
+}
+
+module.exports = APIConnectionTest;
@@ -0,0 +1,132 @@
+/**
+ * Audit Log - Filters and cursor paging for `audit_log`
+ *
+ * Entries are written by middleware/audit.js, one per mutating API request of a signed-in admin,
+ * and listed newest first, ordered by (at, _id), with the same kind of opaque `next_cursor` as the
+ * transaction history.
+ *
+ * Query parameters (all optional):
+ *   actor                 admin username
+ *   entity, entity_id     the changed collection and record
+ *   method                POST, PUT, DELETE, ...
+ *   path                  part of the request path (e.g. `ban_user`)
+ *   outcome               `success` (status below 400) or `failed`
+ *   from, to              time range (ISO dates, inclusive; a bare `to` date covers that day)
+ */
+
+const { ObjectId } = require('mongodb');
+const { AppError } = require('../middleware/errorHandler');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new AppError(`${name} must be a date`, 400);
+    }
+    return date;
+}
+
+function encodeCursor(entry) {
+    return Buffer.from(JSON.stringify({ t: entry.at.toISOString(), id: String(entry._id) })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (!ObjectId.isValid(id) || isNaN(new Date(t).getTime())) {
+            throw new Error('bad cursor');
+        }
+        return { at: new Date(t), id: new ObjectId(id) };
+    } catch (error) {
+        throw new AppError('Invalid cursor', 400);
+    }
+}
+
+/**
+ * Mongo filter for the query parameters above. Throws 400 on malformed values.
+ */
+function buildFilter(query = {}) {
+    const filter = {};
+
+    if (query.actor) {
+        filter['actor.username'] = String(query.actor);
+    }
+    if (query.entity) {
+        filter.entity = String(query.entity);
+    }
+    if (query.entity_id) {
+        filter.entity_id = String(query.entity_id);
+    }
+    if (query.method) {
+        filter.method = String(query.method).toUpperCase();
+    }
+    if (query.path) {
+        filter.path = { $regex: escapeRegex(String(query.path)), $options: 'i' };
+    }
+
+    if (query.outcome === 'success') {
+        filter.status = { $lt: 400 };
+    } else if (query.outcome === 'failed') {
+        filter.status = { $gte: 400 };
+    } else if (query.outcome) {
+        throw new AppError('outcome must be success or failed', 400);
+    }
+
+    if (query.from || query.to) {
+        filter.at = {};
+        if (query.from) filter.at.$gte = parseDate(query.from, 'from');
+        if (query.to && DATE_ONLY.test(query.to)) {
+            filter.at.$lt = new Date(parseDate(query.to, 'to').getTime() + 24 * 60 * 60 * 1000);
+        } else if (query.to) {
+            filter.at.$lte = parseDate(query.to, 'to');
+        }
+    }
+
+    return filter;
+}
+
+/**
+ * One page of entries: `{ entries, pagination: { limit, has_more, next_cursor } }`
+ */
+async function listPage(db, query = {}) {
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit) || DEFAULT_LIMIT));
+    const filter = buildFilter(query);
+
+    if (query.cursor) {
+        const { at, id } = decodeCursor(query.cursor);
+        filter.$or = [{ at: { $lt: at } }, { at, _id: { $lt: id } }];
+    }
+
+    const rows = await db.collection('audit_log')
+        .find(filter)
+        .sort({ at: -1, _id: -1 })
+        .limit(limit + 1)
+        .toArray();
+
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        entries: page,
+        pagination: {
+            limit,
+            has_more: hasMore,
+            next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    buildFilter,
+    listPage
+};
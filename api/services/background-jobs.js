@@ -0,0 +1,19 @@
+/**
+ * Background Jobs - The one OTP service, SMS poller and order expiry sweeper of the process
+ * The local server runs them on timers and the /api/otp/poll and /api/otp/expire endpoints run
+ * single passes of the same instances, so no job is started twice.
+ */
+
+const OTPNumberService = require('./otp-number-service');
+const SMSPoller = require('./sms-poller');
+const OrderExpirySweeper = require('./order-expiry-sweeper');
+
+const otpService = new OTPNumberService();
+const smsPoller = new SMSPoller(otpService);
+const expirySweeper = new OrderExpirySweeper(otpService);
+
+module.exports = {
+    otpService,
+    smsPoller,
+    expirySweeper
+};
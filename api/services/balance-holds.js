@@ -0,0 +1,200 @@
+/**
+ * Balance Holds - Money set aside from a user's wallet for an order that has not delivered yet
+ *
+ *   users.balance        available: what the user can spend right now
+ *   users.held_balance   on hold for in-flight orders
+ *
+ * placeHold moves the price from `balance` to `held_balance` when a number is bought.
+ * captureHold charges it (writes the `order` debit) once the SMS arrives.
+ * releaseHold puts it back on `balance` when the order is cancelled or expires.
+ * The money itself moves through the ledger; this module tracks which order each hold belongs to.
+ *
+ * The order keeps its hold in `order.hold`; `capturedAt` / `releasedAt` are claimed with a guarded
+ * update, so a hold is settled exactly once even when the poller, sweeper and admin race.
+ */
+
+const { ObjectId } = require('mongodb');
+const ledger = require('./ledger');
+const money = require('../utils/money');
+const balancePolicy = require('./balance-policy');
+const { ORDER_STATUS, normalizeStatus, transitionOrder } = require('./order-state');
+
+// Statuses where the user got their code and pays for it
+const CAPTURE_STATUSES = [ORDER_STATUS.RECEIVED, ORDER_STATUS.COMPLETED];
+// Statuses where the number never delivered and the hold goes back
+const RELEASE_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.EXPIRED];
+
+/**
+ * Take `amount` off the available balance of an active user and put it on hold.
+ * Returns the updated user and the `hold` object to store on the order.
+ */
+async function placeHold(db, userId, amount, { session } = {}) {
+    const user = await ledger.placeHold(db, { userId, amount, session });
+    const minor = money.toMinor(amount);
+
+    return {
+        user,
+        hold: {
+            amount: money.fromMinor(minor),
+            balanceBefore: money.fromMinor(money.toMinor(user.balance) + minor),
+            placedAt: new Date(),
+            capturedAt: null,
+            releasedAt: null,
+            transactionId: null
+        }
+    };
+}
+
+/**
+ * Mark the order's open hold as settled. Returns false if there is no open hold.
+ */
+async function claimHold(db, order, field, extra, session) {
+    const claimed = await db.collection('orders').updateOne(
+        { _id: order._id, hold: { $ne: null }, 'hold.capturedAt': null, 'hold.releasedAt': null },
+        { $set: { [`hold.${field}`]: new Date(), ...extra } },
+        { session }
+    );
+    return claimed.modifiedCount > 0;
+}
+
+/**
+ * Charge the held amount: clear it from `held_balance` and record the `order` debit.
+ * Returns the debit transaction, or null if the hold was already settled.
+ */
+async function captureHold(db, order, { session } = {}) {
+    if (!order.hold) {
+        return null;
+    }
+
+    const { amount, balanceBefore } = order.hold;
+    const transactionId = new ObjectId();
+
+    if (!await claimHold(db, order, 'capturedAt', { 'hold.transactionId': transactionId }, session)) {
+        return null;
+    }
+
+    // The available balance already dropped when the hold was placed
+    return ledger.captureHold(db, {
+        userId: order.userId,
+        amount,
+        balanceBefore,
+        description: `Order purchase: ${order.product} (${order.orderId})`,
+        fields: { order_id: order.orderId },
+        transactionId,
+        session
+    });
+}
+
+/**
+ * Return the held amount to the available balance.
+ * Returns the updated user, or null if the hold was already settled.
+ */
+async function releaseHold(db, order, { session } = {}) {
+    if (!order.hold) {
+        return null;
+    }
+
+    if (!await claimHold(db, order, 'releasedAt', {}, session)) {
+        return null;
+    }
+
+    return ledger.releaseHold(db, { userId: order.userId, amount: order.hold.amount, session });
+}
+
+/**
+ * Capture or release an order's hold to match its status, in one MongoDB transaction
+ * (the caller's `session` if given).
+ * Orders without a hold (paid up front) and orders still in flight are left alone.
+ * Returns 'captured', 'released' or null.
+ */
+async function settleHold(db, order, { session } = {}) {
+    if (!order || !order.hold || order.hold.capturedAt || order.hold.releasedAt) {
+        return null;
+    }
+
+    const status = normalizeStatus(order.status);
+    let settle;
+    if (CAPTURE_STATUSES.includes(status)) {
+        settle = captureHold;
+    } else if (RELEASE_STATUSES.includes(status)) {
+        settle = releaseHold;
+    } else {
+        return null;
+    }
+
+    const settled = await ledger.withSession(db, txSession => settle(db, order, { session: txSession }), session);
+
+    if (!settled) {
+        return null;
+    }
+    return settle === captureHold ? 'captured' : 'released';
+}
+
+/**
+ * Move the order matching `filter` to `status` and settle its hold in the same MongoDB transaction,
+ * so an order never reaches received / completed / cancelled / expired with its money still held.
+ * Returns the updated order (with the settled hold), or null if no order matches.
+ */
+async function transitionAndSettle(db, filter, status, options = {}) {
+    return ledger.withSession(db, async (session) => {
+        const order = await transitionOrder(db, filter, status, { ...options, session });
+        if (!order || !await settleHold(db, order, { session })) {
+            return order;
+        }
+        return db.collection('orders').findOne({ _id: order._id }, { session });
+    });
+}
+
+/**
+ * Settle holds left open on orders that already reached a final status (for example by an
+ * older release that changed the status and settled the hold in separate steps).
+ * Returns the number of holds settled.
+ */
+async function settleOpenHolds(db, { limit = 50 } = {}) {
+    const orders = await db.collection('orders').find({
+        status: { $in: [...CAPTURE_STATUSES, ...RELEASE_STATUSES] },
+        hold: { $ne: null },
+        'hold.capturedAt': null,
+        'hold.releasedAt': null
+    }).limit(limit).toArray();
+
+    let settled = 0;
+    for (const order of orders) {
+        try {
+            if (await settleHold(db, order)) {
+                settled++;
+            }
+        } catch (error) {
+            console.error(`Failed to settle hold of order ${order.orderId || order._id}:`, error.message);
+        }
+    }
+    return settled;
+}
+
+/**
+ * Available / held / total view of a user's wallet
+ */
+function walletSummary(user) {
+    const balance = money.toMinor(user.balance) || 0;
+    const held = money.toMinor(user.held_balance) || 0;
+    return {
+        balance: money.minorToNumber(balance),
+        available_balance: money.minorToNumber(balance),
+        held_balance: money.minorToNumber(held),
+        total_balance: money.minorToNumber(balance + held),
+        credit_limit: money.minorToNumber(balancePolicy.creditLimit(user)),
+        spendable_balance: money.minorToNumber(Math.max(0, balancePolicy.spendable(user)))
+    };
+}
+
+module.exports = {
+    CAPTURE_STATUSES,
+    RELEASE_STATUSES,
+    placeHold,
+    captureHold,
+    releaseHold,
+    settleHold,
+    transitionAndSettle,
+    settleOpenHolds,
+    walletSummary
+};
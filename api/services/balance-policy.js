@@ -0,0 +1,101 @@
+/**
+ * Balance Policy - How far a user's available balance may go below zero
+ *
+ * The ledger asks this module before every debit from the available balance (admin cuts, order
+ * payments, holds, reversals). A user's credit limit is, in order:
+ *   1. `users.credit_limit`, when set (0 turns overdraft off for that user)
+ *   2. the limit for the user's role in BALANCE_ROLE_CREDIT_LIMITS, e.g. "reseller:500,vip:100"
+ *   3. BALANCE_CREDIT_LIMIT, 0 by default (no overdraft)
+ * A debit that would take the balance below -credit_limit fails with InsufficientFundsError (402).
+ */
+
+const { AppError, InsufficientFundsError } = require('../middleware/errorHandler');
+const money = require('../utils/money');
+
+function parseRoleLimits(text) {
+    const limits = {};
+    for (const entry of String(text || '').split(',')) {
+        const [role, limit] = entry.split(':').map(part => (part || '').trim());
+        const minor = money.toMinor(limit);
+        if (role && limit && Number.isSafeInteger(minor) && minor >= 0) {
+            limits[role] = minor;
+        }
+    }
+    return limits;
+}
+
+const DEFAULT_CREDIT_LIMIT = Math.max(0, money.toMinor(process.env.BALANCE_CREDIT_LIMIT) || 0);
+const ROLE_CREDIT_LIMITS = parseRoleLimits(process.env.BALANCE_ROLE_CREDIT_LIMITS);
+
+/**
+ * The user's credit limit in minor units
+ */
+function creditLimit(user) {
+    if (user.credit_limit !== undefined && user.credit_limit !== null) {
+        return Math.max(0, money.toMinor(user.credit_limit) || 0);
+    }
+    if (user.role && ROLE_CREDIT_LIMITS[user.role] !== undefined) {
+        return ROLE_CREDIT_LIMITS[user.role];
+    }
+    return DEFAULT_CREDIT_LIMIT;
+}
+
+/**
+ * What the user can spend right now, in minor units (balance plus credit limit)
+ */
+function spendable(user) {
+    return (money.toMinor(user.balance) || 0) + creditLimit(user);
+}
+
+/**
+ * Filter that only matches the user while they can afford `amount` (minor units)
+ */
+function fundsGuard(user, amount) {
+    return { balance: { $gte: money.fromMinor(amount - creditLimit(user)) } };
+}
+
+/**
+ * The error for a debit of `amount` (minor units) the user cannot afford
+ */
+function insufficientFunds(user, amount) {
+    const limit = creditLimit(user);
+    const available = spendable(user);
+    const details = {
+        balance: money.minorToNumber(money.toMinor(user.balance) || 0),
+        credit_limit: money.minorToNumber(limit),
+        available: money.minorToNumber(available),
+        required: money.minorToNumber(amount),
+        shortfall: money.minorToNumber(Math.max(0, amount - available))
+    };
+
+    const credit = limit > 0 ? ` (including ${money.formatMoney(details.credit_limit)} credit)` : '';
+    return new InsufficientFundsError(
+        `Insufficient balance: ${money.formatMoney(Math.max(0, details.available))} available${credit}, ${money.formatMoney(details.required)} needed`,
+        details
+    );
+}
+
+/**
+ * Validate a `credit_limit` sent by the admin: null / '' clears it (role or default limit applies),
+ * otherwise a non-negative Decimal128
+ */
+function parseCreditLimit(value) {
+    if (value === null || value === '') {
+        return null;
+    }
+    const minor = money.toMinor(value);
+    if (!Number.isSafeInteger(minor) || minor < 0) {
+        throw new AppError('Credit limit must be a non-negative number', 400);
+    }
+    return money.fromMinor(minor);
+}
+
+module.exports = {
+    DEFAULT_CREDIT_LIMIT,
+    ROLE_CREDIT_LIMITS,
+    creditLimit,
+    spendable,
+    fundsGuard,
+    insufficientFunds,
+    parseCreditLimit
+};
@@ -0,0 +1,196 @@
+/**
+ * Balance Reconciliation - Compares every user's stored balance with their transaction history
+ *
+ * A user's history (credits minus debits) should add up to `balance + held_balance`.
+ * Each run produces a drift report, saved to `reconciliation_runs` as the audit trail.
+ * With `repair`, every drifted user gets an `adjustment` transaction (through the ledger) that
+ * records the missing movement, so the history matches the balance users actually see.
+ * The stored balance itself is never changed.
+ */
+
+const { ObjectId } = require('mongodb');
+const { connectToMongoDB } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const ledger = require('./ledger');
+const money = require('../utils/money');
+
+// Any drift of a minor unit or more is reported unless a run allows more
+const DEFAULT_TOLERANCE = 0;
+
+// The tolerance as whole minor units of the currency; 400 unless it is a non-negative amount
+function toleranceMinor(tolerance) {
+    const minor = money.toMinor(tolerance);
+    if (!Number.isSafeInteger(minor) || minor < 0) {
+        throw new AppError('Tolerance must be a non-negative amount', 400);
+    }
+    return minor;
+}
+
+function userKey(user) {
+    return String(user.user_id !== undefined ? user.user_id : user._id);
+}
+
+class BalanceReconciliation {
+    /**
+     * History totals per user, keyed by the user ID as a string
+     */
+    async getHistoryTotals(db, match = {}) {
+        const rows = await db.collection('transactions').aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: { $toString: '$user_id' },
+                    credits: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', 0] } },
+                    debits: { $sum: { $cond: [{ $eq: ['$type', 'debit'] }, '$amount', 0] } },
+                    count: { $sum: 1 }
+                }
+            }
+        ]).toArray();
+
+        return new Map(rows.map(row => [row._id, row]));
+    }
+
+    /**
+     * Compare one user against their history totals
+     */
+    checkUser(user, totals) {
+        const storedBalance = money.toMinor(user.balance) || 0;
+        const heldBalance = money.toMinor(user.held_balance) || 0;
+        const historyBalance = totals ? money.toMinor(totals.credits) - money.toMinor(totals.debits) : 0;
+
+        return {
+            user_id: user.user_id !== undefined ? user.user_id : user._id,
+            name: user.first_name || user.username || null,
+            stored_balance: money.minorToNumber(storedBalance),
+            held_balance: money.minorToNumber(heldBalance),
+            history_balance: money.minorToNumber(historyBalance),
+            drift: money.minorToNumber(storedBalance + heldBalance - historyBalance),
+            transaction_count: totals ? totals.count : 0,
+            adjustment_id: null,
+            error: null
+        };
+    }
+
+    /**
+     * Write the `adjustment` transaction that closes one user's drift
+     */
+    async repair(db, user, entry, runId, actor) {
+        const transaction = await ledger.recordAdjustment(db, {
+            filter: { _id: user._id },
+            type: entry.drift > 0 ? 'credit' : 'debit',
+            amount: Math.abs(entry.drift),
+            description: `Reconciliation adjustment (run ${runId})`,
+            fields: { reconciliation_id: runId, drift: entry.drift, adjusted_by: actor }
+        });
+        return transaction._id;
+    }
+
+    /**
+     * Scan users (or one user), report drift and optionally repair it. Drift up to `tolerance`
+     * (an amount in the currency, compared in minor units) is ignored.
+     * Returns the saved run.
+     */
+    async run({ repair = false, userId = null, tolerance = DEFAULT_TOLERANCE, actor = 'system' } = {}) {
+        const allowed = toleranceMinor(tolerance);
+        const { db } = await connectToMongoDB();
+        if (!db) {
+            throw new AppError('Database not available', 503);
+        }
+
+        const runId = new ObjectId();
+        const run = {
+            _id: runId,
+            started_at: new Date(),
+            finished_at: null,
+            actor,
+            repair: Boolean(repair),
+            tolerance: money.minorToNumber(allowed),
+            user_id: userId,
+            users_checked: 0,
+            drifted_users: 0,
+            net_drift: 0,
+            absolute_drift: 0,
+            adjustments_written: 0,
+            drifts: []
+        };
+
+        // Users and transactions share the user_id field, so one filter narrows both
+        const match = userId !== null && userId !== undefined
+            ? { user_id: { $in: ledger.userIdCandidates(userId) } }
+            : {};
+        const totals = await this.getHistoryTotals(db, match);
+
+        const users = db.collection('users').find(match, {
+            projection: { _id: 1, user_id: 1, first_name: 1, username: 1, balance: 1, held_balance: 1 }
+        });
+
+        let netDrift = 0;
+        let absoluteDrift = 0;
+        for await (const user of users) {
+            run.users_checked++;
+            const entry = this.checkUser(user, totals.get(userKey(user)));
+            const drift = money.toMinor(entry.drift);
+            if (Math.abs(drift) <= allowed) {
+                continue;
+            }
+
+            run.drifted_users++;
+            netDrift += drift;
+            absoluteDrift += Math.abs(drift);
+
+            if (run.repair) {
+                try {
+                    entry.adjustment_id = await this.repair(db, user, entry, runId, actor);
+                    run.adjustments_written++;
+                } catch (error) {
+                    entry.error = error.message;
+                }
+            }
+
+            run.drifts.push(entry);
+        }
+
+        run.net_drift = money.minorToNumber(netDrift);
+        run.absolute_drift = money.minorToNumber(absoluteDrift);
+        run.finished_at = new Date();
+        await db.collection('reconciliation_runs').insertOne(run);
+        return run;
+    }
+
+    /**
+     * Recent runs, newest first, without the per-user drift lists
+     */
+    async getRuns({ limit = 20 } = {}) {
+        const { db } = await connectToMongoDB();
+        if (!db) {
+            return [];
+        }
+
+        return db.collection('reconciliation_runs')
+            .find({}, { projection: { drifts: 0 } })
+            .sort({ started_at: -1 })
+            .limit(limit)
+            .toArray();
+    }
+
+    /**
+     * One run with its full drift report
+     */
+    async getRun(id) {
+        const { db } = await connectToMongoDB();
+        if (!db) {
+            throw new AppError('Database not available', 503);
+        }
+        if (!ObjectId.isValid(String(id))) {
+            throw new AppError('Invalid run ID', 400);
+        }
+
+        const run = await db.collection('reconciliation_runs').findOne({ _id: new ObjectId(String(id)) });
+        if (!run) {
+            throw new AppError('Reconciliation run not found', 404);
+        }
+        return run;
+    }
+}
+
+module.exports = BalanceReconciliation;
@@ -0,0 +1,210 @@
+/**
+ * Exchange Rates - Converts amounts between currencies
+ *
+ * User balances are kept in the base currency (`CURRENCY`, INR by default). Services and providers
+ * can price in other currencies; each of those needs a rate in `exchange_rates`:
+ *
+ *   { currency: 'RUB', rate: Decimal128('0.95'), updatedAt, updatedBy }
+ *
+ * `rate` is the value of one unit of `currency` in the base currency. Conversion is done on integer
+ * minor units and rounded half away from zero to the target currency's minor unit.
+ */
+
+const { Decimal128 } = require('mongodb');
+const { connectToMongoDB } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const money = require('../utils/money');
+
+const BASE_CURRENCY = money.DEFAULT_CURRENCY;
+
+// Decimal places kept for a rate
+const RATE_DIGITS = 8;
+
+/**
+ * Uppercased ISO 4217 code, or null if `value` is not one
+ */
+function normalizeCurrency(value) {
+    const code = String(value || '').trim().toUpperCase();
+    return money.isCurrencyCode(code) ? code : null;
+}
+
+/**
+ * Rates keyed by currency code, as stored (the base currency is always 1)
+ */
+async function loadRates(db) {
+    const rates = { [BASE_CURRENCY]: '1' };
+    if (!db) {
+        return rates;
+    }
+
+    const records = await db.collection('exchange_rates').find({}).toArray();
+    for (const record of records) {
+        rates[record.currency] = String(record.rate);
+    }
+    rates[BASE_CURRENCY] = '1';
+    return rates;
+}
+
+function scaledRate(rates, currency) {
+    if (rates[currency] === undefined) {
+        throw new AppError(`No exchange rate set for ${currency}`, 400);
+    }
+    return BigInt(money.toScaled(rates[currency], RATE_DIGITS));
+}
+
+/**
+ * Division of BigInts rounded half away from zero
+ */
+function divideRounded(numerator, denominator) {
+    const negative = (numerator < 0n) !== (denominator < 0n);
+    const n = numerator < 0n ? -numerator : numerator;
+    const d = denominator < 0n ? -denominator : denominator;
+    const quotient = (n * 2n + d) / (d * 2n);
+    return negative ? -quotient : quotient;
+}
+
+/**
+ * Convert an amount in `from` minor units to `to` minor units
+ */
+function convertMinor(minor, from, to, rates) {
+    if (from === to) {
+        return minor;
+    }
+
+    const numerator = BigInt(minor) * scaledRate(rates, from) * 10n ** BigInt(money.minorUnits(to));
+    const denominator = scaledRate(rates, to) * 10n ** BigInt(money.minorUnits(from));
+    return Number(divideRounded(numerator, denominator));
+}
+
+/**
+ * Convert `amount` from one currency to another. Returns a Decimal128 in the target currency.
+ */
+function convert(amount, from, to, rates) {
+    const minor = money.toMinor(amount, from);
+    if (isNaN(minor)) {
+        throw new AppError('Amount must be a number', 400);
+    }
+    return money.fromMinor(convertMinor(minor, from, to, rates), to);
+}
+
+/**
+ * Add up per-currency totals (`[{ currency, total }]`) in `target`. Returns a plain number and the
+ * currencies that had no rate (those totals are left out).
+ */
+function normalizeTotals(rows, target, rates) {
+    let minor = 0;
+    const missing = [];
+
+    for (const row of rows) {
+        const currency = row.currency || BASE_CURRENCY;
+        const total = money.toMinor(row.total, currency) || 0;
+        if (rates[currency] === undefined || rates[target] === undefined) {
+            missing.push(currency);
+            continue;
+        }
+        minor += convertMinor(total, currency, target, rates);
+    }
+
+    return { total: money.minorToNumber(minor, target), currency: target, missing_rates: missing };
+}
+
+/**
+ * Sum `amountField` over the matching documents of `collection`, grouped by `currencyField` and
+ * normalized to `target`. Documents without a currency count as the base currency.
+ */
+async function totalIn(db, { collection, match = {}, amountField, currencyField, target = BASE_CURRENCY }) {
+    const rows = await db.collection(collection).aggregate([
+        { $match: match },
+        { $group: { _id: `$${currencyField}`, total: { $sum: `$${amountField}` } } }
+    ]).toArray();
+
+    const byCurrency = {};
+    for (const row of rows) {
+        const currency = row._id || BASE_CURRENCY;
+        byCurrency[currency] = money.minorToNumber(
+            (money.toMinor(byCurrency[currency] || 0, currency) || 0) + (money.toMinor(row.total, currency) || 0),
+            currency
+        );
+    }
+
+    const rates = await loadRates(db);
+    const rowsByCurrency = Object.entries(byCurrency).map(([currency, total]) => ({ currency, total }));
+    return { ...normalizeTotals(rowsByCurrency, target, rates), by_currency: byCurrency };
+}
+
+/**
+ * All stored rates, plus the base currency
+ */
+async function listRates() {
+    const { db } = await connectToMongoDB();
+    const records = db
+        ? await db.collection('exchange_rates').find({}).sort({ currency: 1 }).toArray()
+        : [];
+
+    return {
+        base: BASE_CURRENCY,
+        rates: records.filter(record => record.currency !== BASE_CURRENCY)
+    };
+}
+
+/**
+ * Create or replace the rate for `currency`
+ */
+async function setRate(currency, rate, actor = 'admin') {
+    const code = normalizeCurrency(currency);
+    if (!code) {
+        throw new AppError('Currency must be a three-letter ISO 4217 code', 400);
+    }
+    if (code === BASE_CURRENCY) {
+        throw new AppError(`${BASE_CURRENCY} is the base currency; its rate is always 1`, 400);
+    }
+
+    const scaled = money.toScaled(rate, RATE_DIGITS);
+    if (!Number.isSafeInteger(scaled) || scaled <= 0) {
+        throw new AppError('Rate must be a positive number', 400);
+    }
+
+    const { db } = await connectToMongoDB();
+    if (!db) {
+        throw new AppError('Database not available', 503);
+    }
+
+    return db.collection('exchange_rates').findOneAndUpdate(
+        { currency: code },
+        {
+            $set: {
+                rate: Decimal128.fromString(money.scaledToString(scaled, RATE_DIGITS)),
+                updatedAt: new Date(),
+                updatedBy: actor
+            },
+            $setOnInsert: { currency: code, createdAt: new Date() }
+        },
+        { upsert: true, returnDocument: 'after' }
+    );
+}
+
+async function deleteRate(currency) {
+    const code = normalizeCurrency(currency);
+    const { db } = await connectToMongoDB();
+    if (!db) {
+        throw new AppError('Database not available', 503);
+    }
+
+    const result = await db.collection('exchange_rates').deleteOne({ currency: code });
+    if (result.deletedCount === 0) {
+        throw new AppError('Exchange rate not found', 404);
+    }
+}
+
+module.exports = {
+    BASE_CURRENCY,
+    normalizeCurrency,
+    loadRates,
+    convert,
+    convertMinor,
+    normalizeTotals,
+    totalIn,
+    listRates,
+    setRate,
+    deleteRate
+};
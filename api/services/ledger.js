@@ -0,0 +1,498 @@
+/**
+ * Ledger - The only code that changes a user's balance
+ *
+ * Every balance change is a balanced journal entry in `journal_entries` (total debits equal total
+ * credits) written in the same MongoDB transaction as the `users` balance update and, for
+ * user-visible movements, the `transactions` record. Either all three are saved or none is.
+ *
+ * Accounts:
+ *   user:<id>          the user's available balance (`users.balance`)
+ *   user:<id>:held     money on hold for in-flight orders (`users.held_balance`)
+ *   system:*           the other side of each movement (cash in, promotions, revenue, adjustments)
+ *
+ * A user account is a liability: crediting it raises the user's balance, debiting it lowers it.
+ * How far the available balance may go below zero is decided by the balance policy (balance-policy.js).
+ * Amounts are handled as integer minor units internally and stored as Decimal128 (see utils/money).
+ */
+
+const { ObjectId } = require('mongodb');
+const { AppError } = require('../middleware/errorHandler');
+const money = require('../utils/money');
+const balancePolicy = require('./balance-policy');
+
+const ACCOUNTS = {
+    CASH: 'system:cash',
+    PROMOTIONS: 'system:promotions',
+    REVENUE: 'system:revenue',
+    ADJUSTMENTS: 'system:adjustments'
+};
+
+// Contra account for each transaction source
+const SOURCE_ACCOUNTS = {
+    qr_payment: ACCOUNTS.CASH,
+    promo: ACCOUNTS.PROMOTIONS,
+    order: ACCOUNTS.REVENUE,
+    refund: ACCOUNTS.REVENUE,
+    adjustment: ACCOUNTS.ADJUSTMENTS,
+    reversal: ACCOUNTS.ADJUSTMENTS,
+    admin: ACCOUNTS.ADJUSTMENTS,
+    bot: ACCOUNTS.ADJUSTMENTS,
+    system: ACCOUNTS.ADJUSTMENTS
+};
+
+const USER_PROJECTION = { _id: 1, user_id: 1, balance: 1, held_balance: 1, status: 1, role: 1, credit_limit: 1 };
+
+/**
+ * user_id values to try for an ID that may have been stored as a number or a string
+ */
+function userIdCandidates(userId) {
+    const candidates = [String(userId)];
+    if (!isNaN(parseInt(userId))) {
+        candidates.push(parseInt(userId));
+    }
+    return candidates;
+}
+
+function walletAccount(user) {
+    return `user:${user.user_id !== undefined ? user.user_id : user._id}`;
+}
+
+function heldAccount(user) {
+    return `${walletAccount(user)}:held`;
+}
+
+function contraAccount(source) {
+    return SOURCE_ACCOUNTS[source] || ACCOUNTS.ADJUSTMENTS;
+}
+
+/**
+ * Positive amount in minor units
+ */
+function toAmount(value) {
+    const amount = money.toMinor(value);
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+        throw new AppError('Amount must be a positive number', 400);
+    }
+    return amount;
+}
+
+/**
+ * Decimal128 `$inc` document from minor-unit changes
+ */
+function increments(changes) {
+    const inc = {};
+    for (const [field, minor] of Object.entries(changes)) {
+        inc[field] = money.fromMinor(minor);
+    }
+    return inc;
+}
+
+/**
+ * Run `fn(session)` inside a MongoDB transaction, or inside the caller's `session` if given.
+ * The session is started from `db.client`, since a session only works with the client it came from.
+ */
+async function withSession(db, fn, session = null) {
+    if (session) {
+        return fn(session);
+    }
+
+    if (!db || !db.client) {
+        throw new AppError('Database not available', 503);
+    }
+
+    const ownSession = db.client.startSession();
+    try {
+        let result;
+        await ownSession.withTransaction(async () => {
+            result = await fn(ownSession);
+        });
+        return result;
+    } finally {
+        await ownSession.endSession();
+    }
+}
+
+function userQuery({ userId, filter }) {
+    return filter || { user_id: { $in: userIdCandidates(userId) } };
+}
+
+/**
+ * Apply `changes` to the matching user. With `debit` (minor units taken off the available balance)
+ * the balance policy must allow it; with `requireActive` banned users are refused.
+ * Throws 404 / 403 / 402 (InsufficientFundsError).
+ */
+async function applyToUser(db, query, changes, session, { debit = 0, requireActive = false } = {}) {
+    const users = db.collection('users');
+    const existing = await users.findOne(query, { projection: USER_PROJECTION, session });
+    if (!existing) {
+        throw new AppError('User not found', 404);
+    }
+
+    const guard = {
+        ...(requireActive ? { status: { $ne: 'banned' } } : {}),
+        ...(debit > 0 ? balancePolicy.fundsGuard(existing, debit) : {})
+    };
+    const user = await users.findOneAndUpdate(
+        { _id: existing._id, ...guard },
+        { $inc: increments(changes) },
+        { returnDocument: 'after', projection: USER_PROJECTION, session }
+    );
+    if (user) {
+        return user;
+    }
+
+    // The balance or status changed between the read and the update
+    const current = await users.findOne({ _id: existing._id }, { projection: USER_PROJECTION, session }) || existing;
+    if (requireActive && current.status === 'banned') {
+        throw new AppError('User is banned', 403);
+    }
+    throw balancePolicy.insufficientFunds(current, debit);
+}
+
+/**
+ * Write one journal entry and, when `transaction` is given, the matching `transactions` record.
+ * `lines` are [account, debit, credit] in minor units; they must balance.
+ */
+async function writeEntry(db, { user, lines, source, description, transaction }, session) {
+    const totalDebit = lines.reduce((sum, [, debit]) => sum + debit, 0);
+    const totalCredit = lines.reduce((sum, [, , credit]) => sum + credit, 0);
+    if (totalDebit !== totalCredit) {
+        throw new Error(`Unbalanced journal entry: debits ${totalDebit} != credits ${totalCredit}`);
+    }
+
+    const now = new Date();
+    const entry = {
+        _id: new ObjectId(),
+        user_id: user.user_id !== undefined ? user.user_id : user._id,
+        source,
+        description,
+        lines: lines.map(([account, debit, credit]) => ({
+            account,
+            debit: money.fromMinor(debit),
+            credit: money.fromMinor(credit)
+        })),
+        transaction_id: null,
+        created_at: now
+    };
+
+    let record = null;
+    if (transaction) {
+        record = {
+            _id: transaction._id || new ObjectId(),
+            user_id: entry.user_id,
+            type: transaction.type,
+            amount: money.fromMinor(transaction.amount),
+            description,
+            source,
+            timestamp: now,
+            balance_before: money.fromMinor(transaction.balance_before),
+            balance_after: money.fromMinor(transaction.balance_after),
+            ...transaction.fields,
+            journal_id: entry._id
+        };
+        entry.transaction_id = record._id;
+        await db.collection('transactions').insertOne(record, { session });
+    }
+
+    await db.collection('journal_entries').insertOne(entry, { session });
+    return record;
+}
+
+/**
+ * Add money to a user's balance. Returns the `credit` transaction.
+ */
+async function credit(db, { userId, filter, amount, source = 'admin', description, fields = {}, session }) {
+    const value = toAmount(amount);
+
+    return withSession(db, async (txSession) => {
+        const user = await applyToUser(db, userQuery({ userId, filter }), { balance: value }, txSession);
+
+        return writeEntry(db, {
+            user,
+            source,
+            description: description || 'Balance added',
+            lines: [[contraAccount(source), value, 0], [walletAccount(user), 0, value]],
+            transaction: {
+                type: 'credit',
+                amount: value,
+                balance_before: money.toMinor(user.balance) - value,
+                balance_after: money.toMinor(user.balance),
+                fields
+            }
+        }, txSession);
+    }, session);
+}
+
+/**
+ * Take money off a user's balance, within what the balance policy allows.
+ * Returns the `debit` transaction.
+ */
+async function debit(db, { userId, filter, amount, source = 'admin', description, fields = {}, session }) {
+    const value = toAmount(amount);
+
+    return withSession(db, async (txSession) => {
+        const user = await applyToUser(db, userQuery({ userId, filter }), { balance: -value }, txSession, { debit: value });
+
+        return writeEntry(db, {
+            user,
+            source,
+            description: description || 'Balance deducted',
+            lines: [[walletAccount(user), value, 0], [contraAccount(source), 0, value]],
+            transaction: {
+                type: 'debit',
+                amount: value,
+                balance_before: money.toMinor(user.balance) + value,
+                balance_after: money.toMinor(user.balance),
+                fields
+            }
+        }, txSession);
+    }, session);
+}
+
+/**
+ * Set a user's balance to an exact amount by posting the difference.
+ * Returns the transaction, or null when the balance already matches.
+ */
+async function setBalance(db, { userId, filter, balance, source = 'admin', description, fields = {}, session }) {
+    const target = money.toMinor(balance) || 0;
+
+    return withSession(db, async (txSession) => {
+        const query = userQuery({ userId, filter });
+        const user = await db.collection('users').findOne(query, { projection: USER_PROJECTION, session: txSession });
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        const difference = target - money.toMinor(user.balance);
+        if (difference === 0) {
+            return null;
+        }
+
+        const options = { filter: { _id: user._id }, source, fields, session: txSession };
+        if (difference > 0) {
+            return credit(db, { ...options, amount: money.fromMinor(difference), description: description || 'Balance set by admin' });
+        }
+        return debit(db, { ...options, amount: money.fromMinor(-difference), description: description || 'Balance set by admin' });
+    }, session);
+}
+
+/**
+ * Record a movement that already happened to the balance but is missing from the history
+ * (used by reconciliation). The balance is left as it is; the journal and `transactions` get an
+ * `adjustment` entry so the history adds up to it again. Returns the transaction.
+ */
+async function recordAdjustment(db, { userId, filter, type, amount, description, fields = {}, session }) {
+    const value = toAmount(amount);
+
+    return withSession(db, async (txSession) => {
+        const user = await db.collection('users').findOne(userQuery({ userId, filter }), { projection: USER_PROJECTION, session: txSession });
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        const lines = type === 'credit'
+            ? [[ACCOUNTS.ADJUSTMENTS, value, 0], [walletAccount(user), 0, value]]
+            : [[walletAccount(user), value, 0], [ACCOUNTS.ADJUSTMENTS, 0, value]];
+
+        return writeEntry(db, {
+            user,
+            source: 'adjustment',
+            description: description || 'Balance adjustment',
+            lines,
+            transaction: {
+                type,
+                amount: value,
+                balance_before: money.toMinor(user.balance),
+                balance_after: money.toMinor(user.balance),
+                fields
+            }
+        }, txSession);
+    }, session);
+}
+
+/**
+ * Undo a transaction with an opposite, linked one. The balance moves back in the same MongoDB
+ * transaction that marks the original `reversed`; a transaction can only be reversed once.
+ * Reversing a credit takes the money back, so the balance policy must allow that debit.
+ * Returns { original, reversal }.
+ */
+async function reverse(db, { transactionId, reason = null, actor = 'admin', session }) {
+    if (!ObjectId.isValid(String(transactionId))) {
+        throw new AppError('Invalid transaction ID', 400);
+    }
+    const _id = new ObjectId(String(transactionId));
+
+    return withSession(db, async (txSession) => {
+        const original = await db.collection('transactions').findOne({ _id }, { session: txSession });
+        if (!original) {
+            throw new AppError('Transaction not found', 404);
+        }
+        if (original.reversal_of) {
+            throw new AppError('A reversal cannot be reversed', 400);
+        }
+        if (original.source === 'adjustment') {
+            // Adjustments record history only; the balance was never moved by them
+            throw new AppError('Reconciliation adjustments cannot be reversed', 400);
+        }
+        if (original.type !== 'credit' && original.type !== 'debit') {
+            throw new AppError(`Transactions of type ${original.type} cannot be reversed`, 400);
+        }
+        if (original.source === 'order') {
+            const refund = await db.collection('transactions').findOne(
+                { refund_of: original._id, source: 'refund' },
+                { projection: { _id: 1 }, session: txSession }
+            );
+            if (refund) {
+                throw new AppError('Order payment was already refunded', 409);
+            }
+        }
+
+        const reversalId = new ObjectId();
+        const claimed = await db.collection('transactions').updateOne(
+            { _id, reversed_by: null },
+            { $set: { reversed_by: reversalId, reversed_at: new Date(), reversal_reason: reason } },
+            { session: txSession }
+        );
+        if (claimed.modifiedCount === 0) {
+            throw new AppError('Transaction has already been reversed', 409);
+        }
+
+        const value = toAmount(original.amount);
+        const isCredit = original.type === 'debit';
+        const user = await applyToUser(
+            db,
+            original.user_id instanceof ObjectId ? { _id: original.user_id } : { user_id: original.user_id },
+            { balance: isCredit ? value : -value },
+            txSession,
+            { debit: isCredit ? 0 : value }
+        );
+
+        // The reversal hits the same contra account as the original
+        const contra = contraAccount(original.source);
+        const after = money.toMinor(user.balance);
+        const reversal = await writeEntry(db, {
+            user,
+            source: 'reversal',
+            description: `Reversal of ${original.description || original._id}${reason ? `: ${reason}` : ''}`,
+            lines: isCredit
+                ? [[contra, value, 0], [walletAccount(user), 0, value]]
+                : [[walletAccount(user), value, 0], [contra, 0, value]],
+            transaction: {
+                _id: reversalId,
+                type: isCredit ? 'credit' : 'debit',
+                amount: value,
+                balance_before: isCredit ? after - value : after + value,
+                balance_after: after,
+                fields: {
+                    reversal_of: original._id,
+                    reversed_source: original.source || null,
+                    order_id: original.order_id || null,
+                    reason,
+                    admin_id: actor
+                }
+            }
+        }, txSession);
+
+        return {
+            original: { ...original, reversed_by: reversalId, reversed_at: reversal.timestamp, reversal_reason: reason },
+            reversal
+        };
+    }, session);
+}
+
+/**
+ * Move `amount` from an active user's available balance to their held balance.
+ * Holds are internal, so only the journal entry is written. Returns the updated user.
+ */
+async function placeHold(db, { userId, filter, amount, session }) {
+    const value = toAmount(amount);
+
+    return withSession(db, async (txSession) => {
+        const user = await applyToUser(
+            db,
+            userQuery({ userId, filter }),
+            { balance: -value, held_balance: value },
+            txSession,
+            { debit: value, requireActive: true }
+        );
+
+        await writeEntry(db, {
+            user,
+            source: 'order',
+            description: 'Balance held for order',
+            lines: [[walletAccount(user), value, 0], [heldAccount(user), 0, value]]
+        }, txSession);
+
+        return user;
+    }, session);
+}
+
+/**
+ * Charge a held amount. `balanceBefore` is the available balance when the hold was placed,
+ * which is when the user saw the money leave. Returns the `debit` transaction.
+ */
+async function captureHold(db, { userId, filter, amount, balanceBefore, source = 'order', description, fields = {}, transactionId, session }) {
+    const value = toAmount(amount);
+    const before = money.toMinor(balanceBefore);
+
+    return withSession(db, async (txSession) => {
+        const user = await applyToUser(db, userQuery({ userId, filter }), { held_balance: -value }, txSession);
+
+        return writeEntry(db, {
+            user,
+            source,
+            description: description || 'Held balance captured',
+            lines: [[heldAccount(user), value, 0], [contraAccount(source), 0, value]],
+            transaction: {
+                _id: transactionId,
+                type: 'debit',
+                amount: value,
+                balance_before: before,
+                balance_after: before - value,
+                fields
+            }
+        }, txSession);
+    }, session);
+}
+
+/**
+ * Give a held amount back to the available balance. Returns the updated user.
+ */
+async function releaseHold(db, { userId, filter, amount, session }) {
+    const value = toAmount(amount);
+
+    return withSession(db, async (txSession) => {
+        const user = await applyToUser(
+            db,
+            userQuery({ userId, filter }),
+            { balance: value, held_balance: -value },
+            txSession
+        );
+
+        await writeEntry(db, {
+            user,
+            source: 'order',
+            description: 'Held balance released',
+            lines: [[heldAccount(user), value, 0], [walletAccount(user), 0, value]]
+        }, txSession);
+
+        return user;
+    }, session);
+}
+
+module.exports = {
+    ACCOUNTS,
+    SOURCE_ACCOUNTS,
+    userIdCandidates,
+    walletAccount,
+    heldAccount,
+    withSession,
+    credit,
+    debit,
+    setBalance,
+    recordAdjustment,
+    reverse,
+    placeHold,
+    captureHold,
+    releaseHold
+};
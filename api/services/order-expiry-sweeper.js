@@ -0,0 +1,160 @@
+/**
+ * Order Expiry Sweeper - Auto-cancels orders whose number window ran out without an SMS
+ * Cancels the number with the provider, marks the order `expired` and releases the user's hold
+ * (or refunds them, for orders that were paid up front).
+ * The status change is guarded on the order still waiting, so concurrent sweeps never refund an order twice.
+ */
+
+const { connectToMongoDB } = require('../config/database');
+const OTPNumberService = require('./otp-number-service');
+const PurchaseService = require('./purchase-service');
+const { ORDER_STATUS } = require('./order-state');
+const { transitionAndSettle, settleOpenHolds } = require('./balance-holds');
+
+const ACTOR = 'system:expiry';
+// Orders holding a number that has not delivered an SMS yet
+const EXPIRABLE_STATUSES = [ORDER_STATUS.NUMBER_ASSIGNED, ORDER_STATUS.WAITING];
+
+const DEFAULTS = {
+    intervalMs: parseInt(process.env.ORDER_EXPIRY_INTERVAL_MS) || 60000,
+    // Used for orders saved without an expiry time
+    defaultWindowMinutes: parseInt(process.env.ORDER_EXPIRY_MINUTES) || 20,
+    batchSize: parseInt(process.env.ORDER_EXPIRY_BATCH_SIZE) || 50
+};
+
+class OrderExpirySweeper {
+    constructor(otpService = new OTPNumberService(), options = {}) {
+        this.otpService = otpService;
+        this.purchaseService = new PurchaseService(otpService);
+        this.options = { ...DEFAULTS, ...options };
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Waiting orders past their expiry time
+     */
+    async findExpiredOrders(db) {
+        const now = new Date();
+        const legacyCutoff = new Date(now.getTime() - this.options.defaultWindowMinutes * 60 * 1000);
+
+        return db.collection('orders')
+            .find({
+                status: { $in: EXPIRABLE_STATUSES },
+                $or: [
+                    { expiresAt: { $lte: now } },
+                    { expiresAt: null, createdAt: { $lte: legacyCutoff } }
+                ]
+            })
+            .sort({ expiresAt: 1, createdAt: 1 })
+            .limit(this.options.batchSize)
+            .toArray();
+    }
+
+    /**
+     * Expire one order. Returns 'expired', 'received' (an SMS arrived at the last moment),
+     * 'cancelled' (the provider already cancelled it) or 'skipped'.
+     */
+    async expireOrder(db, order) {
+        // One last look so a code that just arrived is not thrown away
+        try {
+            const result = await this.otpService.checkSMS(order.provider, order.orderId);
+            if (result.cancelled) {
+                await this.otpService.refundOrder(order, 'cancelled', ACTOR);
+                return 'cancelled';
+            }
+            if (!result.waiting) {
+                return 'received';
+            }
+        } catch (error) {
+            // The provider may already have released the number; expire it anyway
+        }
+
+        let providerCancelError = null;
+        try {
+            const adapter = await this.otpService.getAdapter(order.provider);
+            await adapter.cancel(order.orderId);
+        } catch (error) {
+            providerCancelError = error.message;
+        }
+
+        // The hold is released in the same transaction, so an expired order never keeps the money
+        const expired = await transitionAndSettle(
+            db,
+            { _id: order._id, status: { $in: EXPIRABLE_STATUSES } },
+            ORDER_STATUS.EXPIRED,
+            { actor: ACTOR, reason: 'No SMS before the number expired', set: { cancelReason: 'timeout', providerCancelError } }
+        );
+
+        if (!expired) {
+            return 'skipped';
+        }
+
+        await this.otpService.refundOrder(order, 'expired', ACTOR);
+        return 'expired';
+    }
+
+    /**
+     * Expire up to `batchSize` overdue orders once
+     */
+    async tick() {
+        const summary = { checked: 0, expired: 0, received: 0, cancelled: 0, skipped: 0, failed: 0, released: 0, settled: 0 };
+        const { db } = await connectToMongoDB();
+        if (!db) {
+            return summary;
+        }
+
+        // Purchases that never reached the provider outcome still hold the user's money
+        summary.released = await this.purchaseService.releaseStaleHolds();
+        // Finished orders whose hold was never charged or given back
+        summary.settled = await settleOpenHolds(db);
+
+        const orders = await this.findExpiredOrders(db);
+        for (const order of orders) {
+            summary.checked++;
+            try {
+                summary[await this.expireOrder(db, order)]++;
+            } catch (error) {
+                console.error(`Failed to expire order ${order.orderId}:`, error.message);
+                summary.failed++;
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Run sweeps on an interval until stopped; a sweep never overlaps the previous one
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+
+        const loop = async () => {
+            try {
+                await this.tick();
+            } catch (error) {
+                console.error('Order expiry sweep failed:', error.message);
+            }
+
+            if (this.running) {
+                this.timer = setTimeout(loop, this.options.intervalMs);
+                this.timer.unref();
+            }
+        };
+
+        loop();
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = OrderExpirySweeper;
@@ -0,0 +1,165 @@
+/**
+ * Order State Machine - The single source of truth for the order lifecycle
+ *
+ *   created → number_assigned → waiting → received → completed
+ *                                  ↑          │
+ *                                  └──────────┘ (request another SMS)
+ *   created / number_assigned / waiting → cancelled
+ *   number_assigned / waiting → expired
+ *   completed / cancelled / expired → refunded
+ *
+ * Every status change goes through transitionOrder(), which rejects illegal moves and appends
+ * { from, to, at, actor, reason } to the order's `history`.
+ */
+
+const { AppError, OrderStateError } = require('../middleware/errorHandler');
+
+const ORDER_STATUS = {
+    CREATED: 'created',
+    NUMBER_ASSIGNED: 'number_assigned',
+    WAITING: 'waiting',
+    RECEIVED: 'received',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired',
+    REFUNDED: 'refunded'
+};
+
+const TRANSITIONS = {
+    created: ['number_assigned', 'cancelled'],
+    number_assigned: ['waiting', 'cancelled', 'expired'],
+    waiting: ['received', 'cancelled', 'expired'],
+    received: ['completed', 'waiting'],
+    completed: ['refunded'],
+    cancelled: ['refunded'],
+    expired: ['refunded'],
+    refunded: []
+};
+
+// Older orders were saved as `pending` for what is now `waiting`
+const STATUS_ALIASES = {
+    pending: 'waiting'
+};
+
+// Timestamp field set when an order enters a status
+const STATUS_TIMESTAMPS = {
+    number_assigned: 'assignedAt',
+    received: 'receivedAt',
+    completed: 'completedAt',
+    cancelled: 'cancelledAt',
+    expired: 'expiredAt',
+    refunded: 'refundedAt'
+};
+
+// Statuses counted as "pending" in statistics (including the legacy alias)
+const ACTIVE_STATUSES = ['created', 'number_assigned', 'waiting', 'pending'];
+
+const MAX_ATTEMPTS = 3;
+
+function normalizeStatus(status) {
+    return STATUS_ALIASES[status] || status;
+}
+
+function isValidStatus(status) {
+    return Object.prototype.hasOwnProperty.call(TRANSITIONS, normalizeStatus(status));
+}
+
+function canTransition(from, to) {
+    const allowed = TRANSITIONS[normalizeStatus(from)] || [];
+    return allowed.includes(normalizeStatus(to));
+}
+
+function assertTransition(from, to) {
+    if (!canTransition(from, to)) {
+        throw new OrderStateError(normalizeStatus(from), normalizeStatus(to));
+    }
+}
+
+function historyEntry(from, to, { actor = 'system', reason = null } = {}) {
+    return { from, to, at: new Date(), actor, reason };
+}
+
+/**
+ * History actor for the signed-in admin of a request (`req.admin`): `admin:<username>`, or the
+ * service's own id (`service:bot`)
+ */
+function adminActor(admin) {
+    if (!admin) {
+        return 'admin';
+    }
+    return admin.role === 'service' ? admin.id : `admin:${admin.username}`;
+}
+
+/**
+ * History for a freshly inserted order
+ */
+function initialHistory(options = {}) {
+    return [historyEntry(null, ORDER_STATUS.CREATED, options)];
+}
+
+/**
+ * Move the order matching `filter` to `to`, recording the transition.
+ * Moving to the current status only applies `set`. The stored status is used as an optimistic
+ * lock, so a concurrent change is re-read and re-checked instead of being overwritten.
+ * Pass `session` to run inside a MongoDB transaction.
+ * Returns the updated order, or null if no order matches.
+ */
+async function transitionOrder(db, filter, to, { actor = 'system', reason = null, set = {}, session } = {}) {
+    const target = normalizeStatus(to);
+    if (!isValidStatus(target)) {
+        throw new AppError(`Unknown order status: ${to}`, 400);
+    }
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const order = await db.collection('orders').findOne(filter, { session });
+        if (!order) {
+            return null;
+        }
+
+        const from = normalizeStatus(order.status);
+        const now = new Date();
+        let update;
+
+        if (from === target && order.status === target) {
+            update = { $set: { ...set, updatedAt: now } };
+        } else {
+            if (from !== target) {
+                assertTransition(from, target);
+            }
+            const fields = { ...set, status: target, updatedAt: now };
+            const timestampField = STATUS_TIMESTAMPS[target];
+            if (timestampField && fields[timestampField] === undefined) {
+                fields[timestampField] = now;
+            }
+            update = { $set: fields };
+            if (from !== target) {
+                update.$push = { history: historyEntry(from, target, { actor, reason }) };
+            }
+        }
+
+        const updated = await db.collection('orders').findOneAndUpdate(
+            { _id: order._id, status: order.status },
+            update,
+            { returnDocument: 'after', session }
+        );
+        if (updated) {
+            return updated;
+        }
+    }
+
+    throw new AppError('Order was changed by another request, please retry', 409);
+}
+
+module.exports = {
+    ORDER_STATUS,
+    TRANSITIONS,
+    STATUS_TIMESTAMPS,
+    ACTIVE_STATUSES,
+    normalizeStatus,
+    isValidStatus,
+    canTransition,
+    assertTransition,
+    adminActor,
+    initialHistory,
+    transitionOrder
+};
@@ -1,49 +1,58 @@
 /**
  * OTP Number Service - Enhanced service for managing phone numbers and OTP operations
- * Integrates with multiple providers and manages orders in MongoDB
+ * Talks to providers through the adapter registry and manages orders in MongoDB.
+ * All order state lives in the `orders` collection so it survives serverless cold starts.
  */
 
+const { ObjectId } = require('mongodb');
 const { connectToMongoDB } = require('../config/database');
+const { validateObjectId } = require('../utils/validation');
+const { getProvider, getProviderForApi, hasProvider, listProviders } = require('./providers');
+const {
+    ORDER_STATUS,
+    ACTIVE_STATUSES,
+    assertTransition,
+    canTransition,
+    initialHistory,
+    transitionOrder
+} = require('./order-state');
+const { transitionAndSettle } = require('./balance-holds');
+const ledger = require('./ledger');
+const money = require('../utils/money');
+const exchangeRates = require('./exchange-rates');
+
+/**
+ * Provider order IDs are stored as returned (5sim uses numbers),
+ * while route params and transaction links are often strings
+ */
+function orderIdCandidates(orderId) {
+    const candidates = [orderId, String(orderId)];
+    if (!isNaN(Number(orderId))) {
+        candidates.push(Number(orderId));
+    }
+    return candidates;
+}
+
+/**
+ * Query for one provider's order. Numeric activation IDs repeat across providers, so the
+ * provider is part of the key whenever it is known.
+ */
+function orderQuery(provider, orderId) {
+    const query = { orderId: { $in: orderIdCandidates(orderId) } };
+    if (provider) {
+        query.provider = provider;
+    }
+    return query;
+}
+
+// Collections and the legacy status migration are set up once per process, not per instance
+let databaseReady = null;
 
 class OTPNumberService {
     constructor() {
-        this.providers = {
-            '5sim': {
-                baseUrl: process.env.FIVESIM_BASE_URL || 'https://5sim.net/v1',
-                apiKey: process.env.FIVESIM_API_KEY || '',
-                endpoints: {
-                    countries: '/countries',
-                    products: '/products',
-                    buy: '/buy',
-                    check: '/check',
-                    finish: '/finish',
-                    cancel: '/cancel'
-                }
-            },
-            'sms-activate': {
-                baseUrl: process.env.SMS_ACTIVATE_BASE_URL || 'https://api.sms-activate.org/stubs/handler_api.php',
-                apiKey: process.env.SMS_ACTIVATE_API_KEY || '',
-                endpoints: {
-                    getNumbers: 'getNumbers',
-                    getStatus: 'getStatus',
-                    setStatus: 'setStatus',
-                    getBalance: 'getBalance'
-                }
-            },
-            'smshub': {
-                baseUrl: process.env.SMSHUB_BASE_URL || 'https://smshub.org/stubs/handler_api.php',
-                apiKey: process.env.SMSHUB_API_KEY || '',
-                endpoints: {
-                    getNumbers: 'getNumbers',
-                    getStatus: 'getStatus',
-                    setStatus: 'setStatus',
-                    getBalance: 'getBalance'
-                }
-            }
-        };
-        
-        this.activeOrders = new Map();
-        this.initDatabase();
+        if (!databaseReady) {
+            databaseReady = this.initDatabase();
+        }
     }
 
     async initDatabase() {
@@ -65,39 +74,62 @@ class OTPNumberService {
                     }
                 }
             }
+
+            // Orders used to be saved as `pending` for what the state machine calls `waiting`
+            await db.collection('orders').updateMany({ status: 'pending' }, { $set: { status: ORDER_STATUS.WAITING } });
         } catch (error) {
             console.warn('Database initialization failed:', error.message);
         }
     }
 
     /**
-     * Get available countries for a provider
+     * Get the adapter for a provider.
+     * Built-in names (5sim, sms-activate, ...) use their env config; anything else is looked up
+     * in the `apis` collection by ID or name and built from that record.
      */
-    async getCountries(provider = '5sim') {
-        try {
-            const providerConfig = this.providers[provider];
-            if (!providerConfig) {
-                throw new Error(`Provider ${provider} not supported`);
-            }
+    async getAdapter(provider) {
+        if (hasProvider(provider) && provider !== 'generic') {
+            return getProvider(provider);
+        }
 
-            if (provider === '5sim') {
-                const response = await fetch(`${providerConfig.baseUrl}${providerConfig.endpoints.countries}`, {
-                    headers: {
-                        'Authorization': `Bearer ${providerConfig.apiKey}`,
-                        'Accept': 'application/json'
-                    }
-                });
+        const api = await this.findApiConfig(provider);
+        if (!api) {
+            throw new Error(`Provider ${provider} not supported`);
+        }
 
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
+        return getProviderForApi(api);
+    }
 
-                const countries = await response.json();
-                return this.formatCountries(countries, provider);
-            }
+    /**
+     * Find an active API record by ID or name
+     */
+    async findApiConfig(provider) {
+        const { db } = await connectToMongoDB();
+        if (!db || !provider) {
+            return null;
+        }
 
-            // For other providers, return default countries
-            return this.getDefaultCountries();
+        const query = validateObjectId(String(provider))
+            ? { _id: new ObjectId(String(provider)) }
+            : { name: provider };
+
+        return db.collection('apis').findOne({ ...query, status: { $ne: 'inactive' } });
+    }
+
+    /**
+     * Get registered provider names
+     */
+    getProviders() {
+        return listProviders();
+    }
+
+    /**
+     * Get available countries for a provider
+     */
+    async getCountries(provider = '5sim') {
+        try {
+            const adapter = await this.getAdapter(provider);
+            return await adapter.getCountries();
         } catch (error) {
             throw error;
         }
@@ -108,94 +140,69 @@ class OTPNumberService {
      */
     async getProducts(provider = '5sim', country = 'russia') {
         try {
-            const providerConfig = this.providers[provider];
-            if (!providerConfig) {
-                throw new Error(`Provider ${provider} not supported`);
-            }
-
-            if (provider === '5sim') {
-                const response = await fetch(`${providerConfig.baseUrl}${providerConfig.endpoints.products}/${country}`, {
-                    headers: {
-                        'Authorization': `Bearer ${providerConfig.apiKey}`,
-                        'Accept': 'application/json'
-                    }
-                });
-
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-
-                const products = await response.json();
-                return this.formatProducts(products, provider);
-            }
-
-            // For other providers, return default products
-            return this.getDefaultProducts();
+            const adapter = await this.getAdapter(provider);
+            return await adapter.getProducts(country);
         } catch (error) {
             throw error;
         }
     }
 
     /**
-     * Purchase a phone number
+     * Purchase a phone number.
+     * The order is saved as `created` before the provider call so a failed purchase is still on record.
      */
-    async buyNumber(provider = '5sim', country = 'russia', product = 'any', operator = 'any', userId = null) {
+    async buyNumber(provider = '5sim', country = 'russia', product = 'any', operator = 'any', userId = null, actor = 'api') {
         try {
-            const providerConfig = this.providers[provider];
-            if (!providerConfig) {
-                throw new Error(`Provider ${provider} not supported`);
+            const adapter = await this.getAdapter(provider);
+
+            const id = await this.saveOrder({
+                phone: null,
+                country: country,
+                product: product,
+                provider: provider,
+                cost: null,
+                userId: userId,
+                status: ORDER_STATUS.CREATED,
+                history: initialHistory({ actor }),
+                createdAt: new Date()
+            });
+
+            let purchase;
+            try {
+                purchase = await adapter.buyNumber({ country, product, operator });
+            } catch (error) {
+                await this.transitionById(id, ORDER_STATUS.CANCELLED, { actor: 'provider', reason: error.message });
+                throw error;
             }
 
-            if (provider === '5sim') {
-                const response = await fetch(`${providerConfig.baseUrl}${providerConfig.endpoints.buy}/activation/${country}/${operator}/${product}`, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${providerConfig.apiKey}`,
-                        'Accept': 'application/json'
-                    }
-                });
-
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            await this.transitionById(id, ORDER_STATUS.NUMBER_ASSIGNED, {
+                actor: 'provider',
+                set: {
+                    orderId: purchase.orderId,
+                    phone: purchase.phone,
+                    cost: money.toDecimal(purchase.cost, null),
+                    costCurrency: adapter.currency || null,
+                    expiresAt: purchase.expires ? new Date(purchase.expires) : null
                 }
-
-                const order = await response.json();
-                
-                // Store order information
-                this.activeOrders.set(order.id, {
-                    provider,
-                    order,
-                    timestamp: Date.now(),
-                    status: 'waiting'
-                });
-
-                // Save to database if available
-                await this.saveOrder({
-                    orderId: order.id,
-                    phone: order.phone,
-                    country: country,
-                    product: product,
-                    provider: provider,
-                    cost: order.cost,
-                    userId: userId,
-                    status: 'waiting',
-                    createdAt: new Date()
-                });
-
-                return {
-                    success: true,
-                    orderId: order.id,
-                    phone: order.phone,
-                    country: country,
-                    product: product,
-                    cost: order.cost,
-                    provider: provider,
-                    expires: order.expires || (Date.now() + 20 * 60 * 1000) // 20 minutes default
-                };
-            }
-
-            // For other providers
-            return this.buyNumberOtherProvider(provider, country, product, userId);
+            });
+
+            // The SMS poller picks the order up from here
+            await this.transitionById(id, ORDER_STATUS.WAITING, {
+                actor: 'system',
+                set: { nextPollAt: new Date(), pollAttempts: 0 }
+            });
+
+            return {
+                success: true,
+                orderId: purchase.orderId,
+                phone: purchase.phone,
+                country: country,
+                product: product,
+                cost: purchase.cost,
+                currency: adapter.currency || null,
+                provider: provider,
+                expires: purchase.expires
+            };
         } catch (error) {
             throw error;
         }
@@ -206,60 +213,43 @@ class OTPNumberService {
      */
     async checkSMS(provider = '5sim', orderId) {
         try {
-            const providerConfig = this.providers[provider];
-            if (!providerConfig) {
-                throw new Error(`Provider ${provider} not supported`);
-            }
+            const adapter = await this.getAdapter(provider);
+            const result = await adapter.checkSMS(orderId);
 
-            if (provider === '5sim') {
-                const response = await fetch(`${providerConfig.baseUrl}${providerConfig.endpoints.check}/${orderId}`, {
-                    headers: {
-                        'Authorization': `Bearer ${providerConfig.apiKey}`,
-                        'Accept': 'application/json'
-                    }
+            if (result.status === 'received') {
+                await this.transitionAndSettle(provider, orderId, ORDER_STATUS.RECEIVED, {
+                    actor: 'provider',
+                    set: { sms: result.sms, code: result.code }
                 });
 
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-
-                const result = await response.json();
-                
-                if (result.sms && result.sms.length > 0) {
-                    // Update order status
-                    const order = this.activeOrders.get(orderId);
-                    if (order) {
-                        order.status = 'received';
-                        order.sms = result.sms;
-                    }
-
-                    // Update in database
-                    await this.updateOrder(orderId, {
-                        status: 'received',
-                        sms: result.sms,
-                        code: this.extractCode(result.sms[0].text),
-                        receivedAt: new Date()
-                    });
+                return {
+                    success: true,
+                    sms: result.sms,
+                    code: result.code,
+                    fullText: result.sms[0].text,
+                    sender: result.sms[0].sender,
+                    timestamp: result.sms[0].date
+                };
+            }
 
-                    return {
-                        success: true,
-                        sms: result.sms,
-                        code: this.extractCode(result.sms[0].text),
-                        fullText: result.sms[0].text,
-                        sender: result.sms[0].sender,
-                        timestamp: result.sms[0].date
-                    };
-                }
+            if (result.status === 'cancelled') {
+                await this.transitionAndSettle(provider, orderId, ORDER_STATUS.CANCELLED, {
+                    actor: 'provider',
+                    reason: 'Cancelled by provider'
+                });
 
                 return {
                     success: true,
                     sms: [],
-                    waiting: true
+                    cancelled: true
                 };
             }
 
-            // For other providers
-            return this.checkSMSOtherProvider(provider, orderId);
+            return {
+                success: true,
+                sms: [],
+                waiting: true
+            };
         } catch (error) {
             throw error;
         }
@@ -268,43 +258,16 @@ class OTPNumberService {
     /**
      * Finish order (mark as completed)
      */
-    async finishOrder(provider = '5sim', orderId) {
+    async finishOrder(provider = '5sim', orderId, actor = 'api') {
         try {
-            const providerConfig = this.providers[provider];
-            if (!providerConfig) {
-                throw new Error(`Provider ${provider} not supported`);
-            }
-
-            if (provider === '5sim') {
-                const response = await fetch(`${providerConfig.baseUrl}${providerConfig.endpoints.finish}/${orderId}`, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${providerConfig.apiKey}`,
-                        'Accept': 'application/json'
-                    }
-                });
+            await this.assertOrderCan(provider, orderId, ORDER_STATUS.COMPLETED);
 
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
+            const adapter = await this.getAdapter(provider);
+            await adapter.finish(orderId);
 
-                // Update order status
-                const order = this.activeOrders.get(orderId);
-                if (order) {
-                    order.status = 'completed';
-                }
+            await this.transitionAndSettle(provider, orderId, ORDER_STATUS.COMPLETED, { actor });
 
-                // Update in database
-                await this.updateOrder(orderId, {
-                    status: 'completed',
-                    completedAt: new Date()
-                });
-
-                return { success: true };
-            }
-
-            // For other providers
-            return this.finishOrderOtherProvider(provider, orderId);
+            return { success: true };
         } catch (error) {
             throw error;
         }
@@ -313,43 +276,43 @@ class OTPNumberService {
     /**
      * Cancel order
      */
-    async cancelOrder(provider = '5sim', orderId) {
+    async cancelOrder(provider = '5sim', orderId, actor = 'api') {
         try {
-            const providerConfig = this.providers[provider];
-            if (!providerConfig) {
-                throw new Error(`Provider ${provider} not supported`);
-            }
+            await this.assertOrderCan(provider, orderId, ORDER_STATUS.CANCELLED);
 
-            if (provider === '5sim') {
-                const response = await fetch(`${providerConfig.baseUrl}${providerConfig.endpoints.cancel}/${orderId}`, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${providerConfig.apiKey}`,
-                        'Accept': 'application/json'
-                    }
-                });
+            const adapter = await this.getAdapter(provider);
+            await adapter.cancel(orderId);
 
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
+            await this.transitionAndSettle(provider, orderId, ORDER_STATUS.CANCELLED, { actor });
 
-                // Update order status
-                const order = this.activeOrders.get(orderId);
-                if (order) {
-                    order.status = 'cancelled';
-                }
+            return { success: true };
+        } catch (error) {
+            throw error;
+        }
+    }
 
-                // Update in database
-                await this.updateOrder(orderId, {
-                    status: 'cancelled',
-                    cancelledAt: new Date()
-                });
+    /**
+     * Ask the provider to send another SMS to the same number
+     */
+    async retryOrder(provider = '5sim', orderId, actor = 'api') {
+        try {
+            await this.assertOrderCan(provider, orderId, ORDER_STATUS.WAITING);
 
-                return { success: true };
+            const adapter = await this.getAdapter(provider);
+            if (typeof adapter.retry !== 'function') {
+                throw new Error(`${provider} does not support requesting another SMS`);
             }
 
-            // For other providers
-            return this.cancelOrderOtherProvider(provider, orderId);
+            await adapter.retry(orderId);
+
+            // Put the order back in the poll queue straight away
+            await this.transition(provider, orderId, ORDER_STATUS.WAITING, {
+                actor,
+                reason: 'Another SMS requested',
+                set: { retryRequestedAt: new Date(), nextPollAt: new Date(), pollAttempts: 0 }
+            });
+
+            return { success: true };
         } catch (error) {
             throw error;
         }
@@ -360,34 +323,12 @@ class OTPNumberService {
      */
     async getBalance(provider = '5sim') {
         try {
-            const providerConfig = this.providers[provider];
-            if (!providerConfig) {
-                throw new Error(`Provider ${provider} not supported`);
-            }
-
-            if (provider === '5sim') {
-                const response = await fetch(`${providerConfig.baseUrl}/user/profile`, {
-                    headers: {
-                        'Authorization': `Bearer ${providerConfig.apiKey}`,
-                        'Accept': 'application/json'
-                    }
-                });
-
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-
-                const profile = await response.json();
-                return {
-                    success: true,
-                    balance: profile.balance,
-                    email: profile.email,
-                    status: profile.status
-                };
-            }
-
-            // For other providers
-            return this.getBalanceOtherProvider(provider);
+            const adapter = await this.getAdapter(provider);
+            const balance = await adapter.getBalance();
+            return {
+                success: true,
+                ...balance
+            };
         } catch (error) {
             throw error;
         }
@@ -415,9 +356,58 @@ class OTPNumberService {
     }
 
     /**
-     * Get order statistics
+     * List orders with pagination and optional filters
      */
-    async getOrderStatistics(userId = null) {
+    async listOrders({ page = 1, limit = 20, status, provider, service, userId, search } = {}) {
+        try {
+            const { db } = await connectToMongoDB();
+            if (!db) {
+                return { orders: [], total: 0, page, limit, totalPages: 1 };
+            }
+
+            const query = {};
+            if (status) query.status = status;
+            if (provider) query.provider = provider;
+            if (service) query.product = service;
+            // Purchases store the bot user's numeric user_id; query strings carry it as text
+            if (userId) query.userId = { $in: ledger.userIdCandidates(userId) };
+            if (search) {
+                const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+                query.$or = [
+                    { phone: pattern },
+                    { product: pattern },
+                    { country: pattern },
+                    { orderId: search },
+                    { orderId: Number(search) }
+                ];
+            }
+
+            const [orders, total] = await Promise.all([
+                db.collection('orders')
+                    .find(query)
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .toArray(),
+                db.collection('orders').countDocuments(query)
+            ]);
+
+            return {
+                orders,
+                total,
+                page,
+                limit,
+                totalPages: Math.max(1, Math.ceil(total / limit))
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    /**
+     * Get order statistics. Provider costs are added up in `currency` (the base currency by default).
+     */
+    async getOrderStatistics(userId = null, currency = exchangeRates.BASE_CURRENCY) {
         try {
             const { db } = await connectToMongoDB();
             if (!db) {
@@ -426,11 +416,16 @@ class OTPNumberService {
                     completed: 0,
                     pending: 0,
                     cancelled: 0,
-                    totalEarnings: 0
+                    expired: 0,
+                    refunded: 0,
+                    totalEarnings: 0,
+                    currency,
+                    earningsByCurrency: {},
+                    missingRates: []
                 };
             }
 
-            const matchStage = userId ? { userId: userId } : {};
+            const matchStage = userId ? { userId: { $in: ledger.userIdCandidates(userId) } } : {};
             
             const stats = await db.collection('orders').aggregate([
                 { $match: matchStage },
@@ -438,26 +433,46 @@ class OTPNumberService {
                     $group: {
                         _id: null,
                         total: { $sum: 1 },
-                        totalEarnings: { $sum: '$cost' },
                         completed: {
                             $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
                         },
                         pending: {
-                            $sum: { $cond: [{ $eq: ['$status', 'waiting'] }, 1, 0] }
+                            $sum: { $cond: [{ $in: ['$status', ACTIVE_STATUSES] }, 1, 0] }
                         },
                         cancelled: {
                             $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] }
+                        },
+                        expired: {
+                            $sum: { $cond: [{ $eq: ['$status', 'expired'] }, 1, 0] }
+                        },
+                        refunded: {
+                            $sum: { $cond: [{ $eq: ['$status', 'refunded'] }, 1, 0] }
                         }
                     }
                 }
             ]).toArray();
 
-            return stats[0] || {
-                total: 0,
-                completed: 0,
-                pending: 0,
-                cancelled: 0,
-                totalEarnings: 0
+            const earnings = await exchangeRates.totalIn(db, {
+                collection: 'orders',
+                match: matchStage,
+                amountField: 'cost',
+                currencyField: 'costCurrency',
+                target: currency
+            });
+
+            return {
+                ...(stats[0] || {
+                    total: 0,
+                    completed: 0,
+                    pending: 0,
+                    cancelled: 0,
+                    expired: 0,
+                    refunded: 0
+                }),
+                totalEarnings: earnings.total,
+                currency: earnings.currency,
+                earningsByCurrency: earnings.by_currency,
+                missingRates: earnings.missing_rates
             };
         } catch (error) {
             throw error;
@@ -482,16 +497,16 @@ class OTPNumberService {
     }
 
     /**
-     * Get order from database
+     * Get order from database by provider order ID (of `provider`, when given)
      */
-    async getOrder(orderId) {
+    async getOrder(orderId, provider = null) {
         try {
             const { db } = await connectToMongoDB();
             if (!db) {
                 return null;
             }
 
-            const order = await db.collection('orders').findOne({ orderId: orderId });
+            const order = await db.collection('orders').findOne(orderQuery(provider, orderId));
             return order;
         } catch (error) {
             throw error;
@@ -499,115 +514,207 @@ class OTPNumberService {
     }
 
     /**
-     * Update order in database
+     * Get order from database by its _id
      */
-    async updateOrder(orderId, updateData) {
+    async getOrderById(id) {
         try {
             const { db } = await connectToMongoDB();
-            if (!db) {
-                return false;
+            if (!db || !validateObjectId(String(id))) {
+                return null;
             }
 
-            const result = await db.collection('orders').updateOne(
-                { orderId: orderId },
-                { $set: { ...updateData, updatedAt: new Date() } }
-            );
-
-            return result.modifiedCount > 0;
+            return await db.collection('orders').findOne({ _id: new ObjectId(String(id)) });
         } catch (error) {
             throw error;
         }
     }
 
     /**
-     * Get active orders
+     * Get every provider's order with this provider order ID (at most `limit`)
      */
-    getActiveOrders() {
-        return Array.from(this.activeOrders.entries()).map(([id, order]) => ({
-            id,
-            ...order
-        }));
+    async findOrders(orderId, limit = 5) {
+        try {
+            const { db } = await connectToMongoDB();
+            if (!db) {
+                return [];
+            }
+
+            return await db.collection('orders').find(orderQuery(null, orderId)).limit(limit).toArray();
+        } catch (error) {
+            throw error;
+        }
     }
 
     /**
-     * Helper methods
+     * Move a provider's order (by provider order ID) to a new status through the state machine
      */
-    formatCountries(countries, provider) {
-        if (provider === '5sim') {
-            return Object.keys(countries).map(code => ({
-                code,
-                name: countries[code].title,
-                flag: countries[code].flag,
-                products: countries[code].products
-            }));
+    async transition(provider, orderId, status, options = {}) {
+        try {
+            const { db } = await connectToMongoDB();
+            if (!db) {
+                return null;
+            }
+
+            return await transitionOrder(db, orderQuery(provider, orderId), status, options);
+        } catch (error) {
+            throw error;
         }
-        return [];
     }
 
-    formatProducts(products, provider) {
-        if (provider === '5sim') {
-            return Object.keys(products).map(name => ({
-                name,
-                count: products[name].count,
-                price: products[name].price,
-                operators: products[name].operators
-            }));
+    /**
+     * Move an order (by database _id) to a new status through the state machine
+     */
+    async transitionById(id, status, options = {}) {
+        try {
+            const { db } = await connectToMongoDB();
+            if (!db || !id) {
+                return null;
+            }
+
+            return await transitionOrder(db, { _id: id }, status, options);
+        } catch (error) {
+            throw error;
         }
-        return [];
     }
 
-    getDefaultCountries() {
-        return [
-            { code: 'russia', name: 'Russia', flag: '🇷🇺' },
-            { code: 'ukraine', name: 'Ukraine', flag: '🇺🇦' },
-            { code: 'kazakhstan', name: 'Kazakhstan', flag: '🇰🇿' },
-            { code: 'china', name: 'China', flag: '🇨🇳' },
-            { code: 'usa', name: 'United States', flag: '🇺🇸' },
-            { code: 'india', name: 'India', flag: '🇮🇳' }
-        ];
+    /**
+     * Reject an action up front (before calling the provider) if the order cannot make the transition
+     */
+    async assertOrderCan(provider, orderId, status) {
+        const order = await this.getOrder(orderId, provider);
+        if (order) {
+            assertTransition(order.status, status);
+        }
+        return order;
     }
 
-    getDefaultProducts() {
-        return [
-            { name: 'any', count: 100, price: 1.0 },
-            { name: 'google', count: 50, price: 1.5 },
-            { name: 'whatsapp', count: 30, price: 2.0 },
-            { name: 'telegram', count: 25, price: 2.5 },
-            { name: 'uber', count: 20, price: 3.0 }
-        ];
-    }
+    /**
+     * Move a provider's order (by provider order ID) to a new status and charge or release its
+     * balance hold in the same transaction
+     */
+    async transitionAndSettle(provider, orderId, status, options = {}) {
+        try {
+            const { db } = await connectToMongoDB();
+            if (!db) {
+                return null;
+            }
 
-    extractCode(smsText) {
-        // Extract 4-6 digit code from SMS text
-        const codeMatch = smsText.match(/\b\d{4,6}\b/);
-        return codeMatch ? codeMatch[0] : null;
+            return await transitionAndSettle(db, orderQuery(provider, orderId), status, options);
+        } catch (error) {
+            throw error;
+        }
     }
 
-    // Placeholder methods for other providers
-    async buyNumberOtherProvider(provider, country, product, userId) {
-        // Implementation for other providers
-        throw new Error(`${provider} integration not implemented yet`);
-    }
+    /**
+     * Update non-status order fields in database (status changes go through transition())
+     */
+    async updateOrder(orderId, updateData) {
+        try {
+            const { db } = await connectToMongoDB();
+            if (!db) {
+                return false;
+            }
 
-    async checkSMSOtherProvider(provider, orderId) {
-        // Implementation for other providers
-        throw new Error(`${provider} integration not implemented yet`);
-    }
+            const result = await db.collection('orders').updateOne(
+                { orderId: orderId },
+                { $set: { ...updateData, updatedAt: new Date() } }
+            );
 
-    async finishOrderOtherProvider(provider, orderId) {
-        // Implementation for other providers
-        throw new Error(`${provider} integration not implemented yet`);
+            return result.modifiedCount > 0;
+        } catch (error) {
+            throw error;
+        }
     }
 
-    async cancelOrderOtherProvider(provider, orderId) {
-        // Implementation for other providers
-        throw new Error(`${provider} integration not implemented yet`);
+    /**
+     * Refund what the user paid for an order back to their balance.
+     * The refund is a `credit` transaction with source `refund`, linked to the order and to the
+     * original `order` debit. Returns the refund transaction, or null when nothing was paid
+     * (including orders whose hold was released instead of captured, or whose payment was reversed).
+     */
+    async refundOrder(order, reason = 'cancelled', actor = 'system') {
+        try {
+            const { db } = await connectToMongoDB();
+            if (!db) {
+                return null;
+            }
+
+            // Only orders that ended without delivering (or were completed and disputed) can be refunded
+            const current = await db.collection('orders').findOne({ _id: order._id });
+            if (!current || !canTransition(current.status, ORDER_STATUS.REFUNDED)) {
+                return null;
+            }
+
+            // A captured hold names its debit; otherwise look the payment up by order and user,
+            // since another provider may use the same order ID
+            const paymentQuery = current.hold && current.hold.transactionId
+                ? { _id: current.hold.transactionId }
+                : {
+                    order_id: { $in: orderIdCandidates(order.orderId) },
+                    ...(current.userId != null ? { user_id: { $in: ledger.userIdCandidates(current.userId) } } : {})
+                };
+            const payment = await db.collection('transactions').findOne(
+                { ...paymentQuery, type: 'debit', source: 'order', reversed_by: null },
+                { sort: { timestamp: -1 } }
+            );
+            if (!payment) {
+                return null;
+            }
+
+            // The credit and the move to refunded are one transaction; the unique index on
+            // `refund_of` makes a second payout for the same payment fail and roll back
+            try {
+                return await ledger.withSession(db, async (session) => {
+                    const refund = await ledger.credit(db, {
+                        userId: payment.user_id,
+                        amount: payment.amount,
+                        source: 'refund',
+                        description: `Refund for ${reason} order ${order.orderId}`,
+                        fields: { order_id: payment.order_id, provider: current.provider || null, refund_of: payment._id },
+                        session
+                    });
+                    await transitionOrder(db, { _id: current._id }, ORDER_STATUS.REFUNDED, {
+                        actor,
+                        reason: `Refund for ${reason} order`,
+                        set: { refundedAt: refund.timestamp, refundTransactionId: refund._id },
+                        session
+                    });
+                    return refund;
+                });
+            } catch (error) {
+                if (error.code === 11000) {
+                    const existing = await db.collection('transactions').findOne({ refund_of: payment._id, source: 'refund' });
+                    if (existing) {
+                        return existing;
+                    }
+                }
+                throw error;
+            }
+        } catch (error) {
+            throw error;
+        }
     }
 
-    async getBalanceOtherProvider(provider) {
-        // Implementation for other providers
-        throw new Error(`${provider} integration not implemented yet`);
+    /**
+     * Get orders still waiting for an SMS
+     */
+    async getActiveOrders() {
+        try {
+            const { db } = await connectToMongoDB();
+            if (!db) {
+                return [];
+            }
+
+            return await db.collection('orders')
+                .find({ status: ORDER_STATUS.WAITING })
+                .sort({ nextPollAt: 1 })
+                .toArray();
+        } catch (error) {
+            throw error;
+        }
     }
 }
 
 module.exports = OTPNumberService;
+module.exports.orderIdCandidates = orderIdCandidates;
+module.exports.orderQuery = orderQuery;
@@ -0,0 +1,145 @@
+/**
+ * 5sim Provider - REST adapter for 5sim.net
+ */
+
+const { ProviderError } = require('../../middleware/errorHandler');
+
+// Numbers are held for about 20 minutes before the provider releases them
+const ACTIVATION_TTL_MS = 20 * 60 * 1000;
+
+// 5sim order statuses mapped to the adapter statuses
+const ORDER_STATUS = {
+    PENDING: 'waiting',
+    RECEIVED: 'received',
+    FINISHED: 'received',
+    CANCELED: 'cancelled',
+    BANNED: 'cancelled',
+    TIMEOUT: 'cancelled'
+};
+
+function extractCode(smsText) {
+    // Extract 4-6 digit code from SMS text
+    const codeMatch = (smsText || '').match(/\b\d{4,6}\b/);
+    return codeMatch ? codeMatch[0] : null;
+}
+
+class FiveSimProvider {
+    constructor(config = {}) {
+        this.name = config.name || '5sim';
+        this.baseUrl = config.baseUrl || process.env.FIVESIM_BASE_URL || 'https://5sim.net/v1';
+        this.apiKey = config.apiKey !== undefined ? config.apiKey : (process.env.FIVESIM_API_KEY || '');
+        // Currency of the account balance, product prices and order costs
+        this.currency = config.currency || process.env.FIVESIM_CURRENCY || 'RUB';
+        this.endpoints = {
+            countries: '/countries',
+            products: '/products',
+            buy: '/buy',
+            check: '/check',
+            finish: '/finish',
+            cancel: '/cancel',
+            profile: '/user/profile'
+        };
+        this.fetch = config.fetch || fetch;
+    }
+
+    /**
+     * Call the 5sim API and return the parsed JSON body
+     */
+    async request(path, method = 'GET') {
+        const response = await this.fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Accept': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            throw new ProviderError(this.name, `HTTP_${response.status}`, `HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const body = await response.text();
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            throw new ProviderError(this.name, 'INVALID_RESPONSE', `Unexpected response from ${path}: ${body.slice(0, 100)}`);
+        }
+    }
+
+    async getCountries() {
+        const countries = await this.request(this.endpoints.countries);
+
+        return Object.keys(countries).map(code => ({
+            code,
+            name: countries[code].title,
+            flag: countries[code].flag,
+            products: countries[code].products
+        }));
+    }
+
+    async getProducts(country = 'russia') {
+        const products = await this.request(`${this.endpoints.products}/${country}`);
+
+        return Object.keys(products).map(name => ({
+            name,
+            count: products[name].count,
+            price: products[name].price,
+            operators: products[name].operators
+        }));
+    }
+
+    async buyNumber({ country = 'russia', product = 'any', operator = 'any' } = {}) {
+        const order = await this.request(`${this.endpoints.buy}/activation/${country}/${operator}/${product}`, 'POST');
+
+        return {
+            orderId: order.id,
+            phone: order.phone,
+            cost: order.cost,
+            expires: order.expires || (Date.now() + ACTIVATION_TTL_MS)
+        };
+    }
+
+    async checkSMS(orderId) {
+        const result = await this.request(`${this.endpoints.check}/${orderId}`);
+        const sms = (result.sms || []).map(message => ({
+            text: message.text,
+            code: message.code || extractCode(message.text),
+            sender: message.sender,
+            date: message.date
+        }));
+
+        if (sms.length > 0) {
+            return { status: 'received', code: sms[0].code, sms };
+        }
+
+        return {
+            status: ORDER_STATUS[result.status] === 'cancelled' ? 'cancelled' : 'waiting',
+            code: null,
+            sms: []
+        };
+    }
+
+    async finish(orderId) {
+        await this.request(`${this.endpoints.finish}/${orderId}`, 'POST');
+        return { success: true };
+    }
+
+    async cancel(orderId) {
+        await this.request(`${this.endpoints.cancel}/${orderId}`, 'POST');
+        return { success: true };
+    }
+
+    async getBalance() {
+        const profile = await this.request(this.endpoints.profile);
+
+        return {
+            balance: profile.balance,
+            email: profile.email,
+            status: profile.status
+        };
+    }
+}
+
+FiveSimProvider.extractCode = extractCode;
+
+module.exports = FiveSimProvider;
@@ -0,0 +1,298 @@
+/**
+ * Generic HTTP Provider - Adapter driven entirely by an API record from the `apis` collection
+ * Lets admins onboard white-label SMS panels by filling in URL templates instead of writing code.
+ *
+ * Templates may be absolute URLs or paths relative to `baseUrl` and use these placeholders:
+ *   {api_key} {service} {country} {operator} {id}
+ */
+
+const { ProviderError } = require('../../middleware/errorHandler');
+const HandlerAPIProvider = require('./handler-api');
+
+const PLACEHOLDERS = ['api_key', 'service', 'country', 'operator', 'id'];
+const PLACEHOLDER_PATTERN = /\{([^{}]*)\}/g;
+
+const DEFAULT_AUTO_CANCEL_MINUTES = 20;
+
+/**
+ * Replace {placeholders} in a URL template with URL-encoded values
+ */
+function renderTemplate(template, values = {}) {
+    return template.replace(PLACEHOLDER_PATTERN, (match, key) => {
+        if (!PLACEHOLDERS.includes(key)) {
+            throw new Error(`Unknown placeholder ${match} in URL template`);
+        }
+        const value = values[key];
+        return value === undefined || value === null ? '' : encodeURIComponent(value);
+    });
+}
+
+/**
+ * Read a dot-separated path (`data.sms.0.text`) from a JSON value
+ */
+function getPath(value, path) {
+    if (!path) {
+        return value;
+    }
+    return path.split('.').reduce((current, key) => (
+        current === undefined || current === null ? undefined : current[key]
+    ), value);
+}
+
+function extractCode(smsText) {
+    // Extract 4-8 digit code from SMS text
+    const codeMatch = String(smsText || '').match(/\b\d{4,8}\b/);
+    return codeMatch ? codeMatch[0] : null;
+}
+
+class GenericHTTPProvider {
+    constructor(config = {}) {
+        this.name = config.name || 'generic';
+        this.baseUrl = config.baseUrl || '';
+        this.apiKey = config.apiKey || '';
+        this.currency = config.currency || process.env.CURRENCY || 'INR';
+        this.usesAuth = Boolean(config.usesAuth);
+        this.responseType = config.responseType === 'json' ? 'json' : 'text';
+        this.templates = {
+            getNumber: config.getNumberUrl || '',
+            getStatus: config.getStatusUrl || '',
+            activate: config.activateUrl || '',
+            finish: config.finishUrl || '',
+            cancel: config.cancelUrl || '',
+            balance: config.balanceUrl || ''
+        };
+        this.statusSuccess = config.statusSuccess || (this.responseType === 'json' ? '' : 'STATUS_OK');
+        this.statusCancel = config.statusCancel || (this.responseType === 'json' ? '' : 'STATUS_CANCEL');
+        this.messagePath = config.messagePath || '';
+        this.idPath = config.idPath || '';
+        this.phonePath = config.phonePath || '';
+        this.autoCancelMinutes = parseInt(config.autoCancelMinutes) || DEFAULT_AUTO_CANCEL_MINUTES;
+        this.retryCount = Math.max(0, parseInt(config.retryCount) || 0);
+        this.fetch = config.fetch || fetch;
+    }
+
+    /**
+     * Render a template into a full URL
+     */
+    buildUrl(templateName, values = {}) {
+        const template = this.templates[templateName];
+        if (!template) {
+            throw new ProviderError(this.name, 'NOT_CONFIGURED', `${templateName} URL is not configured`);
+        }
+
+        let rendered;
+        try {
+            rendered = renderTemplate(template, { api_key: this.apiKey, ...values });
+        } catch (error) {
+            throw new ProviderError(this.name, 'TEMPLATE_ERROR', error.message);
+        }
+
+        if (/^https?:\/\//i.test(rendered)) {
+            return rendered;
+        }
+        return `${this.baseUrl.replace(/\/+$/, '')}/${rendered.replace(/^\/+/, '')}`;
+    }
+
+    /**
+     * Call a rendered template and parse the body according to the response type
+     */
+    async request(templateName, values = {}) {
+        const url = this.buildUrl(templateName, values);
+        const headers = { 'Accept': this.responseType === 'json' ? 'application/json' : 'text/plain' };
+        if (this.usesAuth) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        let response;
+        try {
+            response = await this.fetch(url, { headers });
+        } catch (error) {
+            throw new ProviderError(this.name, 'NETWORK_ERROR', error.message);
+        }
+
+        if (!response.ok) {
+            throw new ProviderError(this.name, `HTTP_${response.status}`, `HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        return this.parseBody(await response.text(), templateName);
+    }
+
+    parseBody(body, templateName) {
+        const text = body.trim();
+        if (this.responseType === 'text') {
+            return text;
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new ProviderError(this.name, 'INVALID_RESPONSE', `Expected JSON from ${templateName}: ${text.slice(0, 100)}`);
+        }
+    }
+
+    /**
+     * Check a response against a success/cancel marker.
+     * Text: the body starts with the marker. JSON: `path=value` compares a field, a bare marker compares `status`.
+     */
+    matchesMarker(result, marker) {
+        if (!marker) {
+            return false;
+        }
+
+        if (this.responseType === 'text') {
+            return result.startsWith(marker);
+        }
+
+        const separator = marker.indexOf('=');
+        if (separator === -1) {
+            return String(getPath(result, 'status')) === marker;
+        }
+        return String(getPath(result, marker.slice(0, separator))) === marker.slice(separator + 1);
+    }
+
+    /**
+     * Pull the SMS text out of a successful status response.
+     * Text: `messagePath` is a regex with one capture group, default is whatever follows `MARKER:`.
+     * JSON: `messagePath` is a dot path.
+     */
+    extractMessage(result) {
+        if (this.responseType === 'json') {
+            const message = getPath(result, this.messagePath);
+            return message === undefined || message === null ? null : String(message);
+        }
+
+        if (this.messagePath) {
+            let pattern;
+            try {
+                pattern = new RegExp(this.messagePath);
+            } catch (error) {
+                throw new ProviderError(this.name, 'TEMPLATE_ERROR', `Invalid message pattern: ${error.message}`);
+            }
+            const match = result.match(pattern);
+            return match ? (match[1] !== undefined ? match[1] : match[0]) : null;
+        }
+
+        const rest = result.slice(this.statusSuccess.length).replace(/^:/, '');
+        return rest || null;
+    }
+
+    async getCountries() {
+        return HandlerAPIProvider.DEFAULT_COUNTRIES;
+    }
+
+    async getProducts() {
+        return [];
+    }
+
+    /**
+     * Request a number, trying the get number URL up to `retryCount` extra times
+     */
+    async buyNumber({ country, product, operator } = {}) {
+        let lastError;
+        for (let attempt = 0; attempt <= this.retryCount; attempt++) {
+            try {
+                return await this.requestNumber({ country, product, operator });
+            } catch (error) {
+                // Configuration problems will not fix themselves on retry
+                if (error.code === 'TEMPLATE_ERROR' || error.code === 'NOT_CONFIGURED') {
+                    throw error;
+                }
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    async requestNumber({ country, product, operator }) {
+        const result = await this.request('getNumber', { service: product, country, operator });
+        const expires = Date.now() + this.autoCancelMinutes * 60 * 1000;
+
+        if (this.responseType === 'text') {
+            // Handler style: ACCESS_NUMBER:<id>:<phone>
+            const [code, orderId, phone] = result.split(':');
+            if (code !== 'ACCESS_NUMBER' || !orderId) {
+                throw new ProviderError(this.name, code || 'INVALID_RESPONSE', `Number request failed: ${result}`);
+            }
+            return { orderId, phone, cost: null, expires };
+        }
+
+        const data = result && result.data && typeof result.data === 'object' ? result.data : result;
+        const orderId = this.idPath ? getPath(result, this.idPath) : (data.id || data.activationId || data.order_id);
+        const phone = this.phonePath ? getPath(result, this.phonePath) : (data.phone || data.number || data.phone_number);
+
+        if (orderId === undefined || orderId === null) {
+            const reason = result.message || result.error || JSON.stringify(result).slice(0, 100);
+            throw new ProviderError(this.name, 'NO_NUMBER', `Number request failed: ${reason}`);
+        }
+
+        return {
+            orderId: String(orderId),
+            phone: phone ? String(phone) : null,
+            cost: data.cost !== undefined ? parseFloat(data.cost) : (data.price !== undefined ? parseFloat(data.price) : null),
+            expires
+        };
+    }
+
+    async checkSMS(orderId) {
+        const result = await this.request('getStatus', { id: orderId });
+
+        if (this.matchesMarker(result, this.statusSuccess)) {
+            const message = this.extractMessage(result);
+            if (message) {
+                const code = extractCode(message) || message;
+                return {
+                    status: 'received',
+                    code,
+                    sms: [{ text: message, code, sender: null, date: new Date() }]
+                };
+            }
+        }
+
+        return {
+            status: this.matchesMarker(result, this.statusCancel) ? 'cancelled' : 'waiting',
+            code: null,
+            sms: []
+        };
+    }
+
+    /**
+     * Most panels need no explicit finish call, so this is a no-op unless a finish URL is set
+     */
+    async finish(orderId) {
+        if (this.templates.finish) {
+            await this.request('finish', { id: orderId });
+        }
+        return { success: true };
+    }
+
+    /**
+     * Ask for the next message on the same number (the "activate next message" URL)
+     */
+    async retry(orderId) {
+        await this.request('activate', { id: orderId });
+        return { success: true };
+    }
+
+    async cancel(orderId) {
+        await this.request('cancel', { id: orderId });
+        return { success: true };
+    }
+
+    async getBalance() {
+        const result = await this.request('balance');
+
+        if (this.responseType === 'text') {
+            // Handler style: ACCESS_BALANCE:<amount>, otherwise a bare number
+            const amount = result.includes(':') ? result.split(':')[1] : result;
+            return { balance: parseFloat(amount) };
+        }
+
+        return { balance: parseFloat(result.balance !== undefined ? result.balance : getPath(result, 'data.balance')) };
+    }
+}
+
+GenericHTTPProvider.PLACEHOLDERS = PLACEHOLDERS;
+GenericHTTPProvider.renderTemplate = renderTemplate;
+GenericHTTPProvider.getPath = getPath;
+
+module.exports = GenericHTTPProvider;
@@ -0,0 +1,312 @@
+/**
+ * Handler API Provider - Base adapter for the handler_api.php text protocol
+ * Shared by SMS-Activate and compatible panels (SMSHub, ...). Responses are plain text
+ * such as `ACCESS_NUMBER:123:79990001122` or error codes like `NO_NUMBERS`.
+ */
+
+const { ProviderError } = require('../../middleware/errorHandler');
+
+// Activation status codes accepted by setStatus
+const ACTIVATION_STATUS = {
+    READY: 1,
+    RETRY: 3,
+    FINISH: 6,
+    CANCEL: 8
+};
+
+// Numbers are held for about 20 minutes before the provider releases them
+const ACTIVATION_TTL_MS = 20 * 60 * 1000;
+
+// Fallback list for panels without a country listing call
+const DEFAULT_COUNTRIES = [
+    { code: 'russia', name: 'Russia', flag: '🇷🇺' },
+    { code: 'ukraine', name: 'Ukraine', flag: '🇺🇦' },
+    { code: 'kazakhstan', name: 'Kazakhstan', flag: '🇰🇿' },
+    { code: 'china', name: 'China', flag: '🇨🇳' },
+    { code: 'usa', name: 'United States', flag: '🇺🇸' },
+    { code: 'india', name: 'India', flag: '🇮🇳' }
+];
+
+/**
+ * Split a `CODE:payload` response into its parts
+ */
+function splitResponse(body) {
+    const separator = body.indexOf(':');
+    if (separator === -1) {
+        return { code: body, payload: null };
+    }
+    return { code: body.slice(0, separator), payload: body.slice(separator + 1) };
+}
+
+/**
+ * Parse a getStatus response into a provider-neutral status
+ */
+function parseStatus(body) {
+    const { code, payload } = splitResponse(body);
+
+    switch (code) {
+        case 'STATUS_WAIT_CODE':
+        case 'STATUS_WAIT_RESEND':
+            return { status: 'waiting', code: null };
+        case 'STATUS_WAIT_RETRY':
+            return { status: 'waiting', code: null, lastCode: payload };
+        case 'STATUS_OK':
+            return { status: 'received', code: payload };
+        case 'STATUS_CANCEL':
+            return { status: 'cancelled', code: null };
+        default:
+            return { status: 'unknown', code: null, raw: body };
+    }
+}
+
+class HandlerAPIProvider {
+    /**
+     * @param {Object} config - { name, baseUrl, apiKey, currency, fetch } overrides
+     * @param {Object} defaults - { name, baseUrl, apiKey, currency, errorMessages, countryIds, serviceCodes }
+     */
+    constructor(config = {}, defaults = {}) {
+        this.name = config.name || defaults.name;
+        this.baseUrl = config.baseUrl || defaults.baseUrl;
+        this.apiKey = config.apiKey !== undefined ? config.apiKey : (defaults.apiKey || '');
+        this.currency = config.currency || defaults.currency || 'RUB';
+        this.errorMessages = defaults.errorMessages || {};
+        this.countryIds = defaults.countryIds || {};
+        this.serviceCodes = defaults.serviceCodes || {};
+        this.fetch = config.fetch || fetch;
+    }
+
+    /**
+     * Call a handler_api.php action and return the trimmed text body
+     */
+    async request(action, params = {}) {
+        const url = new URL(this.baseUrl);
+        url.searchParams.set('api_key', this.apiKey);
+        url.searchParams.set('action', action);
+
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                url.searchParams.set(key, value);
+            }
+        });
+
+        const response = await this.fetch(url);
+
+        if (!response.ok) {
+            throw new ProviderError(this.name, `HTTP_${response.status}`, `HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const body = (await response.text()).trim();
+        this.assertSuccess(body);
+        return body;
+    }
+
+    /**
+     * Call an action that answers with JSON
+     */
+    async requestJSON(action, params = {}) {
+        const body = await this.request(action, params);
+
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            throw new ProviderError(this.name, 'INVALID_RESPONSE', `Unexpected response to ${action}: ${body.slice(0, 100)}`);
+        }
+    }
+
+    /**
+     * Throw a ProviderError if the body is one of the provider's error codes
+     */
+    assertSuccess(body) {
+        const { code, payload } = splitResponse(body);
+        const message = this.errorMessages[code];
+
+        if (message) {
+            throw new ProviderError(this.name, code, payload ? `${message} (${payload})` : message);
+        }
+    }
+
+    resolveCountry(country) {
+        if (country === undefined || country === null || country === '') {
+            return undefined;
+        }
+        const key = String(country).toLowerCase();
+        return this.countryIds[key] !== undefined ? this.countryIds[key] : country;
+    }
+
+    resolveService(product) {
+        if (!product) {
+            return undefined;
+        }
+        const key = String(product).toLowerCase();
+        return this.serviceCodes[key] || product;
+    }
+
+    /**
+     * Build the getNumber query; providers override this for extra parameters
+     */
+    buildNumberParams(product, country, options = {}) {
+        return {
+            service: this.resolveService(product),
+            country: this.resolveCountry(country),
+            operator: options.operator && options.operator !== 'any' ? options.operator : undefined,
+            maxPrice: options.maxPrice
+        };
+    }
+
+    /**
+     * Rent a number for a service
+     */
+    async getNumber(product, country, options = {}) {
+        const body = await this.request('getNumber', this.buildNumberParams(product, country, options));
+
+        const { code, payload } = splitResponse(body);
+        if (code !== 'ACCESS_NUMBER' || !payload) {
+            throw new ProviderError(this.name, 'INVALID_RESPONSE', `Unexpected response to getNumber: ${body}`);
+        }
+
+        const [activationId, phone] = payload.split(':');
+        return { activationId, phone };
+    }
+
+    /**
+     * Get the activation status, including the code once received
+     */
+    async getStatus(activationId) {
+        const body = await this.request('getStatus', { id: activationId });
+        return parseStatus(body);
+    }
+
+    /**
+     * Change the activation status (ready, retry, finish, cancel)
+     */
+    async setStatus(activationId, status) {
+        const body = await this.request('setStatus', { id: activationId, status });
+        const { code } = splitResponse(body);
+
+        if (!code.startsWith('ACCESS_')) {
+            throw new ProviderError(this.name, 'INVALID_RESPONSE', `Unexpected response to setStatus: ${body}`);
+        }
+
+        return { success: true, status: code };
+    }
+
+    /**
+     * Get the account balance
+     */
+    async getBalance() {
+        const body = await this.request('getBalance');
+        const { code, payload } = splitResponse(body);
+
+        if (code !== 'ACCESS_BALANCE') {
+            throw new ProviderError(this.name, 'INVALID_RESPONSE', `Unexpected response to getBalance: ${body}`);
+        }
+
+        return { balance: parseFloat(payload) };
+    }
+
+    /**
+     * Get the raw price list keyed by country and then service code
+     */
+    async getPrices(product, country) {
+        return this.requestJSON('getPrices', {
+            service: this.resolveService(product),
+            country: this.resolveCountry(country)
+        });
+    }
+
+    /**
+     * Normalize one price list entry to { price, count }
+     */
+    parsePriceEntry(entry) {
+        return {
+            price: parseFloat(entry.cost),
+            count: parseInt(entry.count) || 0
+        };
+    }
+
+    /**
+     * Get the price of a single service in a country, or null if unlisted
+     */
+    async getPrice(product, country) {
+        const prices = await this.getPrices(product, country);
+        const countryPrices = prices[this.resolveCountry(country)];
+        const entry = countryPrices && countryPrices[this.resolveService(product)];
+        return entry ? this.parsePriceEntry(entry).price : null;
+    }
+
+    /**
+     * List countries as [{ code, name, flag }]
+     */
+    async getCountries() {
+        return DEFAULT_COUNTRIES;
+    }
+
+    /**
+     * List services available in a country as [{ name, count, price }]
+     */
+    async getProducts(country) {
+        const prices = await this.getPrices(null, country);
+        const countryPrices = prices[this.resolveCountry(country)] || {};
+
+        return Object.keys(countryPrices).map(name => ({
+            name,
+            ...this.parsePriceEntry(countryPrices[name])
+        }));
+    }
+
+    /**
+     * Rent a number and report it in the shared adapter shape
+     */
+    async buyNumber({ country, product, operator } = {}) {
+        // getNumber does not report the price, so look it up first (best effort)
+        const cost = await this.getPrice(product, country).catch(() => null);
+        const { activationId, phone } = await this.getNumber(product, country, { operator });
+
+        return {
+            orderId: activationId,
+            phone,
+            cost,
+            expires: Date.now() + ACTIVATION_TTL_MS
+        };
+    }
+
+    /**
+     * Poll an activation; the text protocol only returns the code, not the full message
+     */
+    async checkSMS(orderId) {
+        const result = await this.getStatus(orderId);
+
+        if (result.status === 'received') {
+            return {
+                status: 'received',
+                code: result.code,
+                sms: [{ text: result.code, code: result.code, sender: null, date: new Date() }]
+            };
+        }
+
+        return {
+            status: result.status === 'cancelled' ? 'cancelled' : 'waiting',
+            code: null,
+            sms: []
+        };
+    }
+
+    async finish(orderId) {
+        return this.setStatus(orderId, ACTIVATION_STATUS.FINISH);
+    }
+
+    async cancel(orderId) {
+        return this.setStatus(orderId, ACTIVATION_STATUS.CANCEL);
+    }
+
+    async retry(orderId) {
+        return this.setStatus(orderId, ACTIVATION_STATUS.RETRY);
+    }
+}
+
+HandlerAPIProvider.ACTIVATION_STATUS = ACTIVATION_STATUS;
+HandlerAPIProvider.splitResponse = splitResponse;
+HandlerAPIProvider.parseStatus = parseStatus;
+HandlerAPIProvider.DEFAULT_COUNTRIES = DEFAULT_COUNTRIES;
+
+module.exports = HandlerAPIProvider;
@@ -0,0 +1,85 @@
+/**
+ * Provider Registry - Maps provider names to adapter classes
+ *
+ * Every adapter implements the same interface, so order logic never branches on the provider:
+ *   getCountries()                          -> [{ code, name, flag }]
+ *   getProducts(country)                    -> [{ name, count, price }]
+ *   buyNumber({ country, product, operator }) -> { orderId, phone, cost, expires }
+ *   checkSMS(orderId)                       -> { status: 'waiting' | 'received' | 'cancelled', code, sms: [{ text, code, sender, date }] }
+ *   finish(orderId) / cancel(orderId)       -> { success }
+ *   getBalance()                            -> { balance, ... }
+ * Optional: retry(orderId) to request another SMS on the same number.
+ * Each adapter also has a `currency` (ISO 4217 code) that its prices, costs and balance are in.
+ *
+ * `generic` has no built-in config; it is always created from an API record (see getProviderForApi).
+ * Any config may pass `fetch` to replace the HTTP transport (used by the connection test to time calls).
+ */
+
+const FiveSimProvider = require('./fivesim');
+const SMSActivateProvider = require('./sms-activate');
+const SMSHubProvider = require('./smshub');
+const GenericHTTPProvider = require('./generic-http');
+
+const adapters = new Map();
+const instances = new Map();
+
+/**
+ * Register (or replace) an adapter class under a provider name
+ */
+function registerProvider(name, AdapterClass) {
+    adapters.set(name, AdapterClass);
+    instances.delete(name);
+}
+
+function hasProvider(name) {
+    return adapters.has(name);
+}
+
+/**
+ * Get the shared adapter instance for a provider, or a fresh one for a custom config
+ */
+function getProvider(name, config = null) {
+    const AdapterClass = adapters.get(name);
+    if (!AdapterClass) {
+        throw new Error(`Provider ${name} not supported`);
+    }
+
+    if (config) {
+        return new AdapterClass(config);
+    }
+
+    if (!instances.has(name)) {
+        instances.set(name, new AdapterClass());
+    }
+    return instances.get(name);
+}
+
+/**
+ * Build an adapter from an `apis` collection record.
+ * Records with URL templates always use the generic adapter, whatever their provider field says.
+ */
+function getProviderForApi(api, overrides = {}) {
+    const adapterName = api.getNumberUrl ? 'generic' : api.provider;
+    return getProvider(adapterName, {
+        ...api,
+        name: api.name || String(api._id),
+        ...overrides
+    });
+}
+
+function listProviders() {
+    return Array.from(adapters.keys());
+}
+
+registerProvider('5sim', FiveSimProvider);
+registerProvider('sms-activate', SMSActivateProvider);
+registerProvider('smshub', SMSHubProvider);
+registerProvider('generic', GenericHTTPProvider);
+
+module.exports = {
+    registerProvider,
+    hasProvider,
+    getProvider,
+    getProviderForApi,
+    listProviders
+};
@@ -0,0 +1,79 @@
+/**
+ * SMS-Activate Provider - handler_api.php adapter for sms-activate.org
+ */
+
+const HandlerAPIProvider = require('./handler-api');
+
+// Error codes returned instead of a normal response
+const ERROR_MESSAGES = {
+    NO_KEY: 'API key is missing',
+    BAD_KEY: 'Invalid API key',
+    BAD_ACTION: 'Invalid action',
+    BAD_SERVICE: 'Invalid service code',
+    BAD_STATUS: 'Invalid activation status',
+    ERROR_SQL: 'Provider database error',
+    NO_NUMBERS: 'No numbers available',
+    NO_BALANCE: 'Insufficient provider balance',
+    NO_ACTIVATION: 'Activation not found',
+    WRONG_ACTIVATION_ID: 'Invalid activation ID',
+    WRONG_MAX_PRICE: 'Max price is below the current minimum price',
+    WRONG_EXCEPTION_PHONE: 'Invalid excluded phone prefix',
+    NO_BALANCE_FORWARD: 'Insufficient balance for call forwarding',
+    CHANNELS_LIMIT: 'Account channel limit reached',
+    EARLY_CANCEL_DENIED: 'Activation cannot be cancelled this early',
+    BANNED: 'Account is temporarily banned'
+};
+
+// Country names used across the platform mapped to numeric provider IDs
+const COUNTRY_IDS = {
+    russia: 0,
+    ukraine: 1,
+    kazakhstan: 2,
+    china: 3,
+    india: 22,
+    usa: 187
+};
+
+// Product names used across the platform mapped to provider service codes
+const SERVICE_CODES = {
+    any: 'ot',
+    google: 'go',
+    whatsapp: 'wa',
+    telegram: 'tg',
+    uber: 'ub',
+    facebook: 'fb',
+    instagram: 'ig'
+};
+
+class SMSActivateProvider extends HandlerAPIProvider {
+    constructor(config = {}) {
+        super(config, {
+            name: 'sms-activate',
+            baseUrl: process.env.SMS_ACTIVATE_BASE_URL || 'https://api.sms-activate.org/stubs/handler_api.php',
+            apiKey: process.env.SMS_ACTIVATE_API_KEY || '',
+            currency: process.env.SMS_ACTIVATE_CURRENCY || 'RUB',
+            errorMessages: ERROR_MESSAGES,
+            countryIds: COUNTRY_IDS,
+            serviceCodes: SERVICE_CODES
+        });
+    }
+
+    /**
+     * List countries from the provider's getCountries call
+     */
+    async getCountries() {
+        const countries = await this.requestJSON('getCountries');
+
+        return Object.values(countries)
+            .filter(country => country.visible !== 0)
+            .map(country => ({
+                code: String(country.id),
+                name: country.eng,
+                flag: null
+            }));
+    }
+}
+
+SMSActivateProvider.ACTIVATION_STATUS = HandlerAPIProvider.ACTIVATION_STATUS;
+
+module.exports = SMSActivateProvider;
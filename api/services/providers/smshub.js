@@ -0,0 +1,94 @@
+/**
+ * SMSHub Provider - handler_api.php adapter for smshub.org
+ * Same text protocol as SMS-Activate, but with its own error codes, an explicit
+ * operator parameter and price lists keyed by price instead of a single cost.
+ */
+
+const HandlerAPIProvider = require('./handler-api');
+
+// Error codes returned instead of a normal response
+const ERROR_MESSAGES = {
+    API_KEY_NOT_VALID: 'Invalid API key',
+    BAD_KEY: 'Invalid API key',
+    BAD_ACTION: 'Invalid action',
+    BAD_SERVICE: 'Invalid service code',
+    WRONG_SERVICE: 'Invalid service code',
+    BAD_STATUS: 'Invalid activation status',
+    ERROR_SQL: 'Provider database error',
+    NO_NUMBERS: 'No numbers available',
+    NO_BALANCE: 'Insufficient provider balance',
+    NO_ACTIVATION: 'Activation not found',
+    WRONG_ACTIVATION_ID: 'Invalid activation ID',
+    WRONG_OPERATOR: 'Invalid operator for this country',
+    WRONG_MAX_PRICE: 'Max price is below the current minimum price',
+    ACCOUNT_INACTIVE: 'Account is inactive',
+    BANNED: 'Account is temporarily banned'
+};
+
+// Country names used across the platform mapped to numeric provider IDs
+const COUNTRY_IDS = {
+    russia: 0,
+    ukraine: 1,
+    kazakhstan: 2,
+    china: 3,
+    india: 22,
+    usa: 12
+};
+
+// Product names used across the platform mapped to provider service codes
+const SERVICE_CODES = {
+    any: 'ot',
+    google: 'go',
+    whatsapp: 'wa',
+    telegram: 'tg',
+    uber: 'ub',
+    facebook: 'fb',
+    instagram: 'ig'
+};
+
+class SMSHubProvider extends HandlerAPIProvider {
+    constructor(config = {}) {
+        super(config, {
+            name: 'smshub',
+            baseUrl: process.env.SMSHUB_BASE_URL || 'https://smshub.org/stubs/handler_api.php',
+            apiKey: process.env.SMSHUB_API_KEY || '',
+            currency: process.env.SMSHUB_CURRENCY || 'RUB',
+            errorMessages: ERROR_MESSAGES,
+            countryIds: COUNTRY_IDS,
+            serviceCodes: SERVICE_CODES
+        });
+    }
+
+    /**
+     * SMSHub expects the operator on every getNumber call, `any` included
+     */
+    buildNumberParams(product, country, options = {}) {
+        return {
+            ...super.buildNumberParams(product, country, options),
+            operator: options.operator || 'any'
+        };
+    }
+
+    /**
+     * Price entries look like { "2.5": 120, "3": 40 } (price => available count);
+     * report the cheapest price that still has numbers and the total count
+     */
+    parsePriceEntry(entry) {
+        const offers = Object.entries(entry)
+            .map(([price, count]) => ({ price: parseFloat(price), count: parseInt(count) || 0 }))
+            .filter(offer => !isNaN(offer.price));
+
+        const available = offers.filter(offer => offer.count > 0);
+        const cheapest = (available.length > 0 ? available : offers)
+            .reduce((min, offer) => (min === null || offer.price < min.price ? offer : min), null);
+
+        return {
+            price: cheapest ? cheapest.price : null,
+            count: available.reduce((sum, offer) => sum + offer.count, 0)
+        };
+    }
+}
+
+SMSHubProvider.ACTIVATION_STATUS = HandlerAPIProvider.ACTIVATION_STATUS;
+
+module.exports = SMSHubProvider;
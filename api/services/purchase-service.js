@@ -0,0 +1,221 @@
+/**
+ * Purchase Service - Buys a number for a user against their wallet
+ *
+ * 1. Hold: in a MongoDB transaction, move the service price (converted to the base currency when
+ *    the service is priced in another one) from the user's available balance to `held_balance`
+ *    and insert the order as `created` with a `hold`.
+ * 2. Buy: call the provider outside any transaction (a retried transaction must never buy twice).
+ * 3. Assign or release: in a second transaction, either assign the number and start waiting,
+ *    or cancel the order and release the hold.
+ *
+ * The hold is only charged when the SMS arrives (see balance-holds.js); cancelled and expired
+ * orders get it back. If the process dies between steps, releaseStaleHolds() returns the money later.
+ */
+
+const { ObjectId } = require('mongodb');
+const { connectToMongoDB } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const OTPNumberService = require('./otp-number-service');
+const { ORDER_STATUS, initialHistory, transitionOrder } = require('./order-state');
+const { placeHold, releaseHold } = require('./balance-holds');
+const money = require('../utils/money');
+const exchangeRates = require('./exchange-rates');
+
+// Holds on `created` orders older than this are treated as abandoned purchases
+const STALE_HOLD_MS = 5 * 60 * 1000;
+
+class PurchaseService {
+    constructor(otpService = new OTPNumberService()) {
+        this.otpService = otpService;
+    }
+
+    /**
+     * Load an active service by ID
+     */
+    async getService(db, serviceId) {
+        if (!ObjectId.isValid(String(serviceId))) {
+            throw new AppError('Invalid service ID', 400);
+        }
+
+        const service = await db.collection('services').findOne({ _id: new ObjectId(String(serviceId)) });
+        if (!service || service.status === 'inactive') {
+            throw new AppError('Service not found', 404);
+        }
+        return service;
+    }
+
+    /**
+     * Provider for a service: the active API configured for its server, else the service's provider name
+     */
+    async resolveProvider(db, service) {
+        if (service.serverId) {
+            const api = await db.collection('apis').findOne(
+                { serverId: String(service.serverId), status: { $ne: 'inactive' } },
+                { projection: { _id: 1 } }
+            );
+            if (api) {
+                return String(api._id);
+            }
+        }
+        return service.provider || '5sim';
+    }
+
+    /**
+     * Buy a number for `userId`, holding the service price until the SMS arrives
+     */
+    async purchase({ userId, serviceId, operator = 'any', actor = 'api' }) {
+        const { db, client } = await connectToMongoDB();
+        if (!db) {
+            throw new AppError('Database not available', 503);
+        }
+
+        const service = await this.getService(db, serviceId);
+        const priceCurrency = service.currency || exchangeRates.BASE_CURRENCY;
+        const price = money.toDecimal(service.price, priceCurrency);
+        // Balances are in the base currency, so that is what gets held
+        const charge = exchangeRates.convert(price, priceCurrency, exchangeRates.BASE_CURRENCY, await exchangeRates.loadRates(db));
+        const provider = await this.resolveProvider(db, service);
+        const country = service.countryCode;
+        const product = service.serviceCode || service.serviceIdField || service.name;
+
+        const session = client.startSession();
+        try {
+            const order = await this.hold(db, session, { userId, service, price, priceCurrency, charge, provider, country, product, actor });
+
+            let purchase;
+            try {
+                const adapter = await this.otpService.getAdapter(provider);
+                purchase = { ...await adapter.buyNumber({ country, product, operator }), currency: adapter.currency };
+            } catch (error) {
+                await this.release(db, session, order, error.message);
+                throw error;
+            }
+
+            try {
+                return await this.assign(db, session, order, purchase);
+            } catch (error) {
+                // We hold a number we could not record: hand it back and release the money
+                await this.otpService.getAdapter(provider)
+                    .then(adapter => adapter.cancel(purchase.orderId))
+                    .catch(() => {});
+                await this.release(db, session, order, `Failed to record purchase: ${error.message}`);
+                throw error;
+            }
+        } finally {
+            await session.endSession();
+        }
+    }
+
+    /**
+     * Step 1: put the price on hold and insert the order as `created`
+     */
+    async hold(db, session, { userId, service, price, priceCurrency, charge, provider, country, product, actor }) {
+        let order;
+
+        await session.withTransaction(async () => {
+            const { user, hold } = await placeHold(db, userId, charge, { session });
+
+            order = {
+                phone: null,
+                country,
+                product,
+                provider,
+                serviceId: String(service._id),
+                price,
+                priceCurrency,
+                cost: null,
+                costCurrency: null,
+                userId: user.user_id,
+                status: ORDER_STATUS.CREATED,
+                hold,
+                history: initialHistory({ actor }),
+                createdAt: hold.placedAt
+            };
+
+            await db.collection('orders').insertOne(order, { session });
+        });
+
+        return order;
+    }
+
+    /**
+     * Step 3 (success): assign the number and start waiting; the hold stays open
+     */
+    async assign(db, session, order, purchase) {
+        let waitingOrder;
+
+        await session.withTransaction(async () => {
+            await transitionOrder(db, { _id: order._id }, ORDER_STATUS.NUMBER_ASSIGNED, {
+                actor: 'provider',
+                session,
+                set: {
+                    orderId: purchase.orderId,
+                    phone: purchase.phone,
+                    cost: money.toDecimal(purchase.cost, null),
+                    costCurrency: purchase.currency || null,
+                    expiresAt: purchase.expires ? new Date(purchase.expires) : null
+                }
+            });
+
+            waitingOrder = await transitionOrder(db, { _id: order._id }, ORDER_STATUS.WAITING, {
+                actor: 'system',
+                session,
+                set: { nextPollAt: new Date(), pollAttempts: 0 }
+            });
+        });
+
+        const newBalance = money.toMinor(order.hold.balanceBefore) - money.toMinor(order.hold.amount);
+        return { order: waitingOrder, newBalance: money.minorToNumber(newBalance) };
+    }
+
+    /**
+     * Step 3 (failure): cancel the order and release the hold
+     */
+    async release(db, session, order, reason) {
+        await session.withTransaction(async () => {
+            const cancelled = await transitionOrder(
+                db,
+                { _id: order._id, status: ORDER_STATUS.CREATED },
+                ORDER_STATUS.CANCELLED,
+                { actor: 'system', reason, session }
+            );
+
+            // Already moved on (or released) by someone else
+            if (!cancelled) {
+                return;
+            }
+
+            await releaseHold(db, cancelled, { session });
+        });
+    }
+
+    /**
+     * Release holds whose purchase never finished (e.g. the function was killed mid-flow)
+     */
+    async releaseStaleHolds() {
+        const { db, client } = await connectToMongoDB();
+        if (!db) {
+            return 0;
+        }
+
+        const orders = await db.collection('orders').find({
+            status: ORDER_STATUS.CREATED,
+            'hold.releasedAt': null,
+            'hold.capturedAt': null,
+            'hold.placedAt': { $lte: new Date(Date.now() - STALE_HOLD_MS) }
+        }).toArray();
+
+        const session = client.startSession();
+        try {
+            for (const order of orders) {
+                await this.release(db, session, order, 'Purchase did not complete');
+            }
+        } finally {
+            await session.endSession();
+        }
+
+        return orders.length;
+    }
+}
+
+module.exports = PurchaseService;
@@ -0,0 +1,137 @@
+/**
+ * SMS Poller - Background worker that checks waiting orders for incoming SMS
+ * Orders are claimed straight from the `orders` collection with a short lease, so several
+ * instances (or a restarted one) can share the queue without polling the same order twice.
+ */
+
+const { connectToMongoDB } = require('../config/database');
+const OTPNumberService = require('./otp-number-service');
+const { ORDER_STATUS } = require('./order-state');
+
+const DEFAULTS = {
+    intervalMs: parseInt(process.env.SMS_POLL_INTERVAL_MS) || 5000,
+    baseDelayMs: parseInt(process.env.SMS_POLL_BASE_DELAY_MS) || 5000,
+    maxDelayMs: parseInt(process.env.SMS_POLL_MAX_DELAY_MS) || 60000,
+    batchSize: parseInt(process.env.SMS_POLL_BATCH_SIZE) || 20,
+    leaseMs: 60000
+};
+
+class SMSPoller {
+    constructor(otpService = new OTPNumberService(), options = {}) {
+        this.otpService = otpService;
+        this.options = { ...DEFAULTS, ...options };
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Delay before the next poll of an order that has been polled `attempts` times
+     */
+    getBackoffDelay(attempts) {
+        return Math.min(this.options.maxDelayMs, this.options.baseDelayMs * 2 ** Math.max(0, attempts - 1));
+    }
+
+    /**
+     * Atomically take the next due order and lease it to this worker
+     */
+    async claimNextOrder(db) {
+        const now = new Date();
+
+        return db.collection('orders').findOneAndUpdate(
+            {
+                status: ORDER_STATUS.WAITING,
+                $and: [
+                    { $or: [{ nextPollAt: { $lte: now } }, { nextPollAt: { $exists: false } }] },
+                    { $or: [{ pollLockedUntil: { $lte: now } }, { pollLockedUntil: null }] }
+                ]
+            },
+            { $set: { pollLockedUntil: new Date(now.getTime() + this.options.leaseMs) } },
+            { sort: { nextPollAt: 1 }, returnDocument: 'after' }
+        );
+    }
+
+    /**
+     * Poll one claimed order and schedule its next poll
+     */
+    async pollOrder(db, order) {
+        const attempts = (order.pollAttempts || 0) + 1;
+        const update = {
+            pollAttempts: attempts,
+            lastPolledAt: new Date(),
+            nextPollAt: new Date(Date.now() + this.getBackoffDelay(attempts)),
+            pollLockedUntil: null,
+            lastPollError: null
+        };
+
+        let outcome;
+        try {
+            const result = await this.otpService.checkSMS(order.provider, order.orderId);
+            outcome = result.cancelled ? 'cancelled' : (result.waiting ? 'waiting' : 'received');
+        } catch (error) {
+            update.lastPollError = error.message;
+            outcome = 'failed';
+        }
+
+        await db.collection('orders').updateOne({ _id: order._id }, { $set: update });
+        return outcome;
+    }
+
+    /**
+     * Poll up to `batchSize` due orders once
+     */
+    async tick() {
+        const summary = { polled: 0, received: 0, cancelled: 0, waiting: 0, failed: 0 };
+        const { db } = await connectToMongoDB();
+        if (!db) {
+            return summary;
+        }
+
+        for (let i = 0; i < this.options.batchSize; i++) {
+            const order = await this.claimNextOrder(db);
+            if (!order) {
+                break;
+            }
+
+            const outcome = await this.pollOrder(db, order);
+            summary.polled++;
+            summary[outcome]++;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Run ticks on an interval until stopped; a tick never overlaps the previous one
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+
+        const loop = async () => {
+            try {
+                await this.tick();
+            } catch (error) {
+                console.error('SMS poller tick failed:', error.message);
+            }
+
+            if (this.running) {
+                this.timer = setTimeout(loop, this.options.intervalMs);
+                this.timer.unref();
+            }
+        };
+
+        loop();
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = SMSPoller;
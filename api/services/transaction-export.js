@@ -0,0 +1,141 @@
+/**
+ * Transaction Export - The transaction history as CSV, XLSX or JSON Lines
+ *
+ * Takes the same filters as `GET /api/transactions` (transaction-query.js) and streams every
+ * matching transaction from a MongoDB cursor, formatted the same way as the list (including the
+ * derived `category` and `source`), so a large date range never has to fit in memory.
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+const transactionQuery = require('./transaction-query');
+const { MAX_ROWS, xlsxChunks } = require('../utils/xlsx');
+const money = require('../utils/money');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+const COLUMNS = [
+    'id',
+    'created_at',
+    'user_id',
+    'user',
+    'type',
+    'category',
+    'source',
+    'amount',
+    'currency',
+    'balance_before',
+    'balance_after',
+    'status',
+    'description',
+    'promo_code',
+    'admin_id',
+    'order_id',
+    'payment_method',
+    'reference_id',
+    'reversed_by',
+    'reversal_of'
+];
+
+function exportRecord(tx) {
+    const record = transactionQuery.formatTransaction(tx);
+    return {
+        ...record,
+        created_at: record.created_at ? new Date(record.created_at).toISOString() : null,
+        currency: money.DEFAULT_CURRENCY,
+        // Users created in the admin panel are referenced by ObjectId
+        user_id: record.user_id !== null && typeof record.user_id === 'object' ? String(record.user_id) : record.user_id ?? null,
+        reversed_by: record.reversed_by ? String(record.reversed_by) : null,
+        reversal_of: record.reversal_of ? String(record.reversal_of) : null
+    };
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    // Spreadsheets run text starting with = + - @ as a formula
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function* csvChunks(records) {
+    yield `${COLUMNS.join(',')}\r\n`;
+    for await (const record of records) {
+        yield `${COLUMNS.map(column => csvValue(record[column])).join(',')}\r\n`;
+    }
+}
+
+async function* jsonlChunks(records) {
+    for await (const record of records) {
+        yield `${JSON.stringify(record)}\n`;
+    }
+}
+
+async function* rowValues(records) {
+    for await (const record of records) {
+        yield COLUMNS.map(column => record[column]);
+    }
+}
+
+/**
+ * Check the format and filters before anything is sent; throws 400.
+ * Returns `{ contentType, filename, check(db), chunks(db) }`: `check` throws 400 when the matches
+ * do not fit the format (XLSX stops at Excel's row limit), and `chunks` yields the file.
+ */
+function prepareExport(query = {}) {
+    const format = String(query.format || 'csv').toLowerCase();
+    const spec = FORMATS[format];
+    if (!spec) {
+        throw new AppError(`Unsupported format: ${format} (use ${Object.keys(FORMATS).join(', ')})`, 400);
+    }
+
+    const stages = transactionQuery.pipeline(transactionQuery.buildFilter(query), { cursor: query.cursor });
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+
+    return {
+        contentType: spec.contentType,
+        filename: `transactions-${stamp}.${spec.extension}`,
+        async check(db) {
+            if (format !== 'xlsx') {
+                return;
+            }
+            const count = await db.collection('transactions').countDocuments(stages[0].$match);
+            if (count > MAX_ROWS - 1) {
+                throw new AppError(`${count} transactions match, more than an XLSX sheet holds (${MAX_ROWS - 1}); narrow the filters or export CSV or JSON Lines`, 400);
+            }
+        },
+        async *chunks(db) {
+            const cursor = db.collection('transactions').aggregate(stages, { allowDiskUse: true });
+            async function* records() {
+                for await (const tx of cursor) {
+                    yield exportRecord(tx);
+                }
+            }
+
+            try {
+                if (format === 'csv') {
+                    yield* csvChunks(records());
+                } else if (format === 'jsonl') {
+                    yield* jsonlChunks(records());
+                } else {
+                    yield* xlsxChunks(COLUMNS, rowValues(records()), { sheetName: 'Transactions' });
+                }
+            } finally {
+                await cursor.close();
+            }
+        }
+    };
+}
+
+module.exports = {
+    FORMATS,
+    COLUMNS,
+    prepareExport
+};
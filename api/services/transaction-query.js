@@ -0,0 +1,314 @@
+/**
+ * Transaction Query - Filters, cursor paging and formatting for the transaction history
+ *
+ * Transactions are listed newest first, ordered by (timestamp, _id). A page ends with an opaque
+ * `next_cursor` holding the last row's timestamp and _id; passing it back returns the rows after it,
+ * so pages stay stable while new transactions are written. The user's name is joined in with
+ * `$lookup` on the page only.
+ *
+ * Query parameters (all optional):
+ *   user_id, admin_id, order_id       exact match (user and order ids as string or number)
+ *   from, to                          timestamp range (ISO dates, inclusive; a bare `to` date covers that day)
+ *   min_amount, max_amount            amount range
+ *   source                            stored source, comma separated for several
+ *   type / category                   the transaction groups of the admin page (bot, admin, promo, ...)
+ *   search                            description, promo code, order or reference id; a number also matches user_id
+ *                                     and numeric order ids
+ */
+
+const { ObjectId } = require('mongodb');
+const { AppError } = require('../middleware/errorHandler');
+const { userIdCandidates } = require('./ledger');
+const { orderIdCandidates } = require('./otp-number-service');
+const money = require('../utils/money');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Transaction groups shown on the admin page → stored `source`
+const CATEGORY_FILTERS = {
+    bot: { source: 'bot' },
+    admin: { source: 'admin' },
+    promo: { source: { $in: ['promo', 'promo_code'] } },
+    payment: { source: { $in: ['qr_payment', 'payment'] } },
+    order: { source: 'order' },
+    refund: { source: 'refund' },
+    adjustment: { source: 'adjustment' },
+    reversal: { source: 'reversal' },
+    system: { $or: [{ source: 'system' }, { source: { $exists: false } }] }
+};
+
+// `category` values of formatted transactions that are named differently from their group
+const CATEGORY_ALIASES = {
+    admin_action: 'admin',
+    bot_action: 'bot',
+    promo_code: 'promo',
+    purchase: 'order'
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function present(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new AppError(`${name} must be a date`, 400);
+    }
+    return date;
+}
+
+function parseAmount(value, name) {
+    const minor = money.toMinor(value);
+    if (!Number.isSafeInteger(minor)) {
+        throw new AppError(`${name} must be a number`, 400);
+    }
+    return money.fromMinor(minor);
+}
+
+function encodeCursor(tx) {
+    const position = { t: tx.timestamp ? new Date(tx.timestamp).toISOString() : null, id: String(tx._id) };
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (!ObjectId.isValid(id) || (t !== null && isNaN(new Date(t).getTime()))) {
+            throw new Error('bad cursor');
+        }
+        return { timestamp: t === null ? null : new Date(t), id: new ObjectId(id) };
+    } catch (error) {
+        throw new AppError('Invalid cursor', 400);
+    }
+}
+
+/**
+ * Mongo filter for the query parameters above. Throws 400 on malformed values.
+ */
+function buildFilter(query = {}) {
+    const clauses = [];
+
+    if (query.user_id) {
+        const candidates = userIdCandidates(query.user_id);
+        if (ObjectId.isValid(query.user_id) && !/^\d+$/.test(query.user_id)) {
+            candidates.push(new ObjectId(query.user_id));
+        }
+        clauses.push({ user_id: { $in: candidates } });
+    }
+    if (query.admin_id) {
+        clauses.push({ admin_id: String(query.admin_id) });
+    }
+    if (query.order_id) {
+        // 5sim order ids are stored as numbers, the other providers' as strings
+        clauses.push({ order_id: { $in: orderIdCandidates(String(query.order_id)) } });
+    }
+
+    if (query.from || query.to) {
+        const range = {};
+        if (query.from) range.$gte = parseDate(query.from, 'from');
+        if (query.to && DATE_ONLY.test(query.to)) {
+            // A bare date covers that whole day
+            range.$lt = new Date(parseDate(query.to, 'to').getTime() + 24 * 60 * 60 * 1000);
+        } else if (query.to) {
+            range.$lte = parseDate(query.to, 'to');
+        }
+        clauses.push({ timestamp: range });
+    }
+
+    if (present(query.min_amount) || present(query.max_amount)) {
+        const range = {};
+        if (present(query.min_amount)) range.$gte = parseAmount(query.min_amount, 'min_amount');
+        if (present(query.max_amount)) range.$lte = parseAmount(query.max_amount, 'max_amount');
+        clauses.push({ amount: range });
+    }
+
+    if (query.source) {
+        const sources = String(query.source).split(',').map(source => source.trim()).filter(Boolean);
+        clauses.push({ source: { $in: sources } });
+    }
+
+    const category = query.category || query.type;
+    if (category) {
+        const filter = CATEGORY_FILTERS[CATEGORY_ALIASES[category] || category];
+        if (!filter) {
+            throw new AppError(`Unknown category: ${category}`, 400);
+        }
+        clauses.push(filter);
+    }
+
+    if (query.search) {
+        const search = String(query.search).trim();
+        const pattern = { $regex: escapeRegex(search), $options: 'i' };
+        const matches = [{ description: pattern }, { promo_code: pattern }, { order_id: pattern }, { reference_id: pattern }];
+        if (/^\d+$/.test(search)) {
+            matches.push({ user_id: { $in: userIdCandidates(search) } });
+            if (Number.isSafeInteger(Number(search))) {
+                matches.push({ order_id: Number(search) });
+            }
+        }
+        clauses.push({ $or: matches });
+    }
+
+    if (clauses.length === 0) return {};
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+/**
+ * Aggregation pipeline for `filter`, newest first, starting after `cursor`, joined with the user.
+ * Without `limit` it runs over every match (exports).
+ */
+function pipeline(filter, { cursor, limit } = {}) {
+    const match = { ...filter };
+    if (cursor) {
+        const { timestamp, id } = decodeCursor(cursor);
+        const after = {
+            $or: [
+                { timestamp: { $lt: timestamp } },
+                { timestamp, _id: { $lt: id } }
+            ]
+        };
+        match.$and = [...(match.$and || []), after];
+    }
+
+    const stages = [
+        { $match: match },
+        { $sort: { timestamp: -1, _id: -1 } }
+    ];
+    if (limit) {
+        stages.push({ $limit: limit });
+    }
+
+    // Telegram users are joined by user_id, users created in the admin panel by _id
+    stages.push(
+        { $lookup: { from: 'users', localField: 'user_id', foreignField: 'user_id', as: 'user_by_id' } },
+        { $lookup: { from: 'users', localField: 'user_id', foreignField: '_id', as: 'user_by_oid' } },
+        {
+            $addFields: {
+                user: {
+                    $ifNull: [{ $arrayElemAt: ['$user_by_id', 0] }, { $arrayElemAt: ['$user_by_oid', 0] }]
+                }
+            }
+        },
+        { $project: { user_by_id: 0, user_by_oid: 0, 'user.password': 0 } }
+    );
+    return stages;
+}
+
+/**
+ * One page of transactions: `{ transactions, pagination: { limit, has_more, next_cursor } }`
+ */
+async function listPage(db, query = {}) {
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit) || DEFAULT_LIMIT));
+    const filter = buildFilter(query);
+
+    const rows = await db.collection('transactions')
+        .aggregate(pipeline(filter, { cursor: query.cursor, limit: limit + 1 }))
+        .toArray();
+
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        transactions: page.map(formatTransaction),
+        pagination: {
+            limit,
+            has_more: hasMore,
+            next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+        }
+    };
+}
+
+/**
+ * Display type (add/cut balance), source and category of a stored transaction
+ */
+function categorize(tx) {
+    switch (tx.type) {
+        case 'credit':
+            switch (tx.source) {
+                case 'admin': return { type: 'add_balance', source: 'admin', category: 'admin_action' };
+                case 'promo': return { type: 'add_balance', source: 'promo', category: 'promo_code' };
+                case 'qr_payment': return { type: 'add_balance', source: 'qr_payment', category: 'payment' };
+                case 'bot': return { type: 'add_balance', source: 'bot', category: 'bot_action' };
+                case 'refund': return { type: 'add_balance', source: 'refund', category: 'refund' };
+                case 'adjustment': return { type: 'add_balance', source: 'adjustment', category: 'adjustment' };
+                case 'reversal': return { type: 'add_balance', source: 'reversal', category: 'reversal' };
+                default: return { type: 'add_balance', source: tx.source || 'system', category: 'system' };
+            }
+
+        case 'debit':
+            switch (tx.source) {
+                case 'admin': return { type: 'cut_balance', source: 'admin', category: 'admin_action' };
+                case 'order': return { type: 'cut_balance', source: 'order', category: 'purchase' };
+                case 'bot': return { type: 'cut_balance', source: 'bot', category: 'bot_action' };
+                case 'adjustment': return { type: 'cut_balance', source: 'adjustment', category: 'adjustment' };
+                case 'reversal': return { type: 'cut_balance', source: 'reversal', category: 'reversal' };
+                default: return { type: 'cut_balance', source: tx.source || 'system', category: 'system' };
+            }
+
+        case 'promo_credit':
+            return { type: 'add_balance', source: 'promo', category: 'promo_code' };
+
+        case 'qr_payment':
+            return { type: 'add_balance', source: 'qr_payment', category: 'payment' };
+
+        case 'order_payment':
+            return { type: 'cut_balance', source: 'order', category: 'purchase' };
+
+        case 'admin_action':
+            return {
+                type: money.toNumber(tx.amount) > 0 ? 'add_balance' : 'cut_balance',
+                source: 'admin',
+                category: 'admin_action'
+            };
+
+        default:
+            return { type: tx.type || 'system', source: tx.source || 'system', category: 'system' };
+    }
+}
+
+/**
+ * A transaction (with its joined `user`) as the admin page and exports show it
+ */
+function formatTransaction(tx) {
+    const { type, source, category } = categorize(tx);
+    const user = tx.user;
+
+    return {
+        id: tx._id?.toString() || `TXN_${tx.user_id}_${tx.timestamp}`,
+        user_id: tx.user_id,
+        user: user ? (user.first_name || user.username || `User ${tx.user_id}`) : `User ${tx.user_id}`,
+        type,
+        amount: Math.abs(money.toNumber(tx.amount)),
+        description: tx.description || 'Transaction',
+        source,
+        category,
+        created_at: tx.timestamp,
+        status: tx.reversed_by ? 'reversed' : 'completed',
+        balance_before: money.toNumber(tx.balance_before),
+        balance_after: money.toNumber(tx.balance_after),
+        promo_code: tx.promo_code || null,
+        admin_id: tx.admin_id || null,
+        order_id: tx.order_id || null,
+        payment_method: tx.payment_method || null,
+        reference_id: tx.reference_id || null,
+        reversed_by: tx.reversed_by || null,
+        reversal_of: tx.reversal_of || null
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    buildFilter,
+    pipeline,
+    listPage,
+    categorize,
+    formatTransaction
+};
@@ -0,0 +1,226 @@
+/**
+ * Two-Factor - TOTP second factor for admin logins
+ *
+ * An admin record enrolls in two steps: `startEnrollment` stores a new secret as pending and
+ * returns it with its otpauth:// URI and QR code; `activate` turns it on once the admin enters a
+ * code from their app, and hands out single-use backup codes. The record then carries
+ *
+ *   totp: { enabled: true, secret, enrolled_at, last_step, backup_codes: [sha256], failures, locked_until }
+ *
+ * Every code is accepted once (`last_step`), and after MAX_FAILURES wrong codes in a row the
+ * second factor is locked for LOCK_MINUTES. With ADMIN_REQUIRE_2FA=true admins must enroll before
+ * they can use the API. Logins from ADMIN_USERNAME / ADMIN_PASSWORD have no record to enroll.
+ */
+
+const crypto = require('crypto');
+const { AppError } = require('../middleware/errorHandler');
+const totp = require('../utils/totp');
+const { qrSvg } = require('../utils/qr');
+
+const ISSUER = process.env.TOTP_ISSUER || 'OTP Bot Admin';
+const BACKUP_CODE_COUNT = 10;
+const MAX_FAILURES = 5;
+const LOCK_MINUTES = 15;
+
+function isRequired() {
+    return process.env.ADMIN_REQUIRE_2FA === 'true';
+}
+
+function hashBackupCode(code) {
+    return crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+}
+
+// `xxxx-xxxx` codes; only their hashes are stored
+function newBackupCodes() {
+    const codes = [];
+    for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+        const hex = crypto.randomBytes(4).toString('hex');
+        codes.push(`${hex.slice(0, 4)}-${hex.slice(4)}`);
+    }
+    return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+async function findRecord(db, username) {
+    const record = await db.collection('admins').findOne({ username: String(username) });
+    if (!record) {
+        throw new AppError('Two-factor authentication needs an admin account: create one with npm run admin:create', 400);
+    }
+    return record;
+}
+
+/**
+ * `{ enabled, required, backup_codes_left }` for an admin record (or null for environment logins)
+ */
+function status(record) {
+    const enabled = Boolean(record && record.totp && record.totp.enabled);
+    return {
+        enabled,
+        required: isRequired(),
+        backup_codes_left: enabled ? (record.totp.backup_codes || []).length : 0
+    };
+}
+
+/**
+ * Store a new pending secret; returns `{ secret, otpauth_uri, qr_svg }` to show the admin.
+ * The QR code is drawn first, so a URI too long for one leaves the record untouched (400).
+ */
+async function startEnrollment(db, username) {
+    const record = await findRecord(db, username);
+    if (record.totp && record.totp.enabled) {
+        throw new AppError('Two-factor authentication is already on', 409);
+    }
+
+    const secret = totp.generateSecret();
+    const uri = totp.otpauthUri({ secret, account: record.username, issuer: ISSUER });
+    let svg;
+    try {
+        svg = qrSvg(uri);
+    } catch (error) {
+        throw new AppError('The username and TOTP_ISSUER are too long for a QR code; shorten one of them', 400);
+    }
+
+    await db.collection('admins').updateOne(
+        { _id: record._id },
+        { $set: { totp: { enabled: false, pending_secret: secret } } }
+    );
+
+    return { secret, otpauth_uri: uri, qr_svg: svg };
+}
+
+/**
+ * Turn two-factor on with a code for the pending secret; returns the backup codes (shown once)
+ */
+async function activate(db, username, code) {
+    const record = await findRecord(db, username);
+    const pending = record.totp && !record.totp.enabled && record.totp.pending_secret;
+    if (!pending) {
+        throw new AppError('Start two-factor enrollment first', 400);
+    }
+
+    const step = totp.verifyTotp(pending, code);
+    if (step === null) {
+        throw new AppError('Invalid code', 400);
+    }
+
+    const backup = newBackupCodes();
+    await db.collection('admins').updateOne(
+        { _id: record._id },
+        {
+            $set: {
+                totp: {
+                    enabled: true,
+                    secret: pending,
+                    enrolled_at: new Date(),
+                    last_step: step,
+                    backup_codes: backup.hashes,
+                    failures: 0
+                }
+            }
+        }
+    );
+    return backup.codes;
+}
+
+async function recordFailure(db, record) {
+    const admins = db.collection('admins');
+    const updated = await admins.findOneAndUpdate(
+        { _id: record._id },
+        { $inc: { 'totp.failures': 1 } },
+        { returnDocument: 'after' }
+    );
+    if (updated && updated.totp.failures >= MAX_FAILURES) {
+        await admins.updateOne(
+            { _id: record._id },
+            { $set: { 'totp.failures': 0, 'totp.locked_until': new Date(Date.now() + LOCK_MINUTES * 60 * 1000) } }
+        );
+    }
+}
+
+/**
+ * Check a code from the authenticator app, or a backup code (which is used up). Throws 401 for a
+ * wrong or reused code and 429 while locked.
+ */
+async function verifyCode(db, record, code) {
+    if (!record.totp || !record.totp.enabled) {
+        throw new AppError('Two-factor authentication is not on for this admin', 400);
+    }
+    if (record.totp.locked_until && record.totp.locked_until > new Date()) {
+        throw new AppError(`Too many wrong codes; try again after ${record.totp.locked_until.toISOString()}`, 429);
+    }
+
+    const admins = db.collection('admins');
+    const step = totp.verifyTotp(record.totp.secret, code);
+    let accepted = false;
+    if (step !== null) {
+        // Only a step after the last accepted one, so an observed code cannot be replayed
+        const result = await admins.updateOne(
+            { _id: record._id, $or: [{ 'totp.last_step': { $exists: false } }, { 'totp.last_step': { $lt: step } }] },
+            { $set: { 'totp.last_step': step } }
+        );
+        accepted = result.modifiedCount === 1;
+    } else if (String(code || '').replace(/[^a-z0-9]/gi, '').length === 8) {
+        const hash = hashBackupCode(code);
+        const result = await admins.updateOne(
+            { _id: record._id, 'totp.backup_codes': hash },
+            { $pull: { 'totp.backup_codes': hash } }
+        );
+        accepted = result.modifiedCount === 1;
+    }
+
+    if (!accepted) {
+        await recordFailure(db, record);
+        throw new AppError('Invalid two-factor code', 401);
+    }
+    await admins.updateOne({ _id: record._id }, { $set: { 'totp.failures': 0 }, $unset: { 'totp.locked_until': '' } });
+}
+
+/**
+ * Replace the backup codes (needs a current code); returns the new ones
+ */
+async function regenerateBackupCodes(db, username, code) {
+    const record = await findRecord(db, username);
+    await verifyCode(db, record, code);
+
+    const backup = newBackupCodes();
+    await db.collection('admins').updateOne({ _id: record._id }, { $set: { 'totp.backup_codes': backup.hashes } });
+    return backup.codes;
+}
+
+/**
+ * Turn two-factor off for yourself (needs a current code; not while it is required)
+ */
+async function disable(db, username, code) {
+    if (isRequired()) {
+        throw new AppError('Two-factor authentication is required and cannot be turned off', 403);
+    }
+    const record = await findRecord(db, username);
+    await verifyCode(db, record, code);
+    await db.collection('admins').updateOne({ _id: record._id }, { $unset: { totp: '' } });
+}
+
+/**
+ * Owner reset for an admin who lost their device: removes the secret and backup codes and signs
+ * out their sessions (`session_version`), which may be in the hands of whoever has the device
+ */
+async function reset(db, username) {
+    const result = await db.collection('admins').updateOne(
+        { username: String(username) },
+        { $unset: { totp: '' }, $inc: { session_version: 1 } }
+    );
+    if (result.matchedCount === 0) {
+        throw new AppError('Admin not found', 404);
+    }
+}
+
+module.exports = {
+    ISSUER,
+    BACKUP_CODE_COUNT,
+    isRequired,
+    status,
+    startEnrollment,
+    activate,
+    verifyCode,
+    regenerateBackupCodes,
+    disable,
+    reset
+};
@@ -0,0 +1,261 @@
+// Schema for provider API connection definitions stored in the `apis` collection
+const { validateObjectId } = require('./validation');
+const { isCurrencyCode } = require('./money');
+const { listProviders } = require('../services/providers');
+const GenericHTTPProvider = require('../services/providers/generic-http');
+
+// The generic HTTP provider parses these two; anything else would be read as text
+const RESPONSE_TYPES = ['json', 'text'];
+const STATUSES = ['active', 'inactive'];
+const TEMPLATE_FIELDS = ['getNumberUrl', 'getStatusUrl', 'activateUrl', 'finishUrl', 'cancelUrl', 'balanceUrl'];
+// Templates that act on an existing order and therefore need its ID
+const ORDER_TEMPLATE_FIELDS = ['getStatusUrl', 'activateUrl', 'finishUrl', 'cancelUrl'];
+const DOT_PATH_PATTERN = /^[\w-]+(\.[\w-]+)*$/;
+
+const AUTO_CANCEL_RANGE = { min: 1, max: 1440 };
+const RETRY_RANGE = { min: 0, max: 10 };
+
+// Validate a URL template: balanced braces, known placeholders, absolute URL or path
+function validateTemplate(template, { baseUrl, requiresId = false } = {}) {
+    const opening = (template.match(/\{/g) || []).length;
+    const closing = (template.match(/\}/g) || []).length;
+    if (opening !== closing) {
+        return 'has unbalanced braces';
+    }
+
+    const placeholders = Array.from(template.matchAll(/\{([^{}]*)\}/g), match => match[1]);
+    const unknown = placeholders.filter(name => !GenericHTTPProvider.PLACEHOLDERS.includes(name));
+    if (unknown.length > 0) {
+        return `uses unknown placeholder${unknown.length > 1 ? 's' : ''} ${unknown.map(name => `{${name}}`).join(', ')}`;
+    }
+
+    if (requiresId && !placeholders.includes('id')) {
+        return 'must include the {id} placeholder';
+    }
+
+    if (/^https?:\/\//i.test(template)) {
+        try {
+            new URL(GenericHTTPProvider.renderTemplate(template, {}));
+        } catch (error) {
+            return 'is not a valid URL';
+        }
+        return null;
+    }
+
+    if (!baseUrl) {
+        return 'must be an absolute http(s) URL when no base URL is set';
+    }
+
+    return null;
+}
+
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+function parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true' || value === '1' || value === 1) return true;
+    if (value === 'false' || value === '0' || value === 0 || value === '') return false;
+    return null;
+}
+
+function parseIntegerInRange(value, { min, max }) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        return null;
+    }
+    return number;
+}
+
+function asTrimmedString(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Normalize and validate an API definition.
+ * Returns { data, errors } where errors maps field names to messages (empty when valid).
+ * `data` only contains fields present in `input`, with defaults applied when `defaults` is true.
+ */
+function normalizeApiDefinition(input = {}, { defaults = true } = {}) {
+    const errors = {};
+    const data = {};
+    const has = field => input[field] !== undefined;
+
+    if (has('name') || defaults) {
+        data.name = asTrimmedString(input.name);
+        if (!data.name) {
+            errors.name = 'Name is required';
+        } else if (data.name.length > 100) {
+            errors.name = 'Name must be at most 100 characters';
+        }
+    }
+
+    if (has('baseUrl') || defaults) {
+        data.baseUrl = asTrimmedString(input.baseUrl);
+        if (data.baseUrl && !isHttpUrl(data.baseUrl)) {
+            errors.baseUrl = 'Base URL must be an http(s) URL';
+        }
+    }
+
+    if (has('apiKey') || defaults) data.apiKey = asTrimmedString(input.apiKey);
+    if (has('description') || defaults) data.description = asTrimmedString(input.description);
+
+    if (has('endpoints') || defaults) {
+        data.endpoints = input.endpoints || {};
+        if (typeof data.endpoints !== 'object' || Array.isArray(data.endpoints)) {
+            errors.endpoints = 'Endpoints must be an object';
+        }
+    }
+
+    TEMPLATE_FIELDS.forEach(field => {
+        if (has(field) || defaults) data[field] = asTrimmedString(input[field]);
+    });
+
+    if (has('provider') || defaults) {
+        data.provider = asTrimmedString(input.provider) || (data.getNumberUrl ? 'generic' : '5sim');
+        if (!listProviders().includes(data.provider)) {
+            errors.provider = `Provider must be one of: ${listProviders().join(', ')}`;
+        }
+    }
+
+    // Empty means the adapter's default currency
+    if (has('currency') || defaults) {
+        data.currency = asTrimmedString(input.currency).toUpperCase() || null;
+        if (data.currency && !isCurrencyCode(data.currency)) {
+            errors.currency = 'Currency must be a three-letter ISO 4217 code';
+        }
+    }
+
+    if (has('status') || defaults) {
+        data.status = asTrimmedString(input.status) || 'active';
+        if (!STATUSES.includes(data.status)) {
+            errors.status = `Status must be one of: ${STATUSES.join(', ')}`;
+        }
+    }
+
+    if (has('serverId') || defaults) {
+        data.serverId = asTrimmedString(input.serverId) || null;
+        if (data.serverId && !validateObjectId(data.serverId)) {
+            errors.serverId = 'Server ID must be a valid ID';
+        }
+    }
+
+    if (has('usesAuth') || defaults) {
+        data.usesAuth = has('usesAuth') ? parseBoolean(input.usesAuth) : false;
+        if (data.usesAuth === null) {
+            errors.usesAuth = 'Uses auth must be true or false';
+        }
+    }
+
+    if (has('responseType') || defaults) {
+        data.responseType = asTrimmedString(input.responseType) || 'text';
+        if (!RESPONSE_TYPES.includes(data.responseType)) {
+            errors.responseType = `Response type must be one of: ${RESPONSE_TYPES.join(', ')}`;
+        }
+    }
+
+    ['statusSuccess', 'statusCancel', 'messagePath', 'idPath', 'phonePath'].forEach(field => {
+        if (has(field) || defaults) data[field] = asTrimmedString(input[field]);
+    });
+
+    if (has('autoCancelMinutes') || defaults) {
+        data.autoCancelMinutes = has('autoCancelMinutes') && input.autoCancelMinutes !== '' && input.autoCancelMinutes !== null
+            ? parseIntegerInRange(input.autoCancelMinutes, AUTO_CANCEL_RANGE)
+            : 20;
+        if (data.autoCancelMinutes === null) {
+            errors.autoCancelMinutes = `Auto-cancel minutes must be a whole number between ${AUTO_CANCEL_RANGE.min} and ${AUTO_CANCEL_RANGE.max}`;
+        }
+    }
+
+    if (has('retryCount') || defaults) {
+        data.retryCount = has('retryCount') && input.retryCount !== '' && input.retryCount !== null
+            ? parseIntegerInRange(input.retryCount, RETRY_RANGE)
+            : 0;
+        if (data.retryCount === null) {
+            errors.retryCount = `Retry count must be a whole number between ${RETRY_RANGE.min} and ${RETRY_RANGE.max}`;
+        }
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Cross-field checks on a complete definition (after merging updates into the stored record)
+ */
+function validateApiDefinition(definition) {
+    const errors = {};
+    const isGeneric = definition.provider === 'generic';
+
+    if (!isGeneric && !definition.baseUrl) {
+        errors.baseUrl = 'Base URL is required';
+    }
+
+    if (isGeneric) {
+        ['getNumberUrl', 'getStatusUrl'].forEach(field => {
+            if (!definition[field]) {
+                errors[field] = 'URL template is required for generic providers';
+            }
+        });
+    }
+
+    TEMPLATE_FIELDS.forEach(field => {
+        if (!definition[field] || errors[field]) return;
+
+        const problem = validateTemplate(definition[field], {
+            baseUrl: definition.baseUrl,
+            requiresId: ORDER_TEMPLATE_FIELDS.includes(field)
+        });
+        if (problem) {
+            errors[field] = `URL template ${problem}`;
+        }
+    });
+
+    const usesKeyPlaceholder = TEMPLATE_FIELDS.some(field => (definition[field] || '').includes('{api_key}'));
+    if ((definition.usesAuth || usesKeyPlaceholder) && !definition.apiKey) {
+        errors.apiKey = 'API key is required when the API authenticates with it';
+    }
+
+    if (definition.messagePath) {
+        if (definition.responseType === 'json') {
+            if (!DOT_PATH_PATTERN.test(definition.messagePath)) {
+                errors.messagePath = 'Message path must be a dot path such as sms.0.text';
+            }
+        } else {
+            try {
+                new RegExp(definition.messagePath);
+            } catch (error) {
+                errors.messagePath = 'Message path must be a valid regular expression';
+            }
+        }
+    }
+
+    ['idPath', 'phonePath'].forEach(field => {
+        if (definition[field] && !DOT_PATH_PATTERN.test(definition[field])) {
+            errors[field] = 'Path must be a dot path such as data.id';
+        }
+    });
+
+    if (definition.responseType === 'json') {
+        ['statusSuccess', 'statusCancel'].forEach(field => {
+            const marker = definition[field];
+            if (marker && marker.includes('=') && !DOT_PATH_PATTERN.test(marker.slice(0, marker.indexOf('=')))) {
+                errors[field] = 'Marker must be a value or path=value';
+            }
+        });
+    }
+
+    return errors;
+}
+
+module.exports = {
+    normalizeApiDefinition,
+    validateApiDefinition,
+    validateTemplate,
+    TEMPLATE_FIELDS
+};
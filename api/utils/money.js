@@ -0,0 +1,178 @@
+/**
+ * Money helpers
+ *
+ * Amounts are stored as Decimal128 rounded to the currency's minor unit (paise for INR), and all
+ * arithmetic is done on integer minor units, so balances never pick up floating point error.
+ * API responses still carry plain numbers (see `decimalJsonReplacer`).
+ */
+
+const { Decimal128 } = require('mongodb');
+
+const DEFAULT_CURRENCY = (process.env.CURRENCY || 'INR').toUpperCase();
+
+// Digits after the decimal point (ISO 4217 minor units)
+const MINOR_UNITS = {
+    INR: 2,
+    USD: 2,
+    EUR: 2,
+    GBP: 2,
+    RUB: 2,
+    BDT: 2,
+    PKR: 2,
+    IDR: 2,
+    JPY: 0,
+    KRW: 0,
+    VND: 0,
+    KWD: 3,
+    BHD: 3
+};
+
+const CURRENCY_SYMBOLS = {
+    INR: '₹',
+    USD: '$',
+    EUR: '€',
+    GBP: '£',
+    RUB: '₽',
+    JPY: '¥'
+};
+
+function minorUnits(currency = DEFAULT_CURRENCY) {
+    const digits = MINOR_UNITS[String(currency).toUpperCase()];
+    return digits === undefined ? 2 : digits;
+}
+
+function isDecimal(value) {
+    return Boolean(value) && value._bsontype === 'Decimal128';
+}
+
+function toText(value) {
+    if (isDecimal(value)) {
+        return value.toString();
+    }
+    if (typeof value === 'number') {
+        // Avoid exponent notation for very small or very large numbers
+        return /e/i.test(String(value)) ? value.toFixed(20) : String(value);
+    }
+    return String(value).trim();
+}
+
+function isCurrencyCode(value) {
+    return typeof value === 'string' && /^[A-Z]{3}$/.test(value);
+}
+
+/**
+ * `value` as an integer count of 10^-digits, rounded half away from zero. NaN if not a number.
+ */
+function toScaled(value, digits) {
+    if (value === null || value === undefined || value === '') {
+        return 0;
+    }
+
+    const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(toText(value));
+    if (!match || (!match[2] && !match[3])) {
+        return NaN;
+    }
+
+    const [, sign, whole = '', fraction = ''] = match;
+    const padded = (fraction + '0'.repeat(digits + 1)).slice(0, digits + 1);
+    let minor = Number((whole || '0') + padded.slice(0, digits));
+    if (Number(padded[digits]) >= 5) {
+        minor += 1;
+    }
+    return sign === '-' && minor !== 0 ? -minor : minor;
+}
+
+/**
+ * Amount in integer minor units (e.g. paise), rounded half away from zero. NaN if not a number.
+ */
+function toMinor(value, currency = DEFAULT_CURRENCY) {
+    return toScaled(value, minorUnits(currency));
+}
+
+/**
+ * Decimal string for an integer count of 10^-digits, e.g. (1250, 2) → "12.50"
+ */
+function scaledToString(scaled, digits) {
+    const sign = scaled < 0 ? '-' : '';
+    const text = String(Math.abs(scaled)).padStart(digits + 1, '0');
+    if (digits === 0) {
+        return sign + text;
+    }
+    return `${sign}${text.slice(0, -digits)}.${text.slice(-digits)}`;
+}
+
+/**
+ * Decimal string for an amount in minor units, e.g. 1250 → "12.50"
+ */
+function minorToString(minor, currency = DEFAULT_CURRENCY) {
+    return scaledToString(minor, minorUnits(currency));
+}
+
+function minorToNumber(minor, currency = DEFAULT_CURRENCY) {
+    return Number(minorToString(minor, currency));
+}
+
+function fromMinor(minor, currency = DEFAULT_CURRENCY) {
+    return Decimal128.fromString(minorToString(minor, currency));
+}
+
+/**
+ * Decimal128 rounded to the currency's minor unit. Pass `currency: null` to keep every digit
+ * (for provider costs, which come in the provider's own currency and precision).
+ */
+function toDecimal(value, currency = DEFAULT_CURRENCY) {
+    if (currency === null) {
+        const text = toText(value === null || value === undefined || value === '' ? 0 : value);
+        return Decimal128.fromString(isNaN(Number(text)) ? '0' : text);
+    }
+    const minor = toMinor(value, currency);
+    return fromMinor(isNaN(minor) ? 0 : minor, currency);
+}
+
+/**
+ * Plain number for display and legacy callers
+ */
+function toNumber(value) {
+    if (value === null || value === undefined) {
+        return 0;
+    }
+    const number = Number(isDecimal(value) ? value.toString() : value);
+    return isNaN(number) ? 0 : number;
+}
+
+/**
+ * "₹12.50" style label
+ */
+function formatMoney(value, currency = DEFAULT_CURRENCY) {
+    const code = String(currency).toUpperCase();
+    const text = minorToString(toMinor(value, code) || 0, code);
+    return CURRENCY_SYMBOLS[code] ? `${CURRENCY_SYMBOLS[code]}${text}` : `${text} ${code}`;
+}
+
+/**
+ * JSON replacer that sends Decimal128 values as numbers, so API clients keep receiving plain numbers
+ */
+function decimalJsonReplacer(key, value) {
+    if (value && typeof value === 'object' && typeof value.$numberDecimal === 'string' && Object.keys(value).length === 1) {
+        return Number(value.$numberDecimal);
+    }
+    return value;
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    MINOR_UNITS,
+    minorUnits,
+    isCurrencyCode,
+    isDecimal,
+    toScaled,
+    toMinor,
+    scaledToString,
+    minorToString,
+    minorToNumber,
+    fromMinor,
+    toDecimal,
+    toNumber,
+    formatMoney,
+    decimalJsonReplacer
+};
@@ -0,0 +1,401 @@
+/**
+ * QR codes rendered as SVG, for the otpauth:// links of two-factor enrollment
+ *
+ * Encodes text in byte mode with error correction level M, versions 1 to 10 (up to 213 bytes,
+ * plenty for an otpauth URI), following ISO/IEC 18004. Written out here so enrollment works
+ * offline, without a QR library or an external image service.
+ */
+
+const MAX_VERSION = 10;
+
+// Error correction level M, indexed by version (0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const ECC_FORMAT_BITS = 0;
+
+// Penalty weights of the mask evaluation
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER_LIKE = 40;
+const PENALTY_BALANCE = 10;
+
+function bit(value, index) {
+    return ((value >>> index) & 1) !== 0;
+}
+
+// Modules left for data and error correction once the function patterns are drawn
+function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) {
+            result -= 36;
+        }
+    }
+    return result;
+}
+
+function dataCodewords(version) {
+    return Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version];
+}
+
+function alignmentPositions(version, size) {
+    if (version === 1) {
+        return [];
+    }
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = size - 7; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+// Reed-Solomon over GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+/**
+ * Data codewords for `bytes`: mode, length, data, terminator and padding
+ */
+function encodeData(bytes, version) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push(bit(value, i) ? 1 : 0);
+        }
+    };
+
+    append(0b0100, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacity = dataCodewords(version) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    return codewords;
+}
+
+// Split into blocks, add each block's error correction and interleave the blocks
+function addErrorCorrection(data, version) {
+    const blockCount = ERROR_CORRECTION_BLOCKS[version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = rsDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+        offset += block.length;
+        const ecc = rsRemainder(block, divisor);
+        if (i < shortBlocks) {
+            block.push(0);
+        }
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Short blocks have a placeholder where the long blocks have their last data codeword
+            if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+function createGrid(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+    return { version, size, modules, isFunction, setFunction };
+}
+
+function drawFormatBits(grid, mask) {
+    const { size, setFunction } = grid;
+    const data = (ECC_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) {
+        setFunction(8, i, bit(bits, i));
+    }
+    setFunction(8, 7, bit(bits, 6));
+    setFunction(8, 8, bit(bits, 7));
+    setFunction(7, 8, bit(bits, 8));
+    for (let i = 9; i < 15; i++) {
+        setFunction(14 - i, 8, bit(bits, i));
+    }
+
+    for (let i = 0; i < 8; i++) {
+        setFunction(size - 1 - i, 8, bit(bits, i));
+    }
+    for (let i = 8; i < 15; i++) {
+        setFunction(8, size - 15 + i, bit(bits, i));
+    }
+    setFunction(8, size - 8, true);
+}
+
+function drawFunctionPatterns(grid) {
+    const { version, size, setFunction } = grid;
+
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    const positions = alignmentPositions(version, size);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => positions.forEach((y, j) => {
+        // Not over the finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+            return;
+        }
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }));
+
+    // Reserve the format areas; the real bits are drawn once the mask is chosen
+    drawFormatBits(grid, 0);
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(a, b, bit(bits, i));
+            setFunction(b, a, bit(bits, i));
+        }
+    }
+}
+
+// Codewords go in two-module columns zigzagging up and down from the bottom right
+function drawCodewords(grid, codewords) {
+    const { size, modules, isFunction } = grid;
+    let index = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) {
+            right = 5;
+        }
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!isFunction[y][x] && index < codewords.length * 8) {
+                    modules[y][x] = bit(codewords[index >>> 3], 7 - (index & 7));
+                    index++;
+                }
+            }
+        }
+    }
+}
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+function applyMask(grid, mask) {
+    const { size, modules, isFunction } = grid;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!isFunction[y][x] && MASKS[mask](x, y)) {
+                modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+}
+
+const FINDER_LIKE = [
+    [true, false, true, true, true, false, true, false, false, false, false],
+    [false, false, false, false, true, false, true, true, true, false, true]
+];
+
+function lineScore(line) {
+    let score = 0;
+    let run = 1;
+    for (let i = 1; i <= line.length; i++) {
+        if (i < line.length && line[i] === line[i - 1]) {
+            run++;
+        } else {
+            if (run >= 5) {
+                score += PENALTY_RUN + run - 5;
+            }
+            run = 1;
+        }
+    }
+    for (let i = 0; i + 11 <= line.length; i++) {
+        for (const pattern of FINDER_LIKE) {
+            if (pattern.every((dark, k) => line[i + k] === dark)) {
+                score += PENALTY_FINDER_LIKE;
+            }
+        }
+    }
+    return score;
+}
+
+function penaltyScore(modules) {
+    const size = modules.length;
+    let score = 0;
+    let dark = 0;
+
+    for (let i = 0; i < size; i++) {
+        score += lineScore(modules[i]);
+        score += lineScore(modules.map(row => row[i]));
+    }
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) {
+                dark++;
+            }
+            if (x + 1 < size && y + 1 < size) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    score += PENALTY_BLOCK;
+                }
+            }
+        }
+    }
+
+    const total = size * size;
+    score += PENALTY_BALANCE * Math.floor(Math.abs(dark * 100 / total - 50) / 5);
+    return score;
+}
+
+/**
+ * The QR code for `text` as rows of modules (true = dark), without the quiet zone
+ */
+function qrMatrix(text) {
+    const bytes = [...Buffer.from(String(text), 'utf8')];
+    let version = 1;
+    while (version <= MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) {
+        version++;
+    }
+    if (version > MAX_VERSION) {
+        throw new Error(`Text too long for a QR code (${bytes.length} bytes, at most 213)`);
+    }
+
+    const codewords = addErrorCorrection(encodeData(bytes, version), version);
+
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        const grid = createGrid(version);
+        drawFunctionPatterns(grid);
+        drawCodewords(grid, codewords);
+        applyMask(grid, mask);
+        drawFormatBits(grid, mask);
+        const score = penaltyScore(grid.modules);
+        if (!best || score < best.score) {
+            best = { score, modules: grid.modules };
+        }
+    }
+    return best.modules;
+}
+
+/**
+ * The QR code for `text` as an SVG document, `moduleSize` pixels per module with a 4-module quiet zone
+ */
+function qrSvg(text, { moduleSize = 4 } = {}) {
+    const modules = qrMatrix(text);
+    const margin = 4;
+    const size = modules.length + margin * 2;
+
+    let path = '';
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) {
+            path += `M${x + margin},${y + margin}h1v1h-1z`;
+        }
+    }));
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size * moduleSize}" height="${size * moduleSize}" shape-rendering="crispEdges">`
+        + `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+module.exports = {
+    qrMatrix,
+    qrSvg
+};
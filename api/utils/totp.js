@@ -0,0 +1,120 @@
+/**
+ * TOTP (RFC 6238) one-time passwords, compatible with Google Authenticator, Authy, 1Password, ...
+ *
+ * SHA-1, 6 digits, 30-second steps, base32 secrets. Codes are checked within one step either side
+ * of now to allow for clock drift; the matching step is returned so callers can refuse to accept
+ * the same code twice.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * A new random base32 secret (160 bits)
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * The HOTP code (RFC 4226) of `secret` for `counter`
+ */
+function hotp(secret, counter, digits = DIGITS) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+    return String(code).padStart(digits, '0');
+}
+
+function timeStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * The time step `code` is valid for (within `window` steps of now), or null
+ */
+function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) {
+        return null;
+    }
+
+    const current = timeStep(now);
+    for (let step = current - window; step <= current + window; step++) {
+        if (crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(candidate))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * The otpauth:// URI authenticator apps import (usually from a QR code)
+ */
+function otpauthUri({ secret, account, issuer }) {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+module.exports = {
+    STEP_SECONDS,
+    DIGITS,
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    hotp,
+    timeStep,
+    verifyTotp,
+    otpauthUri
+};
@@ -0,0 +1,239 @@
+/**
+ * Streaming XLSX writer
+ *
+ * Writes a single-sheet workbook row by row, so exports of any size run in constant memory.
+ * An .xlsx file is a ZIP of XML parts; the sheet is deflated as it is produced and each entry's
+ * CRC and sizes go in a data descriptor after it, so nothing has to be buffered or rewritten.
+ * Strings are written inline (no shared string table) and numbers as plain numeric cells.
+ *
+ * The archive has no ZIP64 records, so it stops with an error rather than write a corrupt file
+ * past 4 GiB; a sheet also stops at Excel's row limit (MAX_ROWS, header included).
+ */
+
+const { Readable, pipeline } = require('stream');
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+    let c = crc ^ 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        c = CRC_TABLE[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date and time of `date`, as ZIP headers store them
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+const ZIP32_LIMIT = 0xFFFFFFFF;
+const MAX_ROWS = 1048576;
+
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const METHOD_DEFLATE = 8;
+
+function tooLarge() {
+    return new Error('Workbook is over 4 GiB, which needs ZIP64');
+}
+
+/**
+ * ZIP archive written as a sequence of Buffers. `entry(name, chunks)` yields the entry's bytes;
+ * `end()` yields the central directory.
+ */
+class ZipWriter {
+    constructor() {
+        this.offset = 0;
+        this.entries = [];
+        this.modified = dosDateTime(new Date());
+    }
+
+    emit(buffer) {
+        this.offset += buffer.length;
+        if (this.offset > ZIP32_LIMIT) {
+            throw tooLarge();
+        }
+        return buffer;
+    }
+
+    async *entry(name, chunks) {
+        const fileName = Buffer.from(name);
+        const record = { fileName, offset: this.offset, crc: 0, size: 0, compressedSize: 0 };
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 6);
+        header.writeUInt16LE(METHOD_DEFLATE, 8);
+        header.writeUInt16LE(this.modified.time, 10);
+        header.writeUInt16LE(this.modified.date, 12);
+        // CRC and sizes (14-25) follow in the data descriptor
+        header.writeUInt16LE(fileName.length, 26);
+        yield this.emit(Buffer.concat([header, fileName]));
+
+        async function* measured() {
+            for await (const chunk of chunks) {
+                const buffer = Buffer.from(chunk);
+                record.crc = crc32(buffer, record.crc);
+                record.size += buffer.length;
+                if (record.size > ZIP32_LIMIT) {
+                    throw tooLarge();
+                }
+                yield buffer;
+            }
+        }
+
+        const deflated = pipeline(Readable.from(measured()), zlib.createDeflateRaw(), () => {});
+        for await (const buffer of deflated) {
+            record.compressedSize += buffer.length;
+            yield this.emit(buffer);
+        }
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(record.crc, 4);
+        descriptor.writeUInt32LE(record.compressedSize, 8);
+        descriptor.writeUInt32LE(record.size, 12);
+        yield this.emit(descriptor);
+
+        this.entries.push(record);
+    }
+
+    *end() {
+        const start = this.offset;
+        for (const record of this.entries) {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 8);
+            header.writeUInt16LE(METHOD_DEFLATE, 10);
+            header.writeUInt16LE(this.modified.time, 12);
+            header.writeUInt16LE(this.modified.date, 14);
+            header.writeUInt32LE(record.crc, 16);
+            header.writeUInt32LE(record.compressedSize, 20);
+            header.writeUInt32LE(record.size, 24);
+            header.writeUInt16LE(record.fileName.length, 28);
+            header.writeUInt32LE(record.offset, 42);
+            yield this.emit(Buffer.concat([header, record.fileName]));
+        }
+
+        const directorySize = this.offset - start;
+        const footer = Buffer.alloc(22);
+        footer.writeUInt32LE(0x06054b50, 0);
+        footer.writeUInt16LE(this.entries.length, 8);
+        footer.writeUInt16LE(this.entries.length, 10);
+        footer.writeUInt32LE(directorySize, 12);
+        footer.writeUInt32LE(start, 16);
+        yield this.emit(footer);
+    }
+}
+
+function escapeXml(text) {
+    return String(text)
+        // Characters XML 1.0 does not allow
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function cell(value) {
+    if (value === null || value === undefined || value === '') {
+        return '<c/>';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+function row(values) {
+    return `<row>${values.map(cell).join('')}</row>`;
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const STATIC_PARTS = {
+    '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>',
+    '_rels/.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>'
+};
+
+function workbook(sheetName) {
+    return `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" `
+        + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>';
+}
+
+// Rows are grouped into chunks of this many before they go to the compressor
+const ROWS_PER_CHUNK = 200;
+
+/**
+ * The bytes of an .xlsx workbook with one sheet: a header row of `headers`, then one row per array
+ * of values from `rows` (any iterable or async iterable)
+ */
+async function* xlsxChunks(headers, rows, { sheetName = 'Sheet1' } = {}) {
+    const zip = new ZipWriter();
+
+    for (const [name, xml] of Object.entries(STATIC_PARTS)) {
+        yield* zip.entry(name, [xml]);
+    }
+    yield* zip.entry('xl/workbook.xml', [workbook(sheetName)]);
+
+    async function* sheet() {
+        yield `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>`;
+        yield row(headers);
+
+        let count = 1;
+        let batch = [];
+        for await (const values of rows) {
+            if (++count > MAX_ROWS) {
+                throw new Error(`A sheet holds at most ${MAX_ROWS} rows`);
+            }
+            batch.push(row(values));
+            if (batch.length >= ROWS_PER_CHUNK) {
+                yield batch.join('');
+                batch = [];
+            }
+        }
+        if (batch.length > 0) {
+            yield batch.join('');
+        }
+        yield '</sheetData></worksheet>';
+    }
+    yield* zip.entry('xl/worksheets/sheet1.xml', sheet());
+
+    yield* zip.end();
+}
+
+module.exports = {
+    MAX_ROWS,
+    xlsxChunks
+};
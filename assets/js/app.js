@@ -530,6 +530,17 @@ window.handleError = (error, fallbackMessage) => {
     }
 };
 
+// Money display helper, e.g. formatMoney(12.5) → "₹12.50"
+const CURRENCY_SYMBOLS = { INR: '₹', USD: '$', EUR: '€', GBP: '£', RUB: '₽', JPY: '¥' };
+const CURRENCY_MINOR_UNITS = { JPY: 0, KRW: 0, VND: 0, KWD: 3, BHD: 3 };
+
+window.formatMoney = (value, currency = 'INR') => {
+    const code = String(currency).toUpperCase();
+    const digits = CURRENCY_MINOR_UNITS[code] !== undefined ? CURRENCY_MINOR_UNITS[code] : 2;
+    const text = (parseFloat(value) || 0).toFixed(digits);
+    return CURRENCY_SYMBOLS[code] ? `${CURRENCY_SYMBOLS[code]}${text}` : `${text} ${code}`;
+};
+
 // Enhanced form submission helper
 window.submitForm = async (formElement, endpoint, options = {}) => {
     try {
@@ -0,0 +1,37 @@
+/**
+ * Admin session helpers for the admin pages
+ * The session lives in an HttpOnly cookie set by /api/auth/login; when it expires the API answers
+ * 401 and the page goes back to the login screen. When two-factor authentication is required and
+ * not set up yet, the API answers 403 and the page goes to the two-factor setup.
+ */
+
+(function () {
+    const originalFetch = window.fetch.bind(window);
+
+    function goToLogin() {
+        const next = encodeURIComponent(window.location.pathname + window.location.search);
+        window.location.href = `/admin/login?next=${next}`;
+    }
+
+    window.fetch = async (...args) => {
+        const response = await originalFetch(...args);
+        const url = typeof args[0] === 'string' ? args[0] : args[0]?.url || '';
+        if (response.status === 401 && !url.includes('/api/auth/')) {
+            goToLogin();
+        } else if (response.status === 403 && window.location.pathname !== '/admin/2fa') {
+            const body = await response.clone().json().catch(() => null);
+            if (body?.details?.two_factor === 'setup_required') {
+                window.location.href = '/admin/2fa';
+            }
+        }
+        return response;
+    };
+
+    window.adminLogout = async () => {
+        try {
+            await originalFetch('/api/auth/logout', { method: 'POST' });
+        } finally {
+            window.location.href = '/admin/login';
+        }
+    };
+})();
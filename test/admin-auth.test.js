@@ -0,0 +1,132 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDb } = require('./support/memory-db');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// The services look the database up on every call; point them at an in-memory one
+const database = require('../api/config/database');
+let db;
+database.connectToMongoDB = async () => ({ db, client: db.client });
+
+const adminAuth = require('../api/services/admin-auth');
+const twoFactor = require('../api/services/two-factor');
+const { requireAdmin } = require('../api/middleware/auth');
+const { rateLimit } = require('../api/middleware/rate-limit');
+
+// Run requireAdmin for a request carrying `token`; resolves with the status code and req.admin
+function authorize(token) {
+    const req = {
+        headers: { authorization: `Bearer ${token}` },
+        originalUrl: '/api/users',
+        get: name => req.headers[name.toLowerCase()]
+    };
+    return new Promise(resolve => {
+        const res = {
+            status(code) {
+                resolve({ status: code, admin: null });
+                return { json() {} };
+            }
+        };
+        requireAdmin(req, res, () => resolve({ status: 200, admin: req.admin }));
+    });
+}
+
+describe('admin sessions', () => {
+    let token;
+
+    beforeEach(async () => {
+        db = createMemoryDb();
+        const { insertedId } = await db.collection('admins').insertOne({
+            username: 'alice',
+            role: 'finance',
+            status: 'active'
+        });
+        token = adminAuth.issueSession({ id: String(insertedId), username: 'alice', role: 'finance' }).token;
+    });
+
+    it('takes the role from the admin record', async () => {
+        await db.collection('admins').updateOne({ username: 'alice' }, { $set: { role: 'viewer' } });
+
+        const { status, admin } = await authorize(token);
+        assert.equal(status, 200);
+        assert.equal(admin.username, 'alice');
+        assert.equal(admin.role, 'viewer');
+    });
+
+    it('rejects the sessions of a disabled admin', async () => {
+        await db.collection('admins').updateOne({ username: 'alice' }, { $set: { status: 'disabled' } });
+
+        assert.equal((await authorize(token)).status, 401);
+    });
+
+    it('rejects the sessions of a removed admin', async () => {
+        db = createMemoryDb();
+
+        assert.equal((await authorize(token)).status, 401);
+    });
+
+    it('rejects sessions without two-factor once the admin turns it on', async () => {
+        await db.collection('admins').updateOne({ username: 'alice' }, { $set: { totp: { enabled: true, secret: 'ABC' } } });
+        const record = await db.collection('admins').findOne({ username: 'alice' });
+        const verified = adminAuth.issueSession({ id: String(record._id), username: 'alice', role: 'finance' }, { mfa: true }).token;
+
+        assert.equal((await authorize(token)).status, 401);
+        assert.equal((await authorize(verified)).status, 200);
+    });
+
+    it('signs out every session when an owner resets two-factor', async () => {
+        await db.collection('admins').updateOne({ username: 'alice' }, { $set: { totp: { enabled: true, secret: 'ABC' } } });
+        const record = await db.collection('admins').findOne({ username: 'alice' });
+        const verified = adminAuth.issueSession({ id: String(record._id), username: 'alice', role: 'finance' }, { mfa: true }).token;
+
+        await twoFactor.reset(db, 'alice');
+
+        assert.equal((await authorize(verified)).status, 401);
+        assert.equal((await authorize(token)).status, 401);
+        const fresh = adminAuth.issueSession({ id: String(record._id), username: 'alice', role: 'finance', session_version: 1 }).token;
+        assert.equal((await authorize(fresh)).status, 200);
+    });
+});
+
+describe('login rate limit', () => {
+    beforeEach(() => {
+        db = createMemoryDb();
+    });
+
+    // Run the limiter for a request from `ip`; resolves with the status code and Retry-After header
+    function attempt(limiter, ip) {
+        return new Promise(resolve => {
+            const headers = {};
+            const res = {
+                set(name, value) {
+                    headers[name] = value;
+                },
+                status(code) {
+                    resolve({ status: code, retryAfter: headers['Retry-After'] });
+                    return { json() {} };
+                }
+            };
+            limiter({ ip }, res, () => resolve({ status: 200 }));
+        });
+    }
+
+    it('refuses requests over the limit until the window ends', async () => {
+        const limiter = rateLimit({ name: 'login', windowMs: 60 * 60 * 1000, max: 3 });
+
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await attempt(limiter, '203.0.113.7')).status, 200);
+        }
+        const refused = await attempt(limiter, '203.0.113.7');
+        assert.equal(refused.status, 429);
+        assert.ok(Number(refused.retryAfter) > 0 && Number(refused.retryAfter) <= 3600);
+    });
+
+    it('counts each client address on its own', async () => {
+        const limiter = rateLimit({ name: 'login', windowMs: 60 * 60 * 1000, max: 1 });
+
+        assert.equal((await attempt(limiter, '203.0.113.7')).status, 200);
+        assert.equal((await attempt(limiter, '203.0.113.7')).status, 429);
+        assert.equal((await attempt(limiter, '198.51.100.2')).status, 200);
+    });
+});
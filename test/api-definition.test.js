@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeApiDefinition, validateApiDefinition, validateTemplate } = require('../api/utils/api-definition');
+
+// Normalize with defaults, then run the cross-field checks; returns every error
+function check(input) {
+    const { data, errors } = normalizeApiDefinition(input);
+    return { data, errors: { ...errors, ...validateApiDefinition(data) } };
+}
+
+const GENERIC = {
+    name: ' Panel ',
+    baseUrl: 'https://panel.example',
+    apiKey: 'key',
+    getNumberUrl: '/handler?api_key={api_key}&service={service}',
+    getStatusUrl: '/handler?api_key={api_key}&id={id}'
+};
+
+describe('API definitions', () => {
+    it('accepts a generic provider and fills in the defaults', () => {
+        const { data, errors } = check(GENERIC);
+
+        assert.deepEqual(errors, {});
+        assert.equal(data.name, 'Panel');
+        assert.equal(data.provider, 'generic');
+        assert.equal(data.responseType, 'text');
+        assert.equal(data.status, 'active');
+        assert.equal(data.autoCancelMinutes, 20);
+        assert.equal(data.retryCount, 0);
+        assert.equal(data.currency, null);
+    });
+
+    it('only returns the fields given when defaults are off', () => {
+        const { data, errors } = normalizeApiDefinition({ retryCount: '3' }, { defaults: false });
+
+        assert.deepEqual(data, { retryCount: 3 });
+        assert.deepEqual(errors, {});
+    });
+
+    it('rejects out-of-range and malformed values', () => {
+        const { errors } = check({
+            ...GENERIC,
+            name: '',
+            baseUrl: 'ftp://panel.example',
+            provider: 'nope',
+            currency: 'rupees',
+            status: 'paused',
+            usesAuth: 'maybe',
+            responseType: 'xml',
+            autoCancelMinutes: 0,
+            retryCount: 11
+        });
+
+        assert.deepEqual(Object.keys(errors).sort(), [
+            'autoCancelMinutes', 'baseUrl', 'currency', 'name', 'provider', 'responseType', 'retryCount', 'status', 'usesAuth'
+        ]);
+    });
+
+    it('requires the number and status URLs, and an API key the templates use', () => {
+        const { errors } = check({ name: 'Panel', provider: 'generic', cancelUrl: 'https://panel.example/cancel?key={api_key}' });
+
+        assert.equal(errors.getNumberUrl, 'URL template is required for generic providers');
+        assert.equal(errors.getStatusUrl, 'URL template is required for generic providers');
+        assert.equal(errors.cancelUrl, 'URL template must include the {id} placeholder');
+        assert.equal(errors.apiKey, 'API key is required when the API authenticates with it');
+    });
+
+    it('checks URL templates', () => {
+        assert.equal(validateTemplate('/a/{id', { baseUrl: 'https://x.example' }), 'has unbalanced braces');
+        assert.equal(validateTemplate('/a/{product}/{sku}', { baseUrl: 'https://x.example' }), 'uses unknown placeholders {product}, {sku}');
+        assert.equal(validateTemplate('/status', { baseUrl: 'https://x.example', requiresId: true }), 'must include the {id} placeholder');
+        assert.equal(validateTemplate('/status/{id}', {}), 'must be an absolute http(s) URL when no base URL is set');
+        assert.equal(validateTemplate('https://x.example/status/{id}', { requiresId: true }), null);
+    });
+
+    it('checks paths and markers for the response type', () => {
+        const json = check({ ...GENERIC, responseType: 'json', messagePath: 'sms[0]', idPath: 'data id', statusSuccess: 'a b=1' }).errors;
+        assert.deepEqual(Object.keys(json).sort(), ['idPath', 'messagePath', 'statusSuccess']);
+
+        const text = check({ ...GENERIC, messagePath: 'code: (\\d+', statusSuccess: 'a b=1' }).errors;
+        assert.deepEqual(Object.keys(text), ['messagePath']);
+    });
+});
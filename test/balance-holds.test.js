@@ -0,0 +1,98 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Decimal128, ObjectId } = require('mongodb');
+const { transitionAndSettle, settleOpenHolds } = require('../api/services/balance-holds');
+const money = require('../api/utils/money');
+const { createMemoryDb } = require('./support/memory-db');
+
+function heldOrder(fields = {}) {
+    return {
+        _id: new ObjectId(),
+        orderId: 100,
+        provider: '5sim',
+        product: 'telegram',
+        userId: 7,
+        status: 'waiting',
+        history: [],
+        hold: {
+            amount: Decimal128.fromString('10.00'),
+            balanceBefore: Decimal128.fromString('100.00'),
+            placedAt: new Date(),
+            capturedAt: null,
+            releasedAt: null,
+            transactionId: null
+        },
+        ...fields
+    };
+}
+
+describe('balance holds', () => {
+    let db;
+    let order;
+
+    async function user() {
+        const found = await db.collection('users').findOne({ user_id: 7 });
+        return { balance: money.toMinor(found.balance), held: money.toMinor(found.held_balance) };
+    }
+
+    beforeEach(async () => {
+        db = createMemoryDb();
+        await db.collection('users').insertOne({
+            user_id: 7,
+            balance: Decimal128.fromString('90.00'),
+            held_balance: Decimal128.fromString('10.00'),
+            status: 'active'
+        });
+        order = heldOrder();
+        await db.collection('orders').insertOne(order);
+    });
+
+    it('captures the hold together with the move to received', async () => {
+        const received = await transitionAndSettle(db, { _id: order._id }, 'received', { actor: 'provider' });
+
+        assert.equal(received.status, 'received');
+        assert.ok(received.hold.capturedAt instanceof Date);
+        assert.deepEqual(await user(), { balance: 9000, held: 0 });
+
+        const debit = await db.collection('transactions').findOne({ _id: received.hold.transactionId });
+        assert.equal(debit.type, 'debit');
+        assert.equal(debit.order_id, 100);
+        assert.equal(money.toMinor(debit.balance_after), 9000);
+    });
+
+    it('releases the hold together with the move to cancelled', async () => {
+        const cancelled = await transitionAndSettle(db, { _id: order._id }, 'cancelled', { actor: 'admin' });
+
+        assert.equal(cancelled.status, 'cancelled');
+        assert.ok(cancelled.hold.releasedAt instanceof Date);
+        assert.deepEqual(await user(), { balance: 10000, held: 0 });
+        assert.equal(await db.collection('transactions').countDocuments({}), 0);
+    });
+
+    it('keeps the old status when the hold cannot be settled', async () => {
+        await db.collection('orders').updateOne({ _id: order._id }, { $set: { userId: 999 } });
+
+        await assert.rejects(
+            transitionAndSettle(db, { _id: order._id }, 'received', { actor: 'provider' }),
+            { statusCode: 404 }
+        );
+
+        const unchanged = await db.collection('orders').findOne({ _id: order._id });
+        assert.equal(unchanged.status, 'waiting');
+        assert.equal(unchanged.hold.capturedAt, null);
+        assert.equal(unchanged.history.length, 0);
+    });
+
+    it('settles holds left open on finished orders', async () => {
+        const stuck = heldOrder({ orderId: 101, status: 'expired' });
+        await db.collection('users').updateOne({ user_id: 7 }, { $inc: { held_balance: Decimal128.fromString('10.00') } });
+        await db.collection('orders').insertOne(stuck);
+
+        assert.equal(await settleOpenHolds(db), 1);
+
+        const settled = await db.collection('orders').findOne({ _id: stuck._id });
+        assert.ok(settled.hold.releasedAt instanceof Date);
+        assert.deepEqual(await user(), { balance: 10000, held: 1000 });
+        assert.equal(await settleOpenHolds(db), 0);
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Decimal128 } = require('mongodb');
+const { createMemoryDb } = require('./support/memory-db');
+
+// Read when the policy is loaded
+process.env.BALANCE_CREDIT_LIMIT = '0';
+process.env.BALANCE_ROLE_CREDIT_LIMITS = 'reseller:500, vip:100.50, broken:-1, junk';
+
+// Load the app without starting its server or background workers, signed in with the bot's key
+process.env.NODE_ENV = 'production';
+process.env.BOT_API_KEY = 'test-bot-key';
+
+// The app looks the database up on every call; point it at an in-memory one
+const database = require('../api/config/database');
+let db = createMemoryDb();
+database.connectToMongoDB = async () => ({ db, client: db.client });
+
+const balancePolicy = require('../api/services/balance-policy');
+const ledger = require('../api/services/ledger');
+const money = require('../api/utils/money');
+
+describe('balance policy', () => {
+    it('reads the role limits and skips malformed entries', () => {
+        assert.deepEqual(balancePolicy.ROLE_CREDIT_LIMITS, { reseller: 50000, vip: 10050 });
+        assert.equal(balancePolicy.DEFAULT_CREDIT_LIMIT, 0);
+    });
+
+    it('prefers the user\'s own limit, then their role\'s, then the default', () => {
+        assert.equal(balancePolicy.creditLimit({ role: 'reseller', credit_limit: Decimal128.fromString('0') }), 0);
+        assert.equal(balancePolicy.creditLimit({ role: 'reseller', credit_limit: Decimal128.fromString('20.00') }), 2000);
+        assert.equal(balancePolicy.creditLimit({ role: 'reseller' }), 50000);
+        assert.equal(balancePolicy.creditLimit({ role: 'user' }), 0);
+        assert.equal(balancePolicy.spendable({ role: 'vip', balance: Decimal128.fromString('-0.50') }), 10000);
+    });
+
+    it('validates credit limits sent by admins', () => {
+        assert.equal(balancePolicy.parseCreditLimit(null), null);
+        assert.equal(balancePolicy.parseCreditLimit(''), null);
+        assert.equal(balancePolicy.parseCreditLimit('12.345').toString(), '12.35');
+        assert.throws(() => balancePolicy.parseCreditLimit('-1'), { statusCode: 400 });
+        assert.throws(() => balancePolicy.parseCreditLimit('lots'), { statusCode: 400 });
+    });
+});
+
+describe('debits under the balance policy', () => {
+    beforeEach(async () => {
+        db = createMemoryDb();
+        await db.collection('users').insertOne({ user_id: 1, role: 'vip', balance: Decimal128.fromString('10.00'), status: 'active' });
+    });
+
+    it('lets a user go into overdraft up to their limit', async () => {
+        const debit = await ledger.debit(db, { userId: 1, amount: '110.50' });
+
+        assert.equal(money.toMinor(debit.balance_after), -10050);
+    });
+
+    it('refuses a debit past the limit with the amounts the bot needs', async () => {
+        await assert.rejects(ledger.debit(db, { userId: 1, amount: '110.51' }), (error) => {
+            assert.equal(error.statusCode, 402);
+            assert.equal(error.code, 'INSUFFICIENT_FUNDS');
+            assert.deepEqual(error.details, { balance: 10, credit_limit: 100.5, available: 110.5, required: 110.51, shortfall: 0.01 });
+            return true;
+        });
+
+        const user = await db.collection('users').findOne({ user_id: 1 });
+        assert.equal(user.balance.toString(), '10.00');
+        assert.equal(await db.collection('transactions').countDocuments({}), 0);
+    });
+});
+
+describe('POST /api/cut_balance', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        // The request log would mix with the test runner's output
+        mock.method(console, 'log', () => {});
+        const app = require('../api/index');
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(async () => {
+        db = createMemoryDb();
+        await db.collection('users').insertOne({ user_id: 1, balance: Decimal128.fromString('10.00'), status: 'active' });
+    });
+
+    it('answers 402 with INSUFFICIENT_FUNDS and the amounts', async () => {
+        const response = await fetch(`${baseUrl}/api/cut_balance`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-bot-key' },
+            body: JSON.stringify({ user_id: 1, amount: 12 })
+        });
+        const body = await response.json();
+
+        assert.equal(response.status, 402);
+        assert.equal(body.success, false);
+        assert.equal(body.code, 'INSUFFICIENT_FUNDS');
+        assert.deepEqual([body.details.available, body.details.required, body.details.shortfall], [10, 12, 2]);
+    });
+
+    it('answers 404 for an unknown user', async () => {
+        const response = await fetch(`${baseUrl}/api/cut_balance`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-bot-key' },
+            body: JSON.stringify({ user_id: 2, amount: 1 })
+        });
+
+        assert.equal(response.status, 404);
+    });
+});
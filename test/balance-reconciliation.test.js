@@ -0,0 +1,158 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { Decimal128 } = require('mongodb');
+const { createMemoryDb } = require('./support/memory-db');
+
+// The service looks the database up on every call; point it at an in-memory one
+const database = require('../api/config/database');
+let db;
+database.connectToMongoDB = async () => ({ db, client: db.client });
+
+const BalanceReconciliation = require('../api/services/balance-reconciliation');
+const reconciliationRoutes = require('../api/routes/reconciliation');
+const { errorHandler } = require('../api/middleware/errorHandler');
+
+// History totals (credits, debits) per user ID, as the aggregation returns them
+function historyTotals(entries) {
+    return async () => new Map(entries.map(([userId, credits, debits]) => [
+        String(userId),
+        { _id: String(userId), credits: Decimal128.fromString(credits), debits: Decimal128.fromString(debits), count: 1 }
+    ]));
+}
+
+// Users 2 and 3 have drifted from their history: 2 by +0.01, 3 by -0.50
+async function seedUsers() {
+    db = createMemoryDb();
+    await db.collection('users').insertOne({ user_id: 1, balance: Decimal128.fromString('10.00'), held_balance: Decimal128.fromString('0.00') });
+    await db.collection('users').insertOne({ user_id: 2, balance: Decimal128.fromString('10.01'), held_balance: Decimal128.fromString('0.00') });
+    await db.collection('users').insertOne({ user_id: 3, balance: Decimal128.fromString('4.00'), held_balance: Decimal128.fromString('1.00') });
+}
+const HISTORY = [[1, '10.00', '0.00'], [2, '10.00', '0.00'], [3, '8.00', '2.50']];
+
+describe('BalanceReconciliation', () => {
+    let reconciliation;
+
+    beforeEach(async () => {
+        await seedUsers();
+        reconciliation = new BalanceReconciliation();
+        reconciliation.getHistoryTotals = historyTotals(HISTORY);
+    });
+
+    it('reports a drift of one minor unit by default', async () => {
+        const run = await reconciliation.run();
+
+        assert.equal(run.users_checked, 3);
+        assert.deepEqual(run.drifts.map(entry => [entry.user_id, entry.drift]), [[2, 0.01], [3, -0.5]]);
+        assert.equal(run.net_drift, -0.49);
+        assert.equal(run.absolute_drift, 0.51);
+        assert.equal(run.tolerance, 0);
+    });
+
+    it('ignores drift up to the tolerance', async () => {
+        const run = await reconciliation.run({ tolerance: '0.01' });
+
+        assert.deepEqual(run.drifts.map(entry => entry.user_id), [3]);
+        assert.equal(run.tolerance, 0.01);
+    });
+
+    it('refuses a negative or malformed tolerance', async () => {
+        await assert.rejects(reconciliation.run({ tolerance: '-1' }), { statusCode: 400 });
+        await assert.rejects(reconciliation.run({ tolerance: 'abc' }), { statusCode: 400 });
+    });
+
+    it('writes an adjustment per drifted user when repairing, without touching the balance', async () => {
+        const run = await reconciliation.run({ repair: true, actor: 'alice' });
+
+        assert.equal(run.adjustments_written, 2);
+        const adjustments = await db.collection('transactions').find({ source: 'adjustment' }).toArray();
+        assert.deepEqual(
+            adjustments.map(tx => [tx.user_id, tx.type, tx.amount.toString(), tx.adjusted_by]),
+            [[2, 'credit', '0.01', 'alice'], [3, 'debit', '0.50', 'alice']]
+        );
+        const user = await db.collection('users').findOne({ user_id: 3 });
+        assert.equal(user.balance.toString(), '4.00');
+        assert.equal((await db.collection('reconciliation_runs').findOne({})).adjustments_written, 2);
+    });
+
+    it('checks a single user', async () => {
+        const run = await reconciliation.run({ userId: '3' });
+
+        assert.equal(run.users_checked, 1);
+        assert.deepEqual(run.drifts.map(entry => entry.user_id), [3]);
+    });
+
+    it('records a failed repair on the user and carries on', async () => {
+        reconciliation.repair = async (database, user) => {
+            if (user.user_id === 2) {
+                throw new Error('write conflict');
+            }
+            return 'adjustment';
+        };
+
+        const run = await reconciliation.run({ repair: true });
+
+        assert.equal(run.adjustments_written, 1);
+        assert.deepEqual(run.drifts.map(entry => [entry.adjustment_id, entry.error]), [[null, 'write conflict'], ['adjustment', null]]);
+    });
+});
+
+describe('POST /api/reconciliation/run', () => {
+    let server;
+    let baseUrl;
+    const getHistoryTotals = BalanceReconciliation.prototype.getHistoryTotals;
+
+    before(async () => {
+        BalanceReconciliation.prototype.getHistoryTotals = historyTotals(HISTORY);
+
+        // Signed in as the admin named in the request headers
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.admin = { username: req.get('X-Admin'), role: req.get('X-Role') };
+            next();
+        });
+        app.use('/api/reconciliation', reconciliationRoutes);
+        app.use(errorHandler);
+
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/reconciliation`;
+    });
+
+    after(() => {
+        BalanceReconciliation.prototype.getHistoryTotals = getHistoryTotals;
+        return new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(seedUsers);
+
+    async function request(path, { role = 'finance', body } = {}) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method: body ? 'POST' : 'GET',
+            headers: { 'Content-Type': 'application/json', 'X-Admin': 'alice', 'X-Role': role },
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    it('repairs as the signed-in admin, whatever actor the body names', async () => {
+        const { status, body } = await request('/run', { body: { repair: true, actor: 'mallory' } });
+
+        assert.equal(status, 200);
+        assert.equal(body.data.actor, 'alice');
+        const adjustments = await db.collection('transactions').find({ source: 'adjustment' }).toArray();
+        assert.deepEqual(adjustments.map(tx => tx.adjusted_by), ['alice', 'alice']);
+    });
+
+    it('lets every role read runs but only finance and owners start one', async () => {
+        assert.equal((await request('/run', { role: 'support', body: { repair: true } })).status, 403);
+        assert.equal((await request('/runs', { role: 'viewer' })).status, 200);
+        assert.equal(await db.collection('transactions').countDocuments({}), 0);
+    });
+
+    it('refuses a malformed tolerance', async () => {
+        const { status } = await request('/run', { body: { tolerance: 'abc' } });
+        assert.equal(status, 400);
+    });
+});
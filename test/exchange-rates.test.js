@@ -0,0 +1,61 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDb } = require('./support/memory-db');
+
+// The service looks the database up on every call; point it at an in-memory one
+const database = require('../api/config/database');
+let db;
+database.connectToMongoDB = async () => ({ db, client: db.client });
+
+const exchangeRates = require('../api/services/exchange-rates');
+
+const RATES = { INR: '1', RUB: '0.95', USD: '83.5', JPY: '0.55' };
+
+describe('exchange rates', () => {
+    beforeEach(() => {
+        db = createMemoryDb();
+    });
+
+    it('converts through the base currency, rounding half away from zero', () => {
+        assert.equal(exchangeRates.convert('10.00', 'RUB', 'INR', RATES).toString(), '9.50');
+        assert.equal(exchangeRates.convert('1.00', 'USD', 'JPY', RATES).toString(), '152');
+        assert.equal(exchangeRates.convert('0.01', 'RUB', 'INR', RATES).toString(), '0.01');
+        assert.equal(exchangeRates.convert('-0.01', 'RUB', 'INR', RATES).toString(), '-0.01');
+        assert.equal(exchangeRates.convert('12.34', 'INR', 'INR', RATES).toString(), '12.34');
+    });
+
+    it('refuses a currency without a rate and a non-numeric amount', () => {
+        assert.throws(() => exchangeRates.convert('1', 'EUR', 'INR', RATES), { statusCode: 400, message: 'No exchange rate set for EUR' });
+        assert.throws(() => exchangeRates.convert('abc', 'RUB', 'INR', RATES), { statusCode: 400 });
+    });
+
+    it('adds up totals per currency and lists the ones without a rate', () => {
+        const rows = [{ currency: 'RUB', total: '100' }, { currency: null, total: '5.25' }, { currency: 'EUR', total: '3' }];
+
+        assert.deepEqual(exchangeRates.normalizeTotals(rows, 'INR', RATES), { total: 100.25, currency: 'INR', missing_rates: ['EUR'] });
+    });
+
+    it('stores rates as Decimal128 and refuses bad ones', async () => {
+        const stored = await exchangeRates.setRate('rub', '0.951234567', 'alice');
+        assert.equal(stored.currency, 'RUB');
+        assert.equal(stored.rate.toString(), '0.95123457');
+        assert.equal(stored.updatedBy, 'alice');
+
+        await exchangeRates.setRate('RUB', 1.1);
+        assert.equal((await exchangeRates.loadRates(db)).RUB, '1.10000000');
+        assert.equal(await db.collection('exchange_rates').countDocuments({}), 1);
+
+        await assert.rejects(exchangeRates.setRate('INR', 2), { statusCode: 400 });
+        await assert.rejects(exchangeRates.setRate('rupees', 2), { statusCode: 400 });
+        await assert.rejects(exchangeRates.setRate('USD', 0), { statusCode: 400 });
+        await assert.rejects(exchangeRates.setRate('USD', 'abc'), { statusCode: 400 });
+    });
+
+    it('deletes a rate once', async () => {
+        await exchangeRates.setRate('USD', 83.5);
+
+        await exchangeRates.deleteRate('usd');
+        await assert.rejects(exchangeRates.deleteRate('USD'), { statusCode: 404 });
+        assert.deepEqual(await exchangeRates.loadRates(db), { INR: '1' });
+    });
+});
@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GenericHTTPProvider = require('../api/services/providers/generic-http');
+const { getProviderForApi } = require('../api/services/providers');
+const { ProviderError } = require('../api/middleware/errorHandler');
+
+// A fetch that answers from `bodies` in turn (an Error is thrown, `{ status }` is an HTTP error) and records each call
+function fakeFetch(...bodies) {
+    const calls = [];
+    const fetch = async (url, options) => {
+        calls.push({ url, headers: options.headers });
+        const body = bodies.length > 1 ? bodies.shift() : bodies[0];
+        if (body instanceof Error) {
+            throw body;
+        }
+        if (body && body.status) {
+            return { ok: false, status: body.status, statusText: 'Server Error', text: async () => '' };
+        }
+        return { ok: true, status: 200, text: async () => (typeof body === 'string' ? body : JSON.stringify(body)) };
+    };
+    return { fetch, calls };
+}
+
+const TEXT_API = {
+    name: 'panel',
+    baseUrl: 'https://panel.example/api/',
+    apiKey: 'k&y',
+    getNumberUrl: 'stubs/handler_api.php?api_key={api_key}&action=getNumber&service={service}&country={country}',
+    getStatusUrl: '/stubs/handler_api.php?api_key={api_key}&action=getStatus&id={id}',
+    cancelUrl: 'https://other.example/cancel/{id}',
+    balanceUrl: 'stubs/handler_api.php?api_key={api_key}&action=getBalance'
+};
+
+describe('GenericHTTPProvider', () => {
+    it('renders templates with encoded values against the base URL', async () => {
+        const { fetch, calls } = fakeFetch('ACCESS_NUMBER:42:79990001122');
+        const provider = new GenericHTTPProvider({ ...TEXT_API, fetch });
+
+        const purchase = await provider.buyNumber({ product: 'tg', country: 'a b' });
+
+        assert.equal(calls[0].url, 'https://panel.example/api/stubs/handler_api.php?api_key=k%26y&action=getNumber&service=tg&country=a%20b');
+        assert.equal(calls[0].headers.Authorization, undefined);
+        assert.equal(purchase.orderId, '42');
+        assert.equal(purchase.phone, '79990001122');
+
+        await provider.cancel('42');
+        assert.equal(calls[1].url, 'https://other.example/cancel/42');
+    });
+
+    it('refuses unknown placeholders and missing URLs without retrying', async () => {
+        const { fetch, calls } = fakeFetch('ACCESS_NUMBER:1:2');
+        const provider = new GenericHTTPProvider({ ...TEXT_API, getNumberUrl: '/number/{product}', retryCount: 3, fetch });
+
+        await assert.rejects(provider.buyNumber({ product: 'tg' }), { code: 'TEMPLATE_ERROR' });
+        await assert.rejects(provider.retry('1'), { code: 'NOT_CONFIGURED' });
+        assert.equal(calls.length, 0);
+    });
+
+    it('retries a failed number request up to retryCount extra times', async () => {
+        const { fetch, calls } = fakeFetch(new Error('socket hang up'), { status: 500 }, 'ACCESS_NUMBER:7:79990001122');
+        const provider = new GenericHTTPProvider({ ...TEXT_API, retryCount: 2, fetch });
+
+        assert.equal((await provider.buyNumber({ product: 'tg' })).orderId, '7');
+        assert.equal(calls.length, 3);
+
+        const failing = new GenericHTTPProvider({ ...TEXT_API, retryCount: 1, fetch: fakeFetch('NO_NUMBERS').fetch });
+        await assert.rejects(failing.buyNumber({ product: 'tg' }), (error) => {
+            assert.ok(error instanceof ProviderError);
+            assert.equal(error.code, 'NO_NUMBERS');
+            return true;
+        });
+    });
+
+    it('reads text status responses', async () => {
+        const { fetch } = fakeFetch('STATUS_OK:Your code is 123456', 'STATUS_WAIT_CODE', 'STATUS_CANCEL');
+        const provider = new GenericHTTPProvider({ ...TEXT_API, fetch });
+
+        const received = await provider.checkSMS('42');
+        assert.equal(received.status, 'received');
+        assert.equal(received.code, '123456');
+        assert.equal(received.sms[0].text, 'Your code is 123456');
+
+        assert.equal((await provider.checkSMS('42')).status, 'waiting');
+        assert.equal((await provider.checkSMS('42')).status, 'cancelled');
+    });
+
+    it('reads JSON responses through the configured paths and markers', async () => {
+        const { fetch, calls } = fakeFetch(
+            { result: { order: 99, msisdn: '447700900123', price: '12.5' } },
+            { state: { code: 'done' }, sms: [{ body: 'Code: 9876' }] },
+            { balance: '45.10' }
+        );
+        const provider = new GenericHTTPProvider({
+            ...TEXT_API,
+            responseType: 'json',
+            usesAuth: true,
+            idPath: 'result.order',
+            phonePath: 'result.msisdn',
+            statusSuccess: 'state.code=done',
+            messagePath: 'sms.0.body',
+            fetch
+        });
+
+        const purchase = await provider.buyNumber({ product: 'tg' });
+        assert.deepEqual([purchase.orderId, purchase.phone], ['99', '447700900123']);
+        assert.equal(calls[0].headers.Authorization, 'Bearer k&y');
+        assert.equal(calls[0].headers.Accept, 'application/json');
+
+        const status = await provider.checkSMS('99');
+        assert.equal(status.status, 'received');
+        assert.equal(status.code, '9876');
+
+        assert.deepEqual(await provider.getBalance(), { balance: 45.1 });
+    });
+
+    it('reports malformed JSON and HTTP errors as provider errors', async () => {
+        const json = new GenericHTTPProvider({ ...TEXT_API, responseType: 'json', fetch: fakeFetch('<html>').fetch });
+        await assert.rejects(json.getBalance(), { code: 'INVALID_RESPONSE', statusCode: 502 });
+
+        const down = new GenericHTTPProvider({ ...TEXT_API, fetch: fakeFetch({ status: 503 }).fetch });
+        await assert.rejects(down.checkSMS('1'), { code: 'HTTP_503' });
+    });
+
+    it('is used for every API record with URL templates', () => {
+        assert.ok(getProviderForApi({ ...TEXT_API, provider: 'sms-activate' }) instanceof GenericHTTPProvider);
+        assert.ok(!(getProviderForApi({ provider: 'sms-activate', apiKey: 'x' }) instanceof GenericHTTPProvider));
+    });
+});
@@ -0,0 +1,166 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Decimal128 } = require('mongodb');
+const ledger = require('../api/services/ledger');
+const money = require('../api/utils/money');
+const { InsufficientFundsError } = require('../api/middleware/errorHandler');
+const { createMemoryDb, MemoryClient } = require('./support/memory-db');
+
+function journalTotals(entry) {
+    return entry.lines.reduce((totals, line) => ({
+        debit: totals.debit + money.toMinor(line.debit),
+        credit: totals.credit + money.toMinor(line.credit)
+    }), { debit: 0, credit: 0 });
+}
+
+describe('ledger', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = createMemoryDb();
+        await db.collection('users').insertOne({ user_id: 42, balance: Decimal128.fromString('10.00'), status: 'active' });
+    });
+
+    it('credits a user in a transaction on the database client', async () => {
+        const transaction = await ledger.credit(db, { userId: '42', amount: '25.50', source: 'qr_payment' });
+
+        const user = await db.collection('users').findOne({ user_id: 42 });
+        assert.equal(money.toMinor(user.balance), 3550);
+
+        assert.equal(transaction.type, 'credit');
+        assert.equal(money.toMinor(transaction.amount), 2550);
+        assert.equal(money.toMinor(transaction.balance_before), 1000);
+        assert.equal(money.toMinor(transaction.balance_after), 3550);
+
+        const entry = await db.collection('journal_entries').findOne({ transaction_id: transaction._id });
+        assert.deepEqual(entry.lines.map(line => line.account), [ledger.ACCOUNTS.CASH, 'user:42']);
+        const totals = journalTotals(entry);
+        assert.equal(totals.debit, totals.credit);
+    });
+
+    it('rolls the whole entry back when a debit is refused', async () => {
+        await assert.rejects(
+            ledger.debit(db, { userId: 42, amount: 50 }),
+            error => error instanceof InsufficientFundsError
+        );
+
+        const user = await db.collection('users').findOne({ user_id: 42 });
+        assert.equal(money.toMinor(user.balance), 1000);
+        assert.equal(await db.collection('transactions').countDocuments({}), 0);
+        assert.equal(await db.collection('journal_entries').countDocuments({}), 0);
+    });
+
+    it('joins the caller\'s session instead of starting its own', async () => {
+        await ledger.withSession(db, async (session) => {
+            await ledger.credit(db, { userId: 42, amount: 5, session });
+            await ledger.debit(db, { userId: 42, amount: 2, session });
+        });
+
+        const user = await db.collection('users').findOne({ user_id: 42 });
+        assert.equal(money.toMinor(user.balance), 1300);
+        assert.equal(await db.collection('transactions').countDocuments({}), 2);
+    });
+
+    it('refuses a session from a different client', async () => {
+        const foreignSession = new MemoryClient().startSession();
+
+        await assert.rejects(
+            ledger.credit(db, { userId: 42, amount: 5, session: foreignSession }),
+            /ClientSession must be from the same MongoClient/
+        );
+    });
+});
+
+describe('reversing order payments', () => {
+    let db;
+    let payment;
+
+    beforeEach(async () => {
+        db = createMemoryDb();
+        await db.collection('users').insertOne({ user_id: 1, balance: Decimal128.fromString('20.00'), status: 'active' });
+        await db.collection('users').insertOne({ user_id: 2, balance: Decimal128.fromString('20.00'), status: 'active' });
+        payment = await ledger.debit(db, { userId: 1, amount: 5, source: 'order', fields: { order_id: '123' } });
+    });
+
+    it('is not blocked by a refund of another user\'s order with the same ID', async () => {
+        const other = await ledger.debit(db, { userId: 2, amount: 5, source: 'order', fields: { order_id: '123' } });
+        await ledger.credit(db, { userId: 2, amount: 5, source: 'refund', fields: { order_id: '123', refund_of: other._id } });
+
+        const { reversal } = await ledger.reverse(db, { transactionId: payment._id, reason: 'duplicate' });
+
+        assert.equal(String(reversal.reversal_of), String(payment._id));
+        const user = await db.collection('users').findOne({ user_id: 1 });
+        assert.equal(money.toMinor(user.balance), 2000);
+    });
+
+    it('refuses a payment that was already refunded', async () => {
+        await ledger.credit(db, { userId: 1, amount: 5, source: 'refund', fields: { order_id: '123', refund_of: payment._id } });
+
+        await assert.rejects(ledger.reverse(db, { transactionId: payment._id }), { statusCode: 409 });
+    });
+});
+
+describe('reversing transactions', () => {
+    let db;
+
+    async function balance() {
+        return money.toMinor((await db.collection('users').findOne({ user_id: 1 })).balance);
+    }
+
+    beforeEach(async () => {
+        db = createMemoryDb();
+        await db.collection('users').insertOne({ user_id: 1, balance: Decimal128.fromString('20.00'), status: 'active' });
+    });
+
+    it('undoes a credit with a linked debit and balanced journal entry', async () => {
+        const credit = await ledger.credit(db, { userId: 1, amount: '7.50', source: 'admin' });
+
+        const { original, reversal } = await ledger.reverse(db, { transactionId: String(credit._id), reason: 'typo', actor: 'alice' });
+
+        assert.equal(reversal.type, 'debit');
+        assert.equal(reversal.source, 'reversal');
+        assert.equal(reversal.admin_id, 'alice');
+        assert.equal(String(reversal.reversal_of), String(credit._id));
+        assert.equal(String(original.reversed_by), String(reversal._id));
+        assert.equal(await balance(), 2000);
+
+        const stored = await db.collection('transactions').findOne({ _id: credit._id });
+        assert.equal(stored.reversal_reason, 'typo');
+        const totals = journalTotals(await db.collection('journal_entries').findOne({ transaction_id: reversal._id }));
+        assert.equal(totals.debit, totals.credit);
+    });
+
+    it('reverses a transaction only once', async () => {
+        const debit = await ledger.debit(db, { userId: 1, amount: 5, source: 'admin' });
+        await ledger.reverse(db, { transactionId: debit._id });
+
+        await assert.rejects(ledger.reverse(db, { transactionId: debit._id }), { statusCode: 409 });
+        assert.equal(await balance(), 2000);
+        assert.equal(await db.collection('transactions').countDocuments({ source: 'reversal' }), 1);
+    });
+
+    it('refuses reversals, adjustments and unknown transactions', async () => {
+        const debit = await ledger.debit(db, { userId: 1, amount: 5, source: 'admin' });
+        const { reversal } = await ledger.reverse(db, { transactionId: debit._id });
+        const adjustment = await ledger.recordAdjustment(db, { userId: 1, type: 'credit', amount: 1 });
+
+        await assert.rejects(ledger.reverse(db, { transactionId: reversal._id }), { statusCode: 400, message: 'A reversal cannot be reversed' });
+        await assert.rejects(ledger.reverse(db, { transactionId: adjustment._id }), { statusCode: 400 });
+        await assert.rejects(ledger.reverse(db, { transactionId: 'nope' }), { statusCode: 400 });
+        await assert.rejects(ledger.reverse(db, { transactionId: '0123456789abcdef01234567' }), { statusCode: 404 });
+    });
+
+    it('leaves a credit that was already spent alone when the balance cannot cover its reversal', async () => {
+        const credit = await ledger.credit(db, { userId: 1, amount: 10 });
+        await ledger.debit(db, { userId: 1, amount: 25 });
+
+        await assert.rejects(ledger.reverse(db, { transactionId: credit._id }), (error) => {
+            assert.ok(error instanceof InsufficientFundsError);
+            assert.equal(error.details.shortfall, 5);
+            return true;
+        });
+
+        assert.ok(!(await db.collection('transactions').findOne({ _id: credit._id })).reversed_by);
+        assert.equal(await balance(), 500);
+    });
+});
@@ -0,0 +1,62 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Decimal128 } = require('mongodb');
+const { migrateField, migrateJournalLines } = require('../api/scripts/migrate-money');
+const { createMemoryDb } = require('./support/memory-db');
+
+describe('money migration', () => {
+    let db;
+
+    beforeEach(() => {
+        db = createMemoryDb();
+    });
+
+    it('rounds half a minor unit away from zero like the app', async () => {
+        for (const [userId, balance] of [[1, 1.005], [2, -1.005], [3, 2.125]]) {
+            await db.collection('users').insertOne({ user_id: userId, balance });
+        }
+
+        assert.equal(await migrateField(db, 'users', 'balance', true, false), 3);
+
+        const balances = (await db.collection('users').find({}).toArray()).map(user => user.balance.toString());
+        assert.deepEqual(balances, ['1.01', '-1.01', '2.13']);
+    });
+
+    it('keeps provider costs at full precision and nested fields converted', async () => {
+        await db.collection('orders').insertOne({ cost: 0.123456, hold: { amount: 10.005 } });
+
+        await migrateField(db, 'orders', 'cost', false, false);
+        await migrateField(db, 'orders', 'hold.amount', true, false);
+
+        const order = await db.collection('orders').findOne({});
+        assert.equal(order.cost.toString(), '0.123456');
+        assert.equal(order.hold.amount.toString(), '10.01');
+    });
+
+    it('leaves Decimal128 values alone and only counts on a dry run', async () => {
+        await db.collection('users').insertOne({ user_id: 1, balance: Decimal128.fromString('5.00') });
+        await db.collection('users').insertOne({ user_id: 2, balance: 7.5 });
+
+        assert.equal(await migrateField(db, 'users', 'balance', true, true), 1);
+        assert.equal((await db.collection('users').findOne({ user_id: 2 })).balance, 7.5);
+
+        assert.equal(await migrateField(db, 'users', 'balance', true, false), 1);
+        assert.equal(await migrateField(db, 'users', 'balance', true, false), 0);
+    });
+
+    it('converts journal entry lines', async () => {
+        await db.collection('journal_entries').insertOne({
+            lines: [
+                { account: 'user:1', debit: 0, credit: 3.335 },
+                { account: 'revenue', debit: 3.335, credit: Decimal128.fromString('0.00') }
+            ]
+        });
+
+        assert.equal(await migrateJournalLines(db, true), 1);
+        assert.equal(await migrateJournalLines(db, false), 1);
+
+        const { lines } = await db.collection('journal_entries').findOne({});
+        assert.deepEqual(lines.map(line => [line.debit.toString(), line.credit.toString()]), [['0.00', '3.34'], ['3.34', '0.00']]);
+        assert.equal(await migrateJournalLines(db, true), 0);
+    });
+});
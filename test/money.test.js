@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Decimal128 } = require('mongodb');
+const money = require('../api/utils/money');
+
+describe('money', () => {
+    it('converts amounts to minor units without float error', () => {
+        assert.equal(money.toMinor('0.1', 'INR') + money.toMinor('0.2', 'INR'), 30);
+        assert.equal(money.toMinor(19.99, 'INR'), 1999);
+        assert.equal(money.toMinor(Decimal128.fromString('12.50'), 'INR'), 1250);
+        assert.equal(money.toMinor('', 'INR'), 0);
+        assert.ok(Number.isNaN(money.toMinor('abc', 'INR')));
+    });
+
+    it('rounds half away from zero to the currency\'s minor unit', () => {
+        assert.equal(money.toMinor('1.005', 'INR'), 101);
+        assert.equal(money.toMinor('-1.005', 'INR'), -101);
+        assert.equal(money.toMinor('1.004', 'INR'), 100);
+        assert.equal(money.toMinor('99.5', 'JPY'), 100);
+        assert.equal(money.toMinor('1.0005', 'KWD'), 1001);
+    });
+
+    it('writes minor units back as decimals', () => {
+        assert.equal(money.minorToString(1250, 'INR'), '12.50');
+        assert.equal(money.minorToString(-5, 'INR'), '-0.05');
+        assert.equal(money.minorToString(1250, 'JPY'), '1250');
+        assert.equal(money.fromMinor(7, 'KWD').toString(), '0.007');
+        assert.equal(money.minorToNumber(1999, 'INR'), 19.99);
+    });
+
+    it('keeps every digit of provider costs when asked to', () => {
+        assert.equal(money.toDecimal('0.123456', null).toString(), '0.123456');
+        assert.equal(money.toDecimal('0.123456', 'INR').toString(), '0.12');
+        assert.equal(money.toDecimal('oops', 'INR').toString(), '0.00');
+    });
+
+    it('sends Decimal128 values as plain numbers in JSON', () => {
+        const body = JSON.stringify({ balance: Decimal128.fromString('45.10') }, money.decimalJsonReplacer);
+        assert.equal(body, '{"balance":45.1}');
+    });
+
+    it('formats amounts with their currency', () => {
+        assert.equal(money.formatMoney('12.5', 'INR'), '₹12.50');
+        assert.equal(money.formatMoney('3', 'BDT'), '3.00 BDT');
+    });
+});
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const orderState = require('../api/services/order-state');
+const { OrderStateError } = require('../api/middleware/errorHandler');
+const { createMemoryDb } = require('./support/memory-db');
+
+describe('order state machine', () => {
+    it('allows only the documented transitions', () => {
+        assert.ok(orderState.canTransition('waiting', 'received'));
+        assert.ok(orderState.canTransition('received', 'waiting'));
+        assert.ok(orderState.canTransition('completed', 'refunded'));
+        assert.ok(!orderState.canTransition('created', 'received'));
+        assert.ok(!orderState.canTransition('refunded', 'refunded'));
+        assert.ok(!orderState.canTransition('expired', 'waiting'));
+    });
+
+    it('treats the legacy pending status as waiting', () => {
+        assert.equal(orderState.normalizeStatus('pending'), 'waiting');
+        assert.ok(orderState.canTransition('pending', 'expired'));
+    });
+
+    it('throws an OrderStateError for an illegal move', () => {
+        assert.throws(() => orderState.assertTransition('cancelled', 'completed'), error => {
+            assert.ok(error instanceof OrderStateError);
+            assert.equal(error.statusCode, 409);
+            assert.equal(error.from, 'cancelled');
+            assert.equal(error.to, 'completed');
+            return true;
+        });
+    });
+
+    describe('transitionOrder', () => {
+        let db;
+        let _id;
+
+        beforeEach(async () => {
+            db = createMemoryDb();
+            _id = new ObjectId();
+            await db.collection('orders').insertOne({ _id, status: 'waiting', history: [] });
+        });
+
+        it('records the move with its actor and timestamp field', async () => {
+            const order = await orderState.transitionOrder(db, { _id }, 'received', {
+                actor: 'provider',
+                set: { code: '1234' }
+            });
+
+            assert.equal(order.status, 'received');
+            assert.equal(order.code, '1234');
+            assert.ok(order.receivedAt instanceof Date);
+            assert.equal(order.history.length, 1);
+            assert.equal(order.history[0].from, 'waiting');
+            assert.equal(order.history[0].to, 'received');
+            assert.equal(order.history[0].actor, 'provider');
+        });
+
+        it('rejects an illegal move and leaves the order alone', async () => {
+            await assert.rejects(orderState.transitionOrder(db, { _id }, 'refunded'), OrderStateError);
+
+            const order = await db.collection('orders').findOne({ _id });
+            assert.equal(order.status, 'waiting');
+            assert.equal(order.history.length, 0);
+        });
+
+        it('returns null when no order matches', async () => {
+            assert.equal(await orderState.transitionOrder(db, { _id: new ObjectId() }, 'received'), null);
+        });
+
+        it('rejects unknown statuses', async () => {
+            await assert.rejects(orderState.transitionOrder(db, { _id }, 'lost'), { statusCode: 400 });
+        });
+    });
+});
+
+describe('adminActor', () => {
+    it('names the signed-in admin, or the service by its id', () => {
+        assert.equal(orderState.adminActor({ id: '65f0', username: 'alice', role: 'support' }), 'admin:alice');
+        assert.equal(orderState.adminActor({ id: 'service:bot', username: 'bot', role: 'service' }), 'service:bot');
+    });
+});
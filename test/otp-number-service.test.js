@@ -0,0 +1,144 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Decimal128, ObjectId } = require('mongodb');
+const { createMemoryDb } = require('./support/memory-db');
+
+// The service looks the database up on every call; point it at an in-memory one
+const database = require('../api/config/database');
+let db;
+database.connectToMongoDB = async () => ({ db, client: db.client });
+
+const OTPNumberService = require('../api/services/otp-number-service');
+const money = require('../api/utils/money');
+
+function waitingOrder(provider, userId) {
+    return {
+        _id: new ObjectId(),
+        orderId: '123',
+        provider,
+        product: 'telegram',
+        userId,
+        status: 'waiting',
+        history: [],
+        hold: {
+            amount: Decimal128.fromString('5.00'),
+            balanceBefore: Decimal128.fromString('50.00'),
+            placedAt: new Date(),
+            capturedAt: null,
+            releasedAt: null,
+            transactionId: null
+        }
+    };
+}
+
+describe('OTPNumberService with order IDs shared by two providers', () => {
+    let service;
+    let activateOrder;
+    let hubOrder;
+
+    beforeEach(async () => {
+        db = createMemoryDb();
+        service = new OTPNumberService();
+        service.getAdapter = async () => ({
+            checkSMS: async () => ({ status: 'received', code: '4242', sms: [{ text: '4242' }] }),
+            cancel: async () => ({ success: true })
+        });
+
+        for (const userId of [1, 2]) {
+            await db.collection('users').insertOne({
+                user_id: userId,
+                balance: Decimal128.fromString('45.00'),
+                held_balance: Decimal128.fromString('5.00'),
+                status: 'active'
+            });
+        }
+        await db.collection('transactions').createIndex(
+            { refund_of: 1 },
+            { unique: true, partialFilterExpression: { source: 'refund', refund_of: { $exists: true } } }
+        );
+        activateOrder = waitingOrder('sms-activate', 1);
+        hubOrder = waitingOrder('smshub', 2);
+        await db.collection('orders').insertOne(activateOrder);
+        await db.collection('orders').insertOne(hubOrder);
+    });
+
+    async function statusOf(order) {
+        return (await db.collection('orders').findOne({ _id: order._id })).status;
+    }
+
+    it('only moves the polled provider\'s order', async () => {
+        await service.checkSMS('smshub', '123');
+
+        assert.equal(await statusOf(hubOrder), 'received');
+        assert.equal(await statusOf(activateOrder), 'waiting');
+
+        const other = await db.collection('users').findOne({ user_id: 1 });
+        assert.equal(money.toMinor(other.held_balance), 500);
+    });
+
+    it('cancels and releases the hold of the named provider\'s order', async () => {
+        await service.cancelOrder('sms-activate', 123, 'admin');
+
+        assert.equal(await statusOf(activateOrder), 'cancelled');
+        assert.equal(await statusOf(hubOrder), 'waiting');
+
+        const user = await db.collection('users').findOne({ user_id: 1 });
+        assert.equal(money.toMinor(user.balance), 5000);
+        assert.equal(money.toMinor(user.held_balance), 0);
+    });
+
+    it('refunds the order\'s own payment', async () => {
+        await service.checkSMS('smshub', '123');
+        await service.checkSMS('sms-activate', '123');
+        await db.collection('orders').updateMany({}, { $set: { status: 'completed' } });
+
+        const order = await db.collection('orders').findOne({ _id: activateOrder._id });
+        const refund = await service.refundOrder(order, 'disputed', 'admin');
+
+        assert.equal(refund.user_id, 1);
+        assert.equal(String(refund.refund_of), String(order.hold.transactionId));
+        assert.equal(await statusOf(activateOrder), 'refunded');
+        assert.equal(await statusOf(hubOrder), 'completed');
+    });
+
+    it('lists a user\'s orders when the user ID comes in as text', async () => {
+        const { orders, total } = await service.listOrders({ userId: '2' });
+
+        assert.equal(total, 1);
+        assert.equal(String(orders[0]._id), String(hubOrder._id));
+    });
+
+    it('refunds both providers\' orders with the same order ID', async () => {
+        await service.checkSMS('smshub', '123');
+        await service.checkSMS('sms-activate', '123');
+        await db.collection('orders').updateMany({}, { $set: { status: 'completed' } });
+
+        for (const order of [activateOrder, hubOrder]) {
+            const current = await db.collection('orders').findOne({ _id: order._id });
+            assert.ok(await service.refundOrder(current, 'disputed', 'admin'));
+            assert.equal(await statusOf(order), 'refunded');
+        }
+
+        for (const userId of [1, 2]) {
+            const user = await db.collection('users').findOne({ user_id: userId });
+            assert.equal(money.toMinor(user.balance), 5000);
+        }
+        assert.equal(await db.collection('transactions').countDocuments({ source: 'refund' }), 2);
+    });
+
+    it('does not pay a refund twice', async () => {
+        await service.checkSMS('sms-activate', '123');
+        await db.collection('orders').updateMany({}, { $set: { status: 'completed' } });
+        const order = await db.collection('orders').findOne({ _id: activateOrder._id });
+
+        const first = await service.refundOrder(order, 'disputed', 'admin');
+        // A stale copy of the order, as a concurrent request would hold
+        await db.collection('orders').updateOne({ _id: order._id }, { $set: { status: 'completed' } });
+        const second = await service.refundOrder(order, 'disputed', 'admin');
+
+        assert.equal(String(second._id), String(first._id));
+        const user = await db.collection('users').findOne({ user_id: 1 });
+        assert.equal(money.toMinor(user.balance), 5000);
+        assert.equal(await db.collection('transactions').countDocuments({ source: 'refund' }), 1);
+    });
+});
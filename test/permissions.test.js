@@ -0,0 +1,127 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { Decimal128 } = require('mongodb');
+const { createMemoryDb } = require('./support/memory-db');
+
+// The routes look the database up on every call; point them at an in-memory one
+const database = require('../api/config/database');
+let db;
+database.connectToMongoDB = async () => ({ db, client: db.client });
+
+const permissions = require('../api/middleware/permissions');
+const { errorHandler } = require('../api/middleware/errorHandler');
+const usersRoutes = require('../api/routes/users');
+const apisRoutes = require('../api/routes/apis');
+
+// The role matrix as docs/README.md documents it
+const MATRIX = {
+    read: ['owner', 'finance', 'support', 'viewer', 'service'],
+    'balance:write': ['owner', 'finance', 'service'],
+    'transactions:export': ['owner', 'finance'],
+    'audit:read': ['owner', 'finance'],
+    'reconciliation:run': ['owner', 'finance'],
+    'promo:write': ['owner', 'finance'],
+    'rates:write': ['owner', 'finance'],
+    'users:write': ['owner', 'support', 'service'],
+    'users:ban': ['owner', 'support', 'service'],
+    'users:delete': ['owner'],
+    'orders:write': ['owner', 'support', 'service'],
+    'catalog:write': ['owner'],
+    'admins:manage': ['owner']
+};
+
+describe('permission matrix', () => {
+    it('grants every permission to exactly the documented roles', () => {
+        assert.deepEqual(Object.keys(permissions.PERMISSIONS).sort(), Object.keys(MATRIX).sort());
+        for (const role of [...permissions.ROLES, 'service']) {
+            for (const [permission, roles] of Object.entries(MATRIX)) {
+                assert.equal(permissions.can(role, permission), roles.includes(role), `${role} / ${permission}`);
+            }
+        }
+    });
+
+    it('treats the old admin role as owner and unknown roles as nothing', () => {
+        assert.deepEqual(permissions.permissionsFor('admin'), permissions.permissionsFor('owner'));
+        assert.deepEqual(permissions.permissionsFor('intern'), []);
+        assert.equal(permissions.can(undefined, 'read'), false);
+        assert.equal(permissions.can('owner', 'no:such'), false);
+    });
+});
+
+describe('route permissions', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        // Signed in with the role named in the request headers
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.admin = { id: 'admin:alice', username: 'alice', role: req.get('X-Role') };
+            next();
+        });
+        app.get('/export', permissions.requirePermission('transactions:export', 'audit:read'), (req, res) => res.json({ success: true }));
+        app.use('/api/users', usersRoutes);
+        app.use('/api/apis', apisRoutes);
+        app.use(errorHandler);
+
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(async () => {
+        db = createMemoryDb();
+        await db.collection('users').insertOne({ user_id: 1, username: 'bob', balance: Decimal128.fromString('10.00'), status: 'active' });
+        await db.collection('apis').insertOne({ name: 'Long', provider: '5sim', apiKey: 'abcdefghijkl1234' });
+        await db.collection('apis').insertOne({ name: 'Short', provider: '5sim', apiKey: 'short' });
+    });
+
+    async function request(method, path, role, body) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', 'X-Role': role },
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    it('answers 403 with the missing permissions', async () => {
+        assert.equal((await request('GET', '/export', 'finance')).status, 200);
+
+        const denied = await request('GET', '/export', 'support');
+        assert.equal(denied.status, 403);
+        assert.deepEqual(denied.body.details.required, ['transactions:export', 'audit:read']);
+    });
+
+    it('asks for the permission each user field needs', async () => {
+        const balance = await request('PUT', '/api/users/1', 'support', { balance: 50 });
+        assert.equal(balance.status, 403);
+        assert.deepEqual(balance.body.details.required, ['balance:write']);
+
+        const ban = await request('PUT', '/api/users/1', 'finance', { status: 'banned' });
+        assert.deepEqual(ban.body.details.required, ['users:ban']);
+
+        const role = await request('PUT', '/api/users/1', 'support', { role: 'reseller' });
+        assert.deepEqual(role.body.details.required, ['balance:write']);
+
+        assert.equal((await request('DELETE', '/api/users/1', 'support')).status, 403);
+        assert.equal((await request('POST', '/api/users', 'viewer', { username: 'eve', email: 'eve@example.com' })).status, 403);
+
+        const user = await db.collection('users').findOne({ user_id: 1 });
+        assert.equal(user.balance.toString(), '10.00');
+        assert.equal(user.status, 'active');
+    });
+
+    it('shows API keys only to roles that can edit APIs', async () => {
+        const keys = async role => (await request('GET', '/api/apis', role)).body.data.map(api => api.apiKey);
+
+        assert.deepEqual(await keys('owner'), ['abcdefghijkl1234', 'short']);
+        assert.deepEqual(await keys('finance'), ['***1234', '***']);
+        assert.deepEqual(await keys('viewer'), ['***1234', '***']);
+        assert.equal((await request('POST', '/api/apis', 'finance', { name: 'New' })).status, 403);
+    });
+});
@@ -0,0 +1,133 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Decimal128, ObjectId } = require('mongodb');
+const { createMemoryDb } = require('./support/memory-db');
+
+// The service looks the database up on every call; point it at an in-memory one
+const database = require('../api/config/database');
+let db;
+database.connectToMongoDB = async () => ({ db, client: db.client });
+
+const PurchaseService = require('../api/services/purchase-service');
+const money = require('../api/utils/money');
+
+// An OTP service whose provider answers buyNumber with `result` (or throws it when it is an Error)
+function fakeOtpService(result) {
+    const adapter = {
+        currency: 'RUB',
+        bought: 0,
+        async buyNumber() {
+            this.bought++;
+            if (result instanceof Error) {
+                throw result;
+            }
+            return result;
+        }
+    };
+    return { adapter, getAdapter: async () => adapter };
+}
+
+describe('PurchaseService', () => {
+    let serviceId;
+
+    async function wallet() {
+        const user = await db.collection('users').findOne({ user_id: 7 });
+        return { balance: money.toMinor(user.balance), held: money.toMinor(user.held_balance) };
+    }
+
+    beforeEach(async () => {
+        db = createMemoryDb();
+        await db.collection('users').insertOne({
+            user_id: 7,
+            balance: Decimal128.fromString('100.00'),
+            held_balance: Decimal128.fromString('0.00'),
+            status: 'active'
+        });
+        serviceId = new ObjectId();
+        await db.collection('services').insertOne({
+            _id: serviceId,
+            name: 'Telegram',
+            serviceCode: 'telegram',
+            countryCode: 'india',
+            provider: '5sim',
+            price: Decimal128.fromString('12.50'),
+            status: 'active'
+        });
+    });
+
+    it('holds the price and leaves the order waiting for the SMS', async () => {
+        const otp = fakeOtpService({ orderId: '555', phone: '+911234567890', cost: 0.123456, expires: Date.now() + 60000 });
+
+        const { order, newBalance } = await new PurchaseService(otp).purchase({ userId: 7, serviceId: String(serviceId), actor: 'user:7' });
+
+        assert.equal(newBalance, 87.5);
+        assert.deepEqual(await wallet(), { balance: 8750, held: 1250 });
+        assert.equal(order.status, 'waiting');
+        assert.equal(order.orderId, '555');
+        assert.equal(order.cost.toString(), '0.123456');
+        assert.equal(order.costCurrency, 'RUB');
+        assert.equal(order.hold.amount.toString(), '12.50');
+        assert.deepEqual(order.history.map(entry => entry.actor), ['user:7', 'provider', 'system']);
+        // The hold is only charged when the SMS arrives
+        assert.equal(await db.collection('transactions').countDocuments({}), 0);
+    });
+
+    it('holds the price of a service priced in another currency at the stored rate', async () => {
+        await db.collection('services').updateOne({ _id: serviceId }, { $set: { price: Decimal128.fromString('1.50'), currency: 'USD' } });
+        await db.collection('exchange_rates').insertOne({ currency: 'USD', rate: Decimal128.fromString('55.555') });
+        const otp = fakeOtpService({ orderId: '1', phone: '+1', cost: null });
+
+        const { order, newBalance } = await new PurchaseService(otp).purchase({ userId: 7, serviceId: String(serviceId) });
+
+        assert.equal(order.price.toString(), '1.50');
+        assert.equal(order.priceCurrency, 'USD');
+        // 1.50 × 55.555 = 83.3325
+        assert.equal(order.hold.amount.toString(), '83.33');
+        assert.equal(newBalance, 16.67);
+    });
+
+    it('refuses a service priced in a currency without a rate', async () => {
+        await db.collection('services').updateOne({ _id: serviceId }, { $set: { currency: 'EUR' } });
+        const otp = fakeOtpService({ orderId: '1', phone: '+1', cost: null });
+
+        await assert.rejects(new PurchaseService(otp).purchase({ userId: 7, serviceId: String(serviceId) }), { statusCode: 400 });
+        assert.equal(otp.adapter.bought, 0);
+        assert.deepEqual(await wallet(), { balance: 10000, held: 0 });
+    });
+
+    it('cancels the order and releases the hold when the provider fails', async () => {
+        const otp = fakeOtpService(new Error('NO_NUMBERS'));
+
+        await assert.rejects(new PurchaseService(otp).purchase({ userId: 7, serviceId: String(serviceId) }), /NO_NUMBERS/);
+
+        assert.deepEqual(await wallet(), { balance: 10000, held: 0 });
+        const order = await db.collection('orders').findOne({});
+        assert.equal(order.status, 'cancelled');
+        assert.ok(order.hold.releasedAt instanceof Date);
+    });
+
+    it('refuses with 402 before calling the provider when the balance is short', async () => {
+        await db.collection('users').updateOne({ user_id: 7 }, { $set: { balance: Decimal128.fromString('10.00') } });
+        const otp = fakeOtpService({ orderId: '1', phone: '+1', cost: null });
+
+        await assert.rejects(new PurchaseService(otp).purchase({ userId: 7, serviceId: String(serviceId) }), (error) => {
+            assert.equal(error.statusCode, 402);
+            assert.equal(error.code, 'INSUFFICIENT_FUNDS');
+            assert.deepEqual([error.details.available, error.details.required, error.details.shortfall], [10, 12.5, 2.5]);
+            return true;
+        });
+
+        assert.equal(otp.adapter.bought, 0);
+        assert.equal(await db.collection('orders').countDocuments({}), 0);
+        assert.deepEqual(await wallet(), { balance: 1000, held: 0 });
+    });
+
+    it('refuses unknown and inactive services', async () => {
+        const service = new PurchaseService(fakeOtpService({}));
+
+        await assert.rejects(service.purchase({ userId: 7, serviceId: 'nope' }), { statusCode: 400 });
+        await assert.rejects(service.purchase({ userId: 7, serviceId: String(new ObjectId()) }), { statusCode: 404 });
+        await db.collection('services').updateOne({ _id: serviceId }, { $set: { status: 'inactive' } });
+        await assert.rejects(service.purchase({ userId: 7, serviceId: String(serviceId) }), { statusCode: 404 });
+    });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Decimal128 } = require('mongodb');
+const { createMemoryDb } = require('./support/memory-db');
+
+// Load the app without starting its server or background workers, signed in with the bot's key
+process.env.NODE_ENV = 'production';
+process.env.BOT_API_KEY = 'test-bot-key';
+
+// The app looks the database up on every call; point it at an in-memory one
+const database = require('../api/config/database');
+let db = createMemoryDb();
+database.connectToMongoDB = async () => ({ db, client: db.client });
+
+// The request log would mix with the test runner's output
+mock.method(console, 'log', () => {});
+
+const app = require('../api/index');
+
+describe('POST /api/qr_payment', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(async () => {
+        db = createMemoryDb();
+        await db.collection('users').insertOne({ user_id: 1, balance: Decimal128.fromString('0.00') });
+        await db.collection('users').insertOne({ user_id: 2, balance: Decimal128.fromString('0.00') });
+        await db.collection('transactions').createIndex(
+            { source: 1, reference_id: 1 },
+            { unique: true, partialFilterExpression: { source: 'qr_payment', reference_id: { $type: 'string' } } }
+        );
+        await db.collection('idempotency_keys').createIndex({ key: 1, scope: 1 }, { unique: true });
+    });
+
+    async function pay(body, headers = {}) {
+        const response = await fetch(`${baseUrl}/api/qr_payment`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-bot-key', ...headers },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    }
+
+    async function balance(userId) {
+        return (await db.collection('users').findOne({ user_id: userId })).balance.toString();
+    }
+
+    const payment = { user_id: 1, amount: 50, payment_method: 'upi', reference_id: 'UPI-123' };
+
+    it('replays the stored response for a retry with the same Idempotency-Key', async () => {
+        const first = await pay(payment, { 'Idempotency-Key': 'key-1' });
+        const retry = await pay(payment, { 'Idempotency-Key': 'key-1' });
+
+        assert.equal(first.status, 200);
+        assert.equal(first.body.new_balance, 50);
+        assert.equal(retry.status, 200);
+        assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+        assert.deepEqual(retry.body, first.body);
+        assert.equal(await balance(1), '50.00');
+    });
+
+    it('answers a repeated reference_id as a duplicate without crediting again', async () => {
+        await pay(payment, { 'Idempotency-Key': 'key-1' });
+        const repeat = await pay(payment, { 'Idempotency-Key': 'key-2' });
+
+        assert.equal(repeat.status, 200);
+        assert.equal(repeat.body.duplicate, true);
+        assert.equal(repeat.body.new_balance, 50);
+        assert.equal(await db.collection('transactions').countDocuments({ source: 'qr_payment' }), 1);
+        assert.equal(await balance(1), '50.00');
+    });
+
+    it('refuses another user\'s reference_id', async () => {
+        await pay(payment);
+        const other = await pay({ ...payment, user_id: 2 });
+
+        assert.equal(other.status, 409);
+        assert.equal(other.body.success, false);
+        assert.equal(await balance(2), '0.00');
+    });
+
+    it('answers 409 when the clashing payment cannot be found', async () => {
+        const ledger = require('../api/services/ledger');
+        const credit = ledger.credit;
+        ledger.credit = async () => {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        };
+        try {
+            const response = await pay(payment);
+            assert.equal(response.status, 409);
+            assert.equal(response.body.success, false);
+        } finally {
+            ledger.credit = credit;
+        }
+    });
+});
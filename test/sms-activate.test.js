@@ -0,0 +1,127 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SMSActivateProvider = require('../api/services/providers/sms-activate');
+const { ProviderError } = require('../api/middleware/errorHandler');
+const { startHandlerApiStub } = require('./support/handler-api-stub');
+
+describe('SMS-Activate provider against a local handler_api stub', () => {
+    let stub;
+    let provider;
+
+    before(async () => {
+        stub = await startHandlerApiStub();
+        provider = new SMSActivateProvider({ baseUrl: stub.url, apiKey: 'test-key' });
+    });
+
+    after(() => stub.close());
+
+    beforeEach(() => {
+        stub.requests.length = 0;
+        for (const action of Object.keys(stub.responses)) {
+            delete stub.responses[action];
+        }
+    });
+
+    it('sends the API key and action with every request', async () => {
+        stub.responses.getBalance = 'ACCESS_BALANCE:123.45';
+
+        assert.deepEqual(await provider.getBalance(), { balance: 123.45 });
+        assert.equal(stub.requests.length, 1);
+        assert.equal(stub.requests[0].api_key, 'test-key');
+        assert.equal(stub.requests[0].action, 'getBalance');
+    });
+
+    it('buys a number with mapped service and country codes', async () => {
+        stub.responses.getPrices = JSON.stringify({ 0: { tg: { cost: 17.5, count: 120 } } });
+        stub.responses.getNumber = 'ACCESS_NUMBER:987654:79990001122';
+
+        const purchase = await provider.buyNumber({ country: 'russia', product: 'telegram', operator: 'mts' });
+
+        assert.equal(purchase.orderId, '987654');
+        assert.equal(purchase.phone, '79990001122');
+        assert.equal(purchase.cost, 17.5);
+        assert.ok(purchase.expires > Date.now());
+
+        const getNumber = stub.requests.find(request => request.action === 'getNumber');
+        assert.equal(getNumber.service, 'tg');
+        assert.equal(getNumber.country, '0');
+        assert.equal(getNumber.operator, 'mts');
+    });
+
+    it('still buys the number when the price lookup fails', async () => {
+        stub.responses.getPrices = 'ERROR_SQL';
+        stub.responses.getNumber = 'ACCESS_NUMBER:1:79990001122';
+
+        const purchase = await provider.buyNumber({ country: 'russia', product: 'telegram' });
+
+        assert.equal(purchase.orderId, '1');
+        assert.equal(purchase.cost, null);
+    });
+
+    it('reports waiting, received and cancelled activations', async () => {
+        stub.responses.getStatus = 'STATUS_WAIT_CODE';
+        assert.equal((await provider.checkSMS('987654')).status, 'waiting');
+
+        stub.responses.getStatus = 'STATUS_WAIT_RETRY:111111';
+        assert.equal((await provider.checkSMS('987654')).status, 'waiting');
+
+        stub.responses.getStatus = 'STATUS_OK:424242';
+        const received = await provider.checkSMS('987654');
+        assert.equal(received.status, 'received');
+        assert.equal(received.code, '424242');
+        assert.equal(received.sms[0].text, '424242');
+
+        stub.responses.getStatus = 'STATUS_CANCEL';
+        assert.equal((await provider.checkSMS('987654')).status, 'cancelled');
+
+        assert.ok(stub.requests.every(request => request.id === '987654'));
+    });
+
+    it('finishes, cancels and retries through setStatus', async () => {
+        stub.responses.setStatus = params => ({
+            6: 'ACCESS_ACTIVATION',
+            8: 'ACCESS_CANCEL',
+            3: 'ACCESS_RETRY_GET'
+        })[params.status];
+
+        assert.deepEqual(await provider.finish('5'), { success: true, status: 'ACCESS_ACTIVATION' });
+        assert.deepEqual(await provider.cancel('5'), { success: true, status: 'ACCESS_CANCEL' });
+        assert.deepEqual(await provider.retry('5'), { success: true, status: 'ACCESS_RETRY_GET' });
+        assert.deepEqual(stub.requests.map(request => request.status), ['6', '8', '3']);
+    });
+
+    it('turns protocol error codes into ProviderErrors', async () => {
+        stub.responses.getNumber = 'NO_NUMBERS';
+
+        await assert.rejects(provider.getNumber('telegram', 'russia'), error => {
+            assert.ok(error instanceof ProviderError);
+            assert.equal(error.code, 'NO_NUMBERS');
+            assert.equal(error.statusCode, 502);
+            assert.match(error.message, /^sms-activate: No numbers available/);
+            return true;
+        });
+
+        stub.responses.setStatus = 'EARLY_CANCEL_DENIED';
+        await assert.rejects(provider.cancel('5'), { code: 'EARLY_CANCEL_DENIED' });
+    });
+
+    it('rejects unexpected bodies and HTTP errors', async () => {
+        stub.responses.getNumber = 'SOMETHING_ELSE';
+        await assert.rejects(provider.getNumber('telegram', 'russia'), { code: 'INVALID_RESPONSE' });
+
+        await assert.rejects(provider.getBalance(), { code: 'HTTP_404' });
+    });
+
+    it('lists visible countries from getCountries', async () => {
+        stub.responses.getCountries = JSON.stringify({
+            0: { id: 0, eng: 'Russia', visible: 1 },
+            1: { id: 1, eng: 'Ukraine', visible: 0 },
+            187: { id: 187, eng: 'USA', visible: 1 }
+        });
+
+        assert.deepEqual(await provider.getCountries(), [
+            { code: '0', name: 'Russia', flag: null },
+            { code: '187', name: 'USA', flag: null }
+        ]);
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * Handler API Stub - Local HTTP server that speaks the handler_api.php text protocol
+ *
+ * `responses` maps an action to the body to send back, or to a function of the query
+ * parameters returning that body. Every request is recorded in `requests` so tests can
+ * check what the adapter sent.
+ */
+
+const http = require('http');
+
+async function startHandlerApiStub(responses = {}) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const params = Object.fromEntries(url.searchParams);
+        requests.push(params);
+
+        const response = responses[params.action];
+        const body = typeof response === 'function' ? response(params) : response;
+
+        res.writeHead(body === undefined ? 404 : 200, { 'Content-Type': 'text/plain' });
+        res.end(body === undefined ? 'Not Found' : String(body));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/stubs/handler_api.php`,
+        requests,
+        responses,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startHandlerApiStub };
@@ -0,0 +1,456 @@
+/**
+ * Memory DB - In-memory stand-in for the parts of the MongoDB driver the services use
+ *
+ * Supports equality / $in / $ne / $exists / $type / comparison filters, $set / $unset / $inc / $push /
+ * $setOnInsert updates, deletes, upserts on findOneAndUpdate, unique (and partial) indexes on inserts, inclusion projections and sessions with withTransaction (rolled back when the
+ * callback throws). Like the real driver, an operation given a session from another client
+ * fails, so tests catch sessions started on the wrong connection.
+ */
+
+const { Decimal128, ObjectId } = require('mongodb');
+
+function isDecimal(value) {
+    return Boolean(value) && value._bsontype === 'Decimal128';
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Deep copy of plain objects and arrays; BSON values and dates are immutable here and kept as they are
+function clone(value) {
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, clone(inner)]));
+    }
+    return value;
+}
+
+// Like MongoDB, a path through an array of documents collects the field from each element
+function getPath(doc, path) {
+    return path.split('.').reduce((value, key) => {
+        if (value === null || value === undefined) {
+            return undefined;
+        }
+        if (Array.isArray(value) && !/^\d+$/.test(key)) {
+            return value.map(item => (item === null || item === undefined ? undefined : item[key]));
+        }
+        return value[key];
+    }, doc);
+}
+
+function bsonType(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'int' : 'double';
+    }
+    if (isDecimal(value)) {
+        return 'decimal';
+    }
+    return typeof value;
+}
+
+function setPath(doc, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => {
+        if (!isPlainObject(target[key])) {
+            target[key] = {};
+        }
+        return target[key];
+    }, doc);
+    parent[last] = value;
+}
+
+function unsetPath(doc, path) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = getPath(doc, keys.join('.')) || (keys.length === 0 ? doc : null);
+    if (parent) {
+        delete parent[last];
+    }
+}
+
+function comparable(value) {
+    if (isDecimal(value)) {
+        return Number(value.toString());
+    }
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    return value;
+}
+
+function equals(a, b) {
+    if (a instanceof ObjectId || b instanceof ObjectId) {
+        return String(a) === String(b) && (a instanceof ObjectId) === (b instanceof ObjectId);
+    }
+    if (isDecimal(a) || isDecimal(b) || a instanceof Date || b instanceof Date) {
+        return comparable(a) === comparable(b);
+    }
+    return a === b;
+}
+
+function matchesValue(actual, expected) {
+    if (expected === null) {
+        return actual === null || actual === undefined;
+    }
+    if (Array.isArray(actual) && !Array.isArray(expected)) {
+        return actual.some(item => equals(item, expected));
+    }
+    return equals(actual, expected);
+}
+
+function matchesOperator(actual, operator, operand) {
+    switch (operator) {
+        case '$in':
+            return operand.some(candidate => matchesValue(actual, candidate));
+        case '$nin':
+            return !operand.some(candidate => matchesValue(actual, candidate));
+        case '$ne':
+            return !matchesValue(actual, operand);
+        case '$exists':
+            return (actual !== undefined) === Boolean(operand);
+        case '$type': {
+            const types = [].concat(operand);
+            return [].concat(actual).some(value => types.includes(bsonType(value)));
+        }
+        case '$gt':
+            return actual !== undefined && actual !== null && comparable(actual) > comparable(operand);
+        case '$gte':
+            return actual !== undefined && actual !== null && comparable(actual) >= comparable(operand);
+        case '$lt':
+            return actual !== undefined && actual !== null && comparable(actual) < comparable(operand);
+        case '$lte':
+            return actual !== undefined && actual !== null && comparable(actual) <= comparable(operand);
+        default:
+            throw new Error(`Memory DB does not support ${operator}`);
+    }
+}
+
+function matches(doc, filter = {}) {
+    return Object.entries(filter).every(([key, expected]) => {
+        if (key === '$or') {
+            return expected.some(inner => matches(doc, inner));
+        }
+        if (key === '$and') {
+            return expected.every(inner => matches(doc, inner));
+        }
+
+        const actual = getPath(doc, key);
+        if (isPlainObject(expected) && Object.keys(expected).some(operator => operator.startsWith('$'))) {
+            return Object.entries(expected).every(([operator, operand]) => matchesOperator(actual, operator, operand));
+        }
+        return matchesValue(actual, expected);
+    });
+}
+
+// Exact decimal addition on the string forms, so Decimal128 balances never pick up float error
+function addDecimal(a, b) {
+    const parts = [a, b].map(value => {
+        const [whole, fraction = ''] = String(value).split('.');
+        return { whole, fraction };
+    });
+    const digits = Math.max(...parts.map(part => part.fraction.length));
+    const scaled = parts.map(({ whole, fraction }) => {
+        const negative = whole.startsWith('-');
+        const magnitude = BigInt(whole.replace('-', '') + fraction.padEnd(digits, '0'));
+        return negative ? -magnitude : magnitude;
+    });
+
+    const sum = scaled[0] + scaled[1];
+    const sign = sum < 0n ? '-' : '';
+    const text = (sum < 0n ? -sum : sum).toString().padStart(digits + 1, '0');
+    const result = digits > 0 ? `${text.slice(0, -digits)}.${text.slice(-digits)}` : text;
+    return Decimal128.fromString(sign + result);
+}
+
+function increment(current, amount) {
+    if (isDecimal(current) || isDecimal(amount)) {
+        return addDecimal(current === undefined ? '0' : current.toString(), amount.toString());
+    }
+    return (current || 0) + amount;
+}
+
+function applyUpdate(doc, update, inserting = false) {
+    for (const [operator, fields] of Object.entries(update)) {
+        for (const [path, value] of Object.entries(fields)) {
+            switch (operator) {
+                case '$setOnInsert':
+                    if (inserting) {
+                        setPath(doc, path, clone(value));
+                    }
+                    break;
+                case '$set':
+                    setPath(doc, path, clone(value));
+                    break;
+                case '$unset':
+                    unsetPath(doc, path);
+                    break;
+                case '$inc':
+                    setPath(doc, path, increment(getPath(doc, path), value));
+                    break;
+                case '$push':
+                    setPath(doc, path, [...(getPath(doc, path) || []), clone(value)]);
+                    break;
+                default:
+                    throw new Error(`Memory DB does not support ${operator}`);
+            }
+        }
+    }
+}
+
+function project(doc, projection) {
+    if (!doc) {
+        return null;
+    }
+    const copy = clone(doc);
+    if (!projection) {
+        return copy;
+    }
+
+    const included = Object.keys(projection).filter(key => projection[key]);
+    if (included.length === 0) {
+        Object.keys(projection).forEach(key => unsetPath(copy, key));
+        return copy;
+    }
+    const result = { _id: copy._id };
+    included.forEach(key => {
+        const value = getPath(copy, key);
+        if (value !== undefined) {
+            setPath(result, key, value);
+        }
+    });
+    if (projection._id === 0) {
+        delete result._id;
+    }
+    return result;
+}
+
+class MemoryCollection {
+    constructor(db, name) {
+        this.db = db;
+        this.name = name;
+        this.docs = [];
+        this.uniqueIndexes = [];
+    }
+
+    async createIndex(keys, options = {}) {
+        if (options.unique) {
+            this.uniqueIndexes.push({ fields: Object.keys(keys), partial: options.partialFilterExpression || {} });
+        }
+        return Object.entries(keys).map(([key, direction]) => `${key}_${direction}`).join('_');
+    }
+
+    async dropIndex() {}
+
+    checkUnique(doc) {
+        for (const { fields, partial } of this.uniqueIndexes) {
+            if (!matches(doc, partial)) {
+                continue;
+            }
+            const clash = this.docs.some(existing => existing !== doc && matches(existing, partial)
+                && fields.every(field => equals(getPath(existing, field), getPath(doc, field))));
+            if (clash) {
+                throw Object.assign(new Error(`E11000 duplicate key error (${fields.join(', ')})`), { code: 11000 });
+            }
+        }
+    }
+
+    checkSession(options = {}) {
+        if (options.session && options.session.client !== this.db.client) {
+            throw new Error('ClientSession must be from the same MongoClient');
+        }
+    }
+
+    async insertOne(doc, options = {}) {
+        this.checkSession(options);
+        if (doc._id === undefined) {
+            doc._id = new ObjectId();
+        }
+        if (this.docs.some(existing => equals(existing._id, doc._id))) {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        this.checkUnique(doc);
+        this.docs.push(clone(doc));
+        return { acknowledged: true, insertedId: doc._id };
+    }
+
+    async findOne(filter = {}, options = {}) {
+        this.checkSession(options);
+        return project(this.docs.find(doc => matches(doc, filter)), options.projection);
+    }
+
+    find(filter = {}, options = {}) {
+        this.checkSession(options);
+        let docs = this.docs.filter(doc => matches(doc, filter));
+
+        const cursor = {
+            sort(order) {
+                const keys = Object.entries(order);
+                docs = [...docs].sort((a, b) => {
+                    for (const [key, direction] of keys) {
+                        const left = comparable(getPath(a, key));
+                        const right = comparable(getPath(b, key));
+                        if (left !== right) {
+                            return (left < right ? -1 : 1) * direction;
+                        }
+                    }
+                    return 0;
+                });
+                return cursor;
+            },
+            skip(count) {
+                docs = docs.slice(count);
+                return cursor;
+            },
+            limit(count) {
+                docs = docs.slice(0, count);
+                return cursor;
+            },
+            toArray: async () => docs.map(doc => project(doc, options.projection)),
+            async *[Symbol.asyncIterator]() {
+                for (const doc of docs) {
+                    yield project(doc, options.projection);
+                }
+            }
+        };
+        return cursor;
+    }
+
+    async countDocuments(filter = {}, options = {}) {
+        this.checkSession(options);
+        return this.docs.filter(doc => matches(doc, filter)).length;
+    }
+
+    async findOneAndUpdate(filter, update, options = {}) {
+        this.checkSession(options);
+        const doc = this.docs.find(candidate => matches(candidate, filter));
+        if (!doc && options.upsert) {
+            // The new record starts from the filter's plain equality fields
+            const inserted = { _id: new ObjectId() };
+            Object.entries(filter)
+                .filter(([key, value]) => !key.startsWith('$') && !(isPlainObject(value) && Object.keys(value).some(operator => operator.startsWith('$'))))
+                .forEach(([key, value]) => setPath(inserted, key, clone(value)));
+            applyUpdate(inserted, update, true);
+            this.docs.push(inserted);
+            return project(options.returnDocument === 'after' ? inserted : null, options.projection);
+        }
+        if (!doc) {
+            return null;
+        }
+        const before = clone(doc);
+        applyUpdate(doc, update);
+        return project(options.returnDocument === 'after' ? doc : before, options.projection);
+    }
+
+    async updateOne(filter, update, options = {}) {
+        this.checkSession(options);
+        const doc = this.docs.find(candidate => matches(candidate, filter));
+        if (!doc) {
+            return { matchedCount: 0, modifiedCount: 0 };
+        }
+        applyUpdate(doc, update);
+        return { matchedCount: 1, modifiedCount: 1 };
+    }
+
+    async bulkWrite(operations, options = {}) {
+        this.checkSession(options);
+        let modifiedCount = 0;
+        for (const { updateOne } of operations) {
+            modifiedCount += (await this.updateOne(updateOne.filter, updateOne.update, options)).modifiedCount;
+        }
+        return { modifiedCount };
+    }
+
+    async updateMany(filter, update, options = {}) {
+        this.checkSession(options);
+        const docs = this.docs.filter(doc => matches(doc, filter));
+        docs.forEach(doc => applyUpdate(doc, update));
+        return { matchedCount: docs.length, modifiedCount: docs.length };
+    }
+
+    async deleteOne(filter = {}, options = {}) {
+        this.checkSession(options);
+        const index = this.docs.findIndex(doc => matches(doc, filter));
+        if (index === -1) {
+            return { deletedCount: 0 };
+        }
+        this.docs.splice(index, 1);
+        return { deletedCount: 1 };
+    }
+}
+
+class MemorySession {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async withTransaction(fn) {
+        const snapshot = this.client.snapshot();
+        try {
+            return await fn(this);
+        } catch (error) {
+            this.client.restore(snapshot);
+            throw error;
+        }
+    }
+
+    async endSession() {}
+}
+
+class MemoryClient {
+    constructor() {
+        this.databases = [];
+    }
+
+    db() {
+        const db = new MemoryDb(this);
+        this.databases.push(db);
+        return db;
+    }
+
+    startSession() {
+        return new MemorySession(this);
+    }
+
+    snapshot() {
+        return this.databases.map(db => new Map([...db.collections].map(([name, collection]) => [name, clone(collection.docs)])));
+    }
+
+    restore(snapshot) {
+        this.databases.forEach((db, index) => {
+            for (const [name, collection] of db.collections) {
+                collection.docs = snapshot[index].get(name) || [];
+            }
+        });
+    }
+}
+
+class MemoryDb {
+    constructor(client) {
+        this.client = client;
+        this.collections = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new MemoryCollection(this, name));
+        }
+        return this.collections.get(name);
+    }
+
+    async createCollection(name) {
+        return this.collection(name);
+    }
+}
+
+/**
+ * A fresh, empty database on its own client
+ */
+function createMemoryDb() {
+    return new MemoryClient().db();
+}
+
+module.exports = { createMemoryDb, MemoryClient };
@@ -0,0 +1,159 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { Decimal128, ObjectId } = require('mongodb');
+const transactionExport = require('../api/services/transaction-export');
+const { MAX_ROWS } = require('../api/utils/xlsx');
+
+function transaction(fields = {}) {
+    return {
+        _id: new ObjectId(),
+        user_id: 1,
+        type: 'credit',
+        source: 'admin',
+        amount: Decimal128.fromString('10.50'),
+        balance_before: Decimal128.fromString('0.00'),
+        balance_after: Decimal128.fromString('10.50'),
+        description: 'Top up',
+        timestamp: new Date('2026-01-02T03:04:05Z'),
+        user: { first_name: 'Ann' },
+        ...fields
+    };
+}
+
+// A database whose aggregation yields `rows` (then fails with `error`, if given)
+function fakeDb(rows, { error = null, count = rows.length } = {}) {
+    const cursor = {
+        closed: false,
+        async *[Symbol.asyncIterator]() {
+            yield* rows;
+            if (error) {
+                throw error;
+            }
+        },
+        async close() {
+            this.closed = true;
+        }
+    };
+    return {
+        cursor,
+        collection: () => ({
+            aggregate: () => cursor,
+            countDocuments: async () => count
+        })
+    };
+}
+
+async function collect(chunks) {
+    const parts = [];
+    for await (const chunk of chunks) {
+        parts.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(parts);
+}
+
+// name → content of every entry, checked against the central directory, local headers and descriptors
+function unzip(buffer) {
+    const footer = buffer.length - 22;
+    assert.equal(buffer.readUInt32LE(footer), 0x06054b50);
+    const count = buffer.readUInt16LE(footer + 10);
+    let position = buffer.readUInt32LE(footer + 16);
+
+    const entries = {};
+    for (let i = 0; i < count; i++) {
+        assert.equal(buffer.readUInt32LE(position), 0x02014b50);
+        const crc = buffer.readUInt32LE(position + 16);
+        const compressedSize = buffer.readUInt32LE(position + 20);
+        const size = buffer.readUInt32LE(position + 24);
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const offset = buffer.readUInt32LE(position + 42);
+        const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+
+        assert.equal(buffer.readUInt32LE(offset), 0x04034b50);
+        const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+        const content = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize));
+        assert.equal(content.length, size);
+        assert.equal(zlib.crc32(content), crc);
+
+        const descriptor = start + compressedSize;
+        assert.equal(buffer.readUInt32LE(descriptor), 0x08074b50);
+        assert.equal(buffer.readUInt32LE(descriptor + 4), crc);
+
+        entries[name] = content.toString();
+        position += 46 + nameLength;
+    }
+    return entries;
+}
+
+describe('transaction export', () => {
+    it('refuses an unknown format', () => {
+        assert.throws(() => transactionExport.prepareExport({ format: 'xml' }), { statusCode: 400 });
+    });
+
+    it('quotes CSV values and defuses formulas', async () => {
+        const db = fakeDb([
+            transaction({ description: '=HYPERLINK("http://example.com")', user: { first_name: 'Ann, "A"' } }),
+            transaction({ description: 'two\nlines', promo_code: '-SAVE' })
+        ]);
+
+        const csv = (await collect(transactionExport.prepareExport({ format: 'csv' }).chunks(db))).toString();
+        const lines = csv.split('\r\n');
+
+        assert.equal(lines[0], transactionExport.COLUMNS.join(','));
+        assert.ok(lines[1].includes(',"Ann, ""A""",'));
+        assert.ok(lines[1].includes(',"\'=HYPERLINK(""http://example.com"")",'));
+        assert.ok(lines[1].includes(',10.5,INR,0,10.5,completed,'));
+        assert.ok(lines[2].includes(',"two\nlines",\'-SAVE,'));
+        assert.equal(lines[lines.length - 1], '');
+    });
+
+    it('writes a valid single-sheet XLSX', async () => {
+        const db = fakeDb([transaction({ description: 'a < b & "c"' })]);
+        const exporter = transactionExport.prepareExport({ format: 'xlsx' });
+        await exporter.check(db);
+
+        const entries = unzip(await collect(exporter.chunks(db)));
+
+        assert.deepEqual(Object.keys(entries), [
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'xl/_rels/workbook.xml.rels',
+            'xl/workbook.xml',
+            'xl/worksheets/sheet1.xml'
+        ]);
+        assert.ok(entries['xl/workbook.xml'].includes('<sheet name="Transactions"'));
+        const sheet = entries['xl/worksheets/sheet1.xml'];
+        assert.equal(sheet.match(/<row>/g).length, 2);
+        assert.ok(sheet.includes('<t xml:space="preserve">a &lt; b &amp; &quot;c&quot;</t>'));
+        assert.ok(sheet.includes('<c><v>10.5</v></c>'));
+        assert.ok(sheet.endsWith('</sheetData></worksheet>'));
+    });
+
+    it('refuses an XLSX export over Excel\'s row limit before anything is sent', async () => {
+        const db = fakeDb([], { count: MAX_ROWS });
+        await assert.rejects(transactionExport.prepareExport({ format: 'xlsx' }).check(db), { statusCode: 400 });
+        await transactionExport.prepareExport({ format: 'csv' }).check(db);
+    });
+
+    it('writes one JSON object per line and closes the cursor at the end', async () => {
+        const db = fakeDb([transaction(), transaction({ user_id: 2 })]);
+
+        const lines = (await collect(transactionExport.prepareExport({ format: 'jsonl' }).chunks(db))).toString().trim().split('\n');
+
+        assert.deepEqual(lines.map(line => JSON.parse(line).user_id), [1, 2]);
+        assert.equal(db.cursor.closed, true);
+    });
+
+    it('closes the cursor when the stream fails or is abandoned', async () => {
+        const failing = fakeDb([transaction()], { error: new Error('cursor died') });
+        await assert.rejects(collect(transactionExport.prepareExport({ format: 'csv' }).chunks(failing)), /cursor died/);
+        assert.equal(failing.cursor.closed, true);
+
+        const abandoned = fakeDb([transaction(), transaction()]);
+        for await (const chunk of transactionExport.prepareExport({ format: 'csv' }).chunks(abandoned)) {
+            assert.ok(chunk.startsWith('id,'));
+            break;
+        }
+        assert.equal(abandoned.cursor.closed, true);
+    });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilter, formatTransaction } = require('../api/services/transaction-query');
+const { createMemoryDb } = require('./support/memory-db');
+
+describe('transaction filters', () => {
+    it('finds an order\'s transactions whether its id is stored as a string or a number', async () => {
+        const db = createMemoryDb();
+        const transactions = db.collection('transactions');
+        await transactions.insertOne({ order_id: 512, type: 'debit' });
+        await transactions.insertOne({ order_id: '512', type: 'refund' });
+        await transactions.insertOne({ order_id: 513, type: 'debit' });
+
+        assert.equal(await transactions.countDocuments(buildFilter({ order_id: '512' })), 2);
+    });
+
+    it('searches numeric order ids by equality', () => {
+        const { $or: matches } = buildFilter({ search: '512' });
+
+        assert.ok(matches.some(match => match.order_id === 512));
+        assert.ok(matches.some(match => match.order_id && match.order_id.$regex === '512'));
+    });
+});
+
+describe('transaction categories', () => {
+    it('names refunds, adjustments and reversals instead of filing them under system', () => {
+        const format = fields => formatTransaction({ _id: 'a', user_id: 1, amount: 5, ...fields });
+
+        assert.equal(format({ type: 'credit', source: 'refund' }).category, 'refund');
+        assert.equal(format({ type: 'debit', source: 'adjustment' }).category, 'adjustment');
+        assert.equal(format({ type: 'credit', source: 'reversal' }).category, 'reversal');
+        assert.equal(format({ type: 'debit', source: 'order' }).category, 'purchase');
+        assert.equal(format({ type: 'credit', source: 'mystery' }).category, 'system');
+    });
+});
@@ -0,0 +1,84 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../api/utils/totp');
+const { qrMatrix } = require('../api/utils/qr');
+const twoFactor = require('../api/services/two-factor');
+const { createMemoryDb } = require('./support/memory-db');
+
+// The RFC 4226 / RFC 6238 SHA-1 test secret, "12345678901234567890"
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+    it('matches the RFC 4226 HOTP values', () => {
+        const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+        expected.forEach((code, counter) => assert.equal(totp.hotp(RFC_SECRET, counter), code));
+    });
+
+    it('matches the RFC 6238 SHA-1 values', () => {
+        const vectors = [
+            [59, '94287082'],
+            [1111111109, '07081804'],
+            [1111111111, '14050471'],
+            [1234567890, '89005924'],
+            [2000000000, '69279037'],
+            [20000000000, '65353130']
+        ];
+        for (const [seconds, code] of vectors) {
+            assert.equal(totp.hotp(RFC_SECRET, totp.timeStep(seconds * 1000), 8), code);
+        }
+    });
+
+    it('accepts a code one step either side of now and returns its step', () => {
+        const now = 1234567890 * 1000;
+        const step = totp.timeStep(now);
+
+        assert.equal(totp.verifyTotp(RFC_SECRET, totp.hotp(RFC_SECRET, step - 1), { now }), step - 1);
+        assert.equal(totp.verifyTotp(RFC_SECRET, totp.hotp(RFC_SECRET, step + 1), { now }), step + 1);
+        assert.equal(totp.verifyTotp(RFC_SECRET, totp.hotp(RFC_SECRET, step + 2), { now }), null);
+        assert.equal(totp.verifyTotp(RFC_SECRET, '12345', { now }), null);
+    });
+
+    it('round-trips base32 secrets', () => {
+        const secret = totp.generateSecret();
+        assert.equal(secret.length, 32);
+        assert.equal(totp.base32Encode(totp.base32Decode(secret)), secret);
+    });
+});
+
+describe('QR codes', () => {
+    it('picks the smallest version that fits', () => {
+        assert.equal(qrMatrix('otpauth').length, 21);
+        assert.equal(qrMatrix('x'.repeat(213)).length, 57);
+    });
+
+    it('refuses text over 213 bytes', () => {
+        assert.throws(() => qrMatrix('x'.repeat(214)), /too long/);
+    });
+});
+
+describe('two-factor enrollment', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = createMemoryDb();
+        await db.collection('admins').insertOne({ username: 'alice', role: 'owner', status: 'active' });
+    });
+
+    it('stores the pending secret it returns', async () => {
+        const enrollment = await twoFactor.startEnrollment(db, 'alice');
+
+        assert.ok(enrollment.otpauth_uri.includes(`secret=${enrollment.secret}`));
+        assert.ok(enrollment.qr_svg.startsWith('<svg'));
+        const record = await db.collection('admins').findOne({ username: 'alice' });
+        assert.equal(record.totp.pending_secret, enrollment.secret);
+    });
+
+    it('leaves the record alone when the URI does not fit in a QR code', async () => {
+        const username = 'a'.repeat(200);
+        await db.collection('admins').insertOne({ username, role: 'owner', status: 'active' });
+
+        await assert.rejects(twoFactor.startEnrollment(db, username), { statusCode: 400 });
+        const record = await db.collection('admins').findOne({ username });
+        assert.equal(record.totp, undefined);
+    });
+});